@@ -1,11 +1,14 @@
-import ffmpeg from 'fluent-ffmpeg'
 import fs from 'fs'
 import path from 'path'
 import { spawn } from 'child_process'
-import { fileURLToPath } from 'url'
+import readline from 'readline'
+import util from 'util'
+import crypto from 'crypto'
+import { fileURLToPath, pathToFileURL } from 'url'
 import { dirname } from 'path'
 import axios from 'axios'
 import OSS from 'ali-oss'
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3'
 import { google } from 'googleapis'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -27,60 +30,69 @@ const buildFfmpegEnv = () => {
 }
 
 // RunPod serverless handler
-const handler = async (event) => {
+const handler = async (event, context = {}) => {
     const { input } = event
     
     console.log('🚀 RunPod Handler received input:', JSON.stringify(input, null, 2))
     
     try {
+        // Reject bad input before any download starts
+        const { warnings } = validateActionInput(input)
+        
         // Handle different actions
+        let result
         switch (input.action) {
             case 'health':
-                return await handleHealthCheck()
+                result = await handleHealthCheck()
+                break
             case 'encode':
-                return await handleVideoEncoding(input)
+                result = await handleVideoEncoding(input, { jobId: event.id, signal: context.signal })
+                break
             case 'nvenc-debug':
-                return await handleNVENCDebug()
+                result = await handleNVENCDebug(input)
+                break
+            case 'probe':
+                result = await handleProbe(input, { signal: context.signal })
+                break
             default:
                 return {
-                    error: `Unknown action: ${input.action}. Supported actions: health, encode, nvenc-debug`
+                    error: `Unknown action: ${input.action}. Supported actions: health, encode, probe, nvenc-debug`
                 }
         }
+        return warnings.length > 0 ? { ...result, warnings } : result
     } catch (error) {
         console.error('❌ Handler error:', error)
         return {
-            error: error.message,
+            ...describeError(error),
             stack: error.stack
         }
     }
 }
 
-// NVENC debug handler
-const handleNVENCDebug = async () => {
+// NVENC debug handler: the capability matrix, re-detected when `refresh` is set
+const handleNVENCDebug = async ({ refresh = false } = {}) => {
     console.log('🔧 Starting NVENC Debug Session...')
     
     const debugInfo = {
         timestamp: new Date().toISOString(),
         platform: process.platform,
         arch: process.arch,
-        node_version: process.version
+        node_version: process.version,
+        environment: {
+            NVIDIA_VISIBLE_DEVICES: process.env.NVIDIA_VISIBLE_DEVICES || null,
+            CUDA_VISIBLE_DEVICES: process.env.CUDA_VISIBLE_DEVICES || null,
+            NVIDIA_DRIVER_CAPABILITIES: process.env.NVIDIA_DRIVER_CAPABILITIES || null,
+            LD_LIBRARY_PATH: process.env.LD_LIBRARY_PATH || null
+        }
     }
     
-    try {
-        // Test NVENC availability with detailed logging
-        const nvencAvailable = await checkNVENCAvailability()
-        debugInfo.nvenc_available = nvencAvailable
-        debugInfo.nvenc_test_completed = true
+    const capabilities = await getHardwareCapabilities({ refresh })
+    debugInfo.nvenc_available = capabilities.encoders.h264_nvenc.working
+    debugInfo.nvenc_test_completed = true
+    debugInfo.capabilities = capabilities
         
-        console.log(`🔧 NVENC Debug Result: ${nvencAvailable ? 'AVAILABLE' : 'NOT AVAILABLE'}`)
-        return debugInfo
-        
-    } catch (error) {
-        debugInfo.nvenc_test_completed = false
-        debugInfo.nvenc_error = error.message
-        console.error('❌ NVENC Debug failed:', error)
-        return debugInfo
-    }
+    console.log(`🔧 NVENC Debug Result: ${debugInfo.nvenc_available ? 'AVAILABLE' : 'NOT AVAILABLE'}`)
+    return debugInfo
 }
 
 // Health check handler
@@ -101,69 +113,211 @@ const handleHealthCheck = async () => {
         }
     }
     
-    // Check FFmpeg availability
-    try {
-        await new Promise((resolve, reject) => {
-            const proc = spawn('ffmpeg', ['-version'], { env: buildFfmpegEnv() })
-            let output = ''
-            
-            proc.stdout.on('data', (data) => {
-                output += data.toString()
-            })
-            
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    const version = output.match(/ffmpeg version ([^\s]+)/)?.[1] || 'unknown'
-                    healthInfo.ffmpeg_version = version
-                    healthInfo.ffmpeg_available = true
-                    resolve()
-                } else {
-                    healthInfo.ffmpeg_available = false
-                    reject(new Error('FFmpeg not available'))
-                }
-            })
-            
-            setTimeout(() => reject(new Error('FFmpeg check timeout')), 5000)
-        })
-    } catch (error) {
-        healthInfo.ffmpeg_available = false
-        healthInfo.ffmpeg_error = error.message
-    }
-    
-    // Check NVIDIA-SMI
-    try {
-        await new Promise((resolve, reject) => {
-            const proc = spawn('nvidia-smi', ['--query-gpu=name,driver_version,memory.total', '--format=csv,noheader'], { env: buildFfmpegEnv() })
-            let output = ''
-            
-            proc.stdout.on('data', (data) => {
-                output += data.toString()
-            })
-            
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    healthInfo.nvidia_smi = output.trim()
-                    healthInfo.gpu_available = true
-                    resolve()
-                } else {
-                    healthInfo.gpu_available = false
-                    reject(new Error('nvidia-smi failed'))
-                }
-            })
-            
-            setTimeout(() => reject(new Error('nvidia-smi timeout')), 5000)
-        })
-    } catch (error) {
-        healthInfo.gpu_available = false
-        healthInfo.gpu_error = error.message
+    // FFmpeg and GPU details come from the cached capability matrix
+    const capabilities = await getHardwareCapabilities()
+    healthInfo.ffmpeg_available = capabilities.ffmpeg.available
+    healthInfo.ffmpeg_version = capabilities.ffmpeg.version
+    if (capabilities.ffmpeg.error) healthInfo.ffmpeg_error = capabilities.ffmpeg.error
+    healthInfo.gpu_available = capabilities.gpu.available
+    if (capabilities.gpu.available) {
+        healthInfo.nvidia_smi = `${capabilities.gpu.name}, ${capabilities.gpu.driverVersion}, ${capabilities.gpu.memoryMB} MiB`
+    } else {
+        healthInfo.gpu_error = capabilities.gpu.error
     }
+    healthInfo.capabilities = capabilities
     
     console.log('✅ Health check completed:', healthInfo)
     return healthInfo
 }
 
+// Progress events: one JSON line per event on stdout, prefixed like RUNPOD_RESULT so the Python
+// wrapper can forward it as a RunPod progress update, and optionally POSTed to a caller webhook
+const PROGRESS_PREFIX = 'RUNPOD_PROGRESS:'
+// Share of the whole job each stage stands for, used for overallPercent
+const PROGRESS_STAGE_WEIGHTS = { download: 15, analyze: 2, encode: 60, upload: 23 }
+const PROGRESS_INTERVAL_MS = 1000
+const WEBHOOK_INTERVAL_MS = 5000
+
+// Replaced in worker mode, where progress becomes a tagged JSON line
+let emitProgressEvent = (event) => console.log(PROGRESS_PREFIX + JSON.stringify(event))
+
+const createProgressReporter = ({ jobId = null, webhook = null } = {}) => {
+    const webhookConfig = typeof webhook === 'string' ? { url: webhook } : webhook
+    const stages = Object.keys(PROGRESS_STAGE_WEIGHTS)
+    const totalWeight = Object.values(PROGRESS_STAGE_WEIGHTS).reduce((sum, weight) => sum + weight, 0)
+    let currentStage = null
+    let stageStartedAt = 0
+    let lastEmitAt = 0
+    let lastWebhookAt = 0
+    let webhookChain = Promise.resolve()
+    
+    const postWebhook = (event) => {
+        // Chained so the receiver sees events in order; failures never fail the job
+        webhookChain = webhookChain
+            .then(() => axios.post(webhookConfig.url, event, { headers: webhookConfig.headers, timeout: 10000 }))
+            .catch(error => console.warn(`⚠️ Progress webhook failed: ${error.message}`))
+    }
+    
+    const report = (stage, percent, details = {}, { force = false } = {}) => {
+        const now = Date.now()
+        if (stage !== currentStage) {
+            currentStage = stage
+            stageStartedAt = now
+            force = true
+        }
+        if (!force && now - lastEmitAt < PROGRESS_INTERVAL_MS) return
+        lastEmitAt = now
+        
+        const clamped = percent === null ? null : Math.max(0, Math.min(100, percent))
+        const elapsedSeconds = (now - stageStartedAt) / 1000
+        const doneWeight = stages.slice(0, stages.indexOf(stage)).reduce((sum, name) => sum + PROGRESS_STAGE_WEIGHTS[name], 0)
+        const event = {
+            type: 'progress',
+            jobId,
+            stage,
+            percent: clamped === null ? null : Number(clamped.toFixed(1)),
+            // complete/failed are terminal stages outside the weighted pipeline
+            overallPercent: stage in PROGRESS_STAGE_WEIGHTS
+                ? Number(((doneWeight + PROGRESS_STAGE_WEIGHTS[stage] * (clamped || 0) / 100) / totalWeight * 100).toFixed(1))
+                : (stage === 'complete' ? 100 : null),
+            etaSeconds: details.etaSeconds !== undefined
+                ? details.etaSeconds
+                : (clamped > 0 && clamped < 100 ? Math.round(elapsedSeconds * (100 - clamped) / clamped) : null),
+            ...details,
+            timestamp: new Date(now).toISOString()
+        }
+        emitProgressEvent(event)
+        
+        if (webhookConfig?.url && (force || now - lastWebhookAt >= WEBHOOK_INTERVAL_MS)) {
+            lastWebhookAt = now
+            postWebhook(event)
+        }
+    }
+    
+    return {
+        report,
+        stage: () => currentStage,
+        // Let queued webhook deliveries finish before the job returns
+        flush: () => webhookChain
+    }
+}
+
+// Error taxonomy: every failure carries a stable `code`, whether running the same job again can
+// help (`retryable`, defaulting per code) and the `stage` it failed in
+const ERROR_CODES = {
+    INPUT_INVALID: { retryable: false }, // payload failed schema validation
+    INPUT_AUTH: { retryable: false }, // the source rejected our credentials (Drive token, HTTP 401/403)
+    INPUT_NOT_FOUND: { retryable: false }, // source file missing or not shared
+    INPUT_REJECTED: { retryable: false }, // not a downloadable video: HTML page, Google Doc, over the size limit
+    DOWNLOAD_FAILED: { retryable: true }, // network errors, 5xx or checksum mismatch after every attempt
+    INSUFFICIENT_DISK: { retryable: false },
+    PROBE_FAILED: { retryable: false }, // ffprobe could not read the input (corrupt or not media)
+    UNSUPPORTED_CODEC: { retryable: false }, // no video stream, or a stream FFmpeg cannot decode
+    ENCODE_FAILED: { retryable: false }, // GPU and resource errors are flagged retryable
+    STORAGE_FAILED: { retryable: true }, // credential and bucket errors are flagged non-retryable
+    TIMEOUT: { retryable: true },
+    CANCELLED: { retryable: false },
+    WORKER_CRASHED: { retryable: true },
+    INTERNAL: { retryable: false }
+}
+
+const createJobError = (code, message, { retryable = ERROR_CODES[code].retryable, stage = null, cause, ...details } = {}) =>
+    Object.assign(new Error(message, cause ? { cause } : undefined), { name: 'JobError', code, retryable, stage, ...details })
+
+// Errors that already have a taxonomy code keep it (and get the stage if they lack one); anything
+// else becomes fallbackCode with its own retryable flag. `message` replaces the message
+const toJobError = (error, fallbackCode, { stage = null, message } = {}) => {
+    const code = ERROR_CODES[error?.code] ? error.code : fallbackCode
+    if (code === error?.code && !message) {
+        error.stage = error.stage || stage
+        return error
+    }
+    return createJobError(code, message || error?.message || String(error), {
+        retryable: typeof error?.retryable === 'boolean' ? error.retryable : ERROR_CODES[code].retryable,
+        stage: error?.stage || stage,
+        cause: error,
+        ...(error?.ffmpeg && { ffmpeg: error.ffmpeg })
+    })
+}
+
+// How a failure is reported in handler results, worker messages and the wrapper's return value
+const describeError = (error) => {
+    const known = Boolean(ERROR_CODES[error?.code])
+    return {
+        error: error?.message || String(error),
+        code: known ? error.code : 'INTERNAL',
+        retryable: known ? Boolean(error.retryable) : false,
+        stage: error?.stage || null,
+        ...(error?.ffmpeg && { ffmpeg: error.ffmpeg }),
+        ...(error?.attempts && { attempts: error.attempts }),
+        ...(error?.violations && { violations: error.violations }),
+        ...(error?.warnings?.length > 0 && { warnings: error.warnings })
+    }
+}
+
+// Unclassified errors get the code of the stage they escaped from
+const STAGE_ERROR_CODES = { download: 'DOWNLOAD_FAILED', analyze: 'PROBE_FAILED', encode: 'ENCODE_FAILED', upload: 'STORAGE_FAILED' }
+
+// Reason a job was aborted with; `status` becomes the job status (cancelled or timed_out)
+const createJobAbortError = (status, message) => Object.assign(
+    createJobError(status === 'timed_out' ? 'TIMEOUT' : 'CANCELLED', message),
+    { name: 'AbortError', status }
+)
+
+// Probe handler: the media inventory of a URL or Drive file without encoding it. ffprobe reads the
+// source in place with HTTP range requests, so usually only the header and index are fetched;
+// when that fails (or fullDownload is set) the file is downloaded the same way encode inputs are
+const handleProbe = async (input, { signal = null } = {}) => {
+    const { videoUrl, driveId, googleToken, download = {}, fullDownload = false } = input
+    const startTime = Date.now()
+    let media = null
+    let method = 'range'
+    let downloadDetails = null
+    
+    if (!fullDownload) {
+        try {
+            const source = driveId
+                ? await getDriveMediaSource(driveId, googleToken)
+                : { url: videoUrl, headers: buildDownloadHeaders(download) }
+            console.log(`🔎 Probing ${driveId ? `Google Drive file ${driveId}` : videoUrl} in place...`)
+            media = await probeMedia(source.url, { signal, headers: source.headers })
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason
+            console.warn(`⚠️ In-place probe failed (${error.message}), downloading the input instead`)
+        }
+    }
+    
+    if (!media) {
+        method = 'download'
+        const workDir = createJobWorkDir()
+        const inputFile = path.join(workDir, 'input.mp4')
+        const onSize = (inputBytes) => checkDiskSpace(workDir, inputBytes, 0)
+        try {
+            downloadDetails = driveId
+                ? await downloadVideoFromGoogleDrive(driveId, googleToken, inputFile, { onSize, signal })
+                : await downloadVideo(videoUrl, inputFile, { ...download, onSize, signal })
+            media = await probeMedia(inputFile, { signal })
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true })
+        }
+    }
+    
+    const processingTime = Date.now() - startTime
+    const { summary } = media
+    console.log(`✅ Probe completed (${method}): ${media.container.format}, ${summary.video} video, ${summary.audio} audio, ${summary.subtitle} subtitle stream(s), ${media.chapters.length} chapter(s)`)
+    return {
+        success: true,
+        status: 'completed',
+        method,
+        processingTime,
+        processingTimeSeconds: (processingTime / 1000).toFixed(2),
+        media,
+        ...(downloadDetails && { download: downloadDetails })
+    }
+}
+
 // Video encoding handler
-const handleVideoEncoding = async (input) => {
+const handleVideoEncoding = async (input, { jobId = null, signal = null } = {}) => {
     console.log('🎬 Starting video encoding...')
     
     const {
@@ -173,57 +327,114 @@ const handleVideoEncoding = async (input) => {
         md5DriveId,
         outputFormat = 'hls',
         quality = 'medium',
-        segments = { duration: 2, format: 'ts' },
+        segments = {},
         output = {},
         ossConfig = null,
-        cdnDomains = {}
+        storage = null,
+        cdnDomains = {},
+        renditions = null,
+        codec = 'h264',
+        encoding = {},
+        color: colorOptions = {},
+        audio: audioOptions = null,
+        subtitles: subtitleOptions = null,
+        thumbnails = null,
+        poster = null,
+        preview = null,
+        encryption: encryptionOptions = null,
+        loudness = null,
+        download = {},
+        keepWorkDir = false,
+        progressWebhook = null,
+        maxDurationSeconds = null
     } = input
+    // Types, ranges and the videoUrl/driveId, storage and pipeline requirements were checked
+    // against ENCODE_INPUT_SCHEMA by the handler
     
-    // Support both videoUrl (legacy) and driveId (new method)
-    if (!videoUrl && !driveId) {
-        throw new Error('Either videoUrl or driveId is required for encoding')
-    }
+    // Each segments field defaults on its own; without a format the codec picks TS or fMP4
+    const { duration: segmentDuration = DEFAULT_SEGMENT_DURATION, format: segmentFormat } = segments
+    const segmentType = resolveSegmentType(outputFormat, segmentFormat, codec)
     
-    if (driveId && !googleToken) {
-        throw new Error('googleToken is required when using driveId')
-    }
+    // HLS encryption: keys are generated up front and segments are encrypted as soon as they are final
+    const encryption = encryptionOptions ? createKeySchedule(encryptionOptions, md5DriveId) : null
+    const keyStorage = encryptionOptions?.keyStorage ? createStorageDriver(encryptionOptions.keyStorage) : null
     
-    if (!md5DriveId) {
-        throw new Error('md5DriveId is required for output organization')
-    }
+    // `storage` selects the driver; the legacy `ossConfig` stays an OSS shorthand
+    const storageConfig = storage || (ossConfig && { type: 'oss', ...ossConfig })
+    const uploadOptions = resolveUploadOptions(output)
+    
+    // Resolve the quality profile up front so a bad profile fails before the download
+    const encodingSettings = resolveEncodingSettings(quality, encoding)
+    console.log(`🎚️ Encoding profile: ${quality}${encodingSettings.overrides.length ? ` (overrides: ${encodingSettings.overrides.join(', ')})` : ''}`)
     
     const startTime = Date.now()
-    const workDir = '/tmp/encoding'
+    const progress = createProgressReporter({ jobId, webhook: progressWebhook })
+    
+    // One signal for the whole job: aborted by the caller (cancel) or by the maxDurationSeconds budget.
+    // Every stage listens to it - FFmpeg/ffprobe get killed, downloads and uploads abort
+    const controller = new AbortController()
+    const jobSignal = controller.signal
+    const onCancel = () => {
+        controller.abort(signal.reason?.status ? signal.reason : createJobAbortError('cancelled', 'Job cancelled'))
+    }
+    if (signal?.aborted) {
+        onCancel()
+    } else {
+        signal?.addEventListener('abort', onCancel, { once: true })
+    }
+    const budgetTimer = maxDurationSeconds && setTimeout(() => {
+        controller.abort(createJobAbortError('timed_out', `Job exceeded maxDurationSeconds (${maxDurationSeconds}s)`))
+    }, maxDurationSeconds * 1000)
+    
+    // Every job gets its own directory so concurrent jobs never share or delete each other's files
+    const workDir = createJobWorkDir()
     const inputFile = path.join(workDir, 'input.mp4')
     const outputDir = path.join(workDir, 'output')
     const tsDir = path.join(outputDir, 'ts')
+    console.log(`📁 Work directory: ${workDir}`)
     
     // Create directories
-    fs.mkdirSync(workDir, { recursive: true })
     fs.mkdirSync(outputDir, { recursive: true })
     fs.mkdirSync(tsDir, { recursive: true })
     
+    // Free-space check once the download knows the input size
+    const variantCount = renditions === true ? Object.keys(RENDITION_LADDER).length : (Array.isArray(renditions) ? renditions.length : 1)
+    let diskCheck = null
+    const onSize = (inputBytes) => {
+        diskCheck = checkDiskSpace(workDir, inputBytes, variantCount)
+    }
+    let upload = null
+    
     try {
         // Step 1: Download video
         console.log('🔄 STEP 1: Starting video download...')
         const downloadStartTime = Date.now()
         let fileSize
+        let downloadDetails = null
+        progress.report('download', 0)
+        const onProgress = (bytes, totalBytes) => {
+            progress.report('download', totalBytes ? (bytes / totalBytes) * 100 : null, { bytes, totalBytes: totalBytes || null })
+        }
         if (driveId) {
             console.log('📥 Downloading video from Google Drive ID:', driveId)
-            await downloadVideoFromGoogleDrive(driveId, googleToken, inputFile)
+            downloadDetails = await downloadVideoFromGoogleDrive(driveId, googleToken, inputFile, { onSize, onProgress, signal: jobSignal })
         } else {
             console.log('📥 Downloading video from URL:', videoUrl)
-            await downloadVideo(videoUrl, inputFile)
+            downloadDetails = await downloadVideo(videoUrl, inputFile, { ...download, onSize, onProgress, signal: jobSignal })
         }
         
         fileSize = fs.statSync(inputFile).size
+        progress.report('download', 100, { bytes: fileSize, totalBytes: fileSize }, { force: true })
         const downloadTime = Date.now() - downloadStartTime
         console.log(`✅ DOWNLOAD COMPLETED: ${(fileSize / 1024 / 1024).toFixed(2)}MB in ${(downloadTime / 1000).toFixed(2)}s`)
         console.log(`📊 Download speed: ${((fileSize / 1024 / 1024) / (downloadTime / 1000)).toFixed(2)} MB/s`)
         
         // Step 2: Get video info
         console.log('🔄 STEP 2: Analyzing video properties...')
-        const videoInfo = await getVideoInfo(inputFile)
+        progress.report('analyze', 0)
+        const media = await probeMedia(inputFile, { signal: jobSignal })
+        const videoInfo = getVideoInfo(media)
+        progress.report('analyze', 100, {}, { force: true })
         console.log('📊 VIDEO INFO:', {
             duration: `${videoInfo.duration}s`,
             size: `${(videoInfo.size / 1024 / 1024).toFixed(2)}MB`,
@@ -232,52 +443,189 @@ const handleVideoEncoding = async (input) => {
             bitrate: `${Math.round(videoInfo.bitrate / 1000)}kbps`
         })
         
+        // HDR sources are tone-mapped or kept as HDR; 10-bit SDR becomes 8-bit
+        const color = resolveColorHandling(videoInfo, colorOptions, codec)
+        console.log(`🎨 Color: ${color.mode} (source ${color.source.hdr || 'SDR'}, ${color.source.bitDepth}-bit ${color.source.pixelFormat || 'unknown'}${color.tonemap ? `, ${color.tonemap} tone mapping` : ''})`)
+        
+        // Resolve the ABR ladder (null = legacy single rendition)
+        const ladder = renditions ? resolveRenditionLadder(renditions, videoInfo) : null
+        if (ladder) {
+            console.log(`📶 ABR ladder: ${ladder.map(r => `${r.name} (${r.width}x${r.height} @ ${r.bitrate}k)`).join(', ')}`)
+        }
+        
+        // Separate HLS audio renditions when `audio` is set (null keeps stereo muxed into the video)
+        const audioRenditions = resolveAudioRenditions(media, audioOptions, encodingSettings)
+        if (audioRenditions) {
+            console.log(`🔊 Audio renditions: ${audioRenditions.map(r => `${r.name} (${r.label}, ${r.channels}ch @ ${r.bitrate}k)`).join(', ')}`)
+        }
+        
+        // Two-pass loudness normalization: measure each encoded audio source now, normalize linearly in the encode
+        const loudnessSettings = resolveLoudnessSettings(loudness)
+        if (loudnessSettings && !videoInfo.hasAudio) {
+            console.warn('⚠️ loudness ignored: the input has no audio')
+        }
+        const loudnessAnalysis = loudnessSettings && videoInfo.hasAudio
+            ? await analyzeLoudness(inputFile, audioRenditions, loudnessSettings, jobSignal)
+            : null
+        const audioSettings = loudnessAnalysis?.muxedFilter ? { ...encodingSettings, audioFilter: loudnessAnalysis.muxedFilter } : encodingSettings
+        
+        // Soft subtitles become WebVTT renditions after the encode; a burned-in track is drawn into the video
+        const subtitlePlan = resolveSubtitlePlan(media, subtitleOptions)
+        const subtitleTracks = subtitlePlan?.tracks || []
+        if (subtitlePlan) {
+            await prepareSubtitles(subtitlePlan, inputFile, path.join(workDir, 'subtitles'), { googleToken, signal: jobSignal })
+            console.log(`💬 Subtitles: ${subtitleTracks.map(t => `${t.name} (${t.label})`).join(', ') || 'none as renditions'}${subtitlePlan.burnIn ? `; burning in ${subtitlePlan.burnIn.label}` : ''}`)
+        }
+        const subtitleFilter = subtitlePlan?.burnIn ? buildSubtitleBurnFilter(subtitlePlan.burnIn, inputFile) : null
+        
+        // Upload progress counts bytes from every upload (pipelined ones included) against the encoded output size
+        let uploadedBytes = 0
+        let uploadTotalBytes = 0
+        const transfer = {
+            ...uploadOptions,
+            signal: jobSignal,
+            onProgress: (bytes) => {
+                uploadedBytes += bytes
+                if (uploadTotalBytes) {
+                    progress.report('upload', (uploadedBytes / uploadTotalBytes) * 100, { bytes: uploadedBytes, totalBytes: uploadTotalBytes })
+                }
+            }
+        }
+        // Uploads are tracked so an aborted job can delete what it already put
+        upload = storageConfig && output.uploadToStorage
+            ? { storage: trackUploads(createStorageDriver(storageConfig, cdnDomains)), fakeExtensions: output.fakeExtensions, md5DriveId, transfer }
+            : null
+        
+        // Pipelined mode uploads finished segments while FFmpeg is still writing the next ones.
+        // Encrypted segments are encrypted right before their upload; subtitles need the first video
+        // segment's start time, so it is read (once) while that segment is still clear
+        const segmentTargets = getHlsSegmentTargets(outputDir, ladder, md5DriveId, audioRenditions, subtitleTracks.length > 0)
+        let videoStartTime = null
+        const prepareSegment = encryption && (async (segmentDir, file) => {
+            if (subtitleTracks.length > 0 && !videoStartTime && segmentDir === segmentTargets[0].segmentDir && parseInt(file, 10) === 0) {
+                videoStartTime = readStartTime(path.join(segmentDir, file), jobSignal)
+                await videoStartTime
+            }
+            encryptSegmentFile(encryption, segmentDir, file)
+        })
+        const pipeline = output.pipelineUpload
+            ? createSegmentUploadPipeline(segmentTargets, upload, { prepare: prepareSegment })
+            : null
+        
+        // Thumbnails, poster and preview are made by a second FFmpeg next to the encode; it stops with the job or a failed encode
+        const artworkPlan = {
+            thumbnails: resolveThumbnailSettings(thumbnails, videoInfo),
+            poster: resolvePosterSettings(poster, videoInfo),
+            preview: resolvePreviewSettings(preview, videoInfo)
+        }
+        const artworkDir = path.join(workDir, 'artwork')
+        const artworkController = new AbortController()
+        const stopArtwork = () => artworkController.abort(jobSignal.reason)
+        jobSignal.addEventListener('abort', stopArtwork, { once: true })
+        const artworkTask = Object.values(artworkPlan).some(Boolean)
+            ? generateArtwork(inputFile, artworkDir, artworkPlan, { color, duration: videoInfo.duration, signal: artworkController.signal })
+            : null
+        // Handled when awaited below; this keeps an early rejection from going unhandled meanwhile
+        artworkTask?.catch(() => {})
+        
         // Step 3: Encode with NVENC
         console.log('🛠️ STEP 3: Starting GPU/CPU encoding...')
         const encodeStartTime = Date.now()
-        const encodeResult = await encodeWithNVENC(inputFile, outputDir, quality, segments.duration)
+        pipeline?.start()
+        let encodeResult
+        let artwork = null
+        try {
+            encodeResult = await encodeWithNVENC(inputFile, outputDir, audioSettings, segmentDuration, {
+                ladder,
+                codec,
+                outputFormat,
+                segmentType,
+                hasAudio: videoInfo.hasAudio,
+                audioRenditions,
+                hasSubtitles: subtitleTracks.length > 0,
+                subtitleFilter,
+                videoInfo,
+                color,
+                signal: jobSignal,
+                // A failed attempt's segments must not mix with the next pipeline's
+                onRetry: async ({ failed, next }) => {
+                    progress.report('encode', 0, { durationSeconds: videoInfo.duration, fallback: { from: failed, to: next } }, { force: true })
+                    await pipeline?.restart()
+                    // The next attempt rewrites every segment
+                    encryption?.encrypted.clear()
+                    videoStartTime = null
+                },
+                onProgress: ({ seconds, fps, speed }) => {
+                    const duration = videoInfo.duration
+                    progress.report('encode', duration ? (seconds / duration) * 100 : null, {
+                        encodedSeconds: seconds,
+                        durationSeconds: duration,
+                        fps,
+                        speed,
+                        ...(speed > 0 && duration && { etaSeconds: Math.max(0, Math.round((duration - seconds) / speed)) })
+                    })
+                }
+            })
+            artwork = await artworkTask
+        } catch (error) {
+            artworkController.abort(error)
+            await artworkTask?.catch(() => {})
+            if (pipeline) {
+                await pipeline.abort()
+            }
+            throw error
+        } finally {
+            jobSignal.removeEventListener('abort', stopArtwork)
+        }
         const encodeTime = Date.now() - encodeStartTime
         console.log(`✅ ENCODING COMPLETED: Method=${encodeResult.encodingMethod}, Time=${(encodeTime / 1000).toFixed(2)}s, Speed=${encodeResult.speedup}`)
+        progress.report('encode', 100, { durationSeconds: videoInfo.duration }, { force: true })
         
-        // Step 4: Process output files
-        const m3u8Content = fs.readFileSync(path.join(outputDir, 'master.m3u8'), 'utf8')
-        const tsFiles = fs.readdirSync(tsDir).filter(f => f.endsWith('.ts'))
+        if (subtitleTracks.length > 0) {
+            // A pipelined upload may still be reading the first segment; that read finishes before anything below encrypts it
+            videoStartTime = videoStartTime || readStartTime(encodeResult.variants[0].playlistPath, jobSignal)
+            const videoStart = await videoStartTime
+            encodeResult.subtitles = packageSubtitleRenditions(subtitleTracks, videoStart, outputDir, segmentDuration, videoInfo.duration)
+        }
         
-        console.log(`📊 Created ${tsFiles.length} TS segments`)
+        // Subtitle segments stay clear; players fetch WebVTT without keys
+        if (encryption) {
+            encryptHlsRenditions(encryption, [...encodeResult.variants, ...(encodeResult.audio || [])])
+        }
         
-        let segmentsData = []
-        let uploadedSegments = []
+        if (upload) {
+            uploadTotalBytes = getDirectorySize(outputDir) + (artwork ? getDirectorySize(artworkDir) : 0)
+            progress.report('upload', (uploadedBytes / uploadTotalBytes) * 100, { bytes: uploadedBytes, totalBytes: uploadTotalBytes }, { force: true })
+        }
         
-        // Check if we should upload to OSS storage
-        if (ossConfig && output.uploadToStorage) {
-            console.log('🔄 STEP 4: Uploading to OSS storage...')
-            const uploadStartTime = Date.now()
-            uploadedSegments = await uploadSegmentsToOSS(tsDir, tsFiles, ossConfig, output.fakeExtensions, md5DriveId)
-            
-            // Step 5: Create and upload M3U8 playlist to OSS
-            console.log('📋 Creating and uploading M3U8 playlist to OSS...')
-            const m3u8Url = await createAndUploadM3U8ToOSS(
-                uploadedSegments, 
-                m3u8Content, 
-                ossConfig, 
-                md5DriveId, 
-                cdnDomains,
-                segments.duration
-            )
-            
-            const uploadTime = Date.now() - uploadStartTime
-            console.log(`✅ UPLOAD COMPLETED: ${uploadedSegments.length} segments + M3U8 in ${(uploadTime / 1000).toFixed(2)}s`)
-            
-            // Return format for server download
-            segmentsData = uploadedSegments
+        if (pipeline) {
+            const pipelined = await pipeline.finish(encodeStartTime)
+            upload.preUploaded = pipelined.uploaded
+            upload.pipelineStats = pipelined.stats
+        }
+        
+        // Step 4/5: Package output and upload to storage when requested
+        if (!upload) {
+            console.log('💾 Using local file output (no storage upload)')
+        }
+        
+        // Keys are delivered before any playlist that references them is published
+        const encryptionKeys = encryption && await deliverEncryptionKeys(encryption, {
+            keyStorage,
+            keyPath: encryptionOptions.keyPath || DEFAULT_KEY_PATH,
+            md5DriveId,
+            transfer
+        })
+        
+        let published
+        if (outputFormat === 'dash') {
+            published = await publishDashOutput(encodeResult, upload)
+        } else if (outputFormat === 'mp4') {
+            published = await publishMp4Output(encodeResult, upload)
         } else {
-            console.log('💾 Using local file output (no OSS upload)')
-            // Original format (local files only) 
-            segmentsData = tsFiles.map(file => ({
-                name: file,
-                size: fs.statSync(path.join(tsDir, file)).size
-            }))
+            published = await publishHlsOutput(encodeResult, outputDir, upload, segmentDuration)
         }
+        const publishedArtwork = artwork ? await publishArtwork(artwork, videoInfo.duration, upload) : {}
         
         const processingTime = Date.now() - startTime
         
@@ -287,41 +635,101 @@ const handleVideoEncoding = async (input) => {
             processingTime: processingTime,
             processingTimeSeconds: (processingTime / 1000).toFixed(2),
             videoInfo: videoInfo,
+            media,
+            ...(downloadDetails && { download: downloadDetails }),
+            ...(diskCheck && { disk: diskCheck }),
             output: {
                 format: outputFormat,
-                segmentCount: tsFiles.length,
-                segmentDuration: segments.duration,
-                playlist: m3u8Content,
-                segments: segmentsData
+                codec: encodeResult.codec,
+                encoder: encodeResult.encoder,
+                pipeline: encodeResult.pipeline,
+                decodePath: encodeResult.decodePath,
+                attempts: encodeResult.attempts,
+                color,
+                ...(subtitlePlan?.burnIn && {
+                    burnedSubtitles: {
+                        label: subtitlePlan.burnIn.label,
+                        language: subtitlePlan.burnIn.language,
+                        source: subtitlePlan.burnIn.source === 'stream' ? { stream: subtitlePlan.burnIn.streamIndex, codec: subtitlePlan.burnIn.codec } : { file: subtitlePlan.burnIn.fileIndex }
+                    }
+                }),
+                segmentType: encodeResult.segmentType,
+                settings: encodingSettings,
+                segmentCount: published.segmentCount,
+                segmentDuration: segmentDuration,
+                playlist: published.playlist,
+                segments: published.segments,
+                ...published.extra,
+                ...publishedArtwork,
+                ...(loudnessAnalysis && { loudness: summarizeLoudness(loudnessSettings, loudnessAnalysis, audioRenditions, encodeResult.loudnessReports) }),
+                ...(encryptionKeys && {
+                    encryption: {
+                        method: encryption.method,
+                        keyFormat: 'identity',
+                        iv: 'media sequence number',
+                        rotateEvery: encryption.rotateEvery,
+                        keyDelivery: keyStorage ? keyStorage.type : 'result',
+                        keys: encryptionKeys
+                    }
+                })
             },
             performance: {
                 inputSizeMB: (fileSize / 1024 / 1024).toFixed(2),
-                outputSizeMB: tsFiles.reduce((total, file) => {
-                    return total + fs.statSync(path.join(tsDir, file)).size
-                }, 0) / 1024 / 1024,
+                outputSizeMB: published.outputBytes / 1024 / 1024,
                 speedup: encodeResult.speedup || 'unknown'
             }
         }
         
         // If uploaded to storage, add the segments array at top level for server compatibility
-        if (uploadedSegments.length > 0) {
-            result.segments = uploadedSegments
-            result.totalSegments = uploadedSegments.length
-            result.m3u8Url = result.m3u8Url || `https://${cdnDomains.m3u8 || ossConfig.cdnDomain}/${md5DriveId}/master.m3u8`
+        if (published.uploadedSegments.length > 0) {
+            result.segments = published.uploadedSegments
+            result.totalSegments = published.uploadedSegments.length
+            const urlField = { hls: 'm3u8Url', dash: 'mpdUrl', mp4: 'mp4Url' }[outputFormat]
+            result[urlField] = published.url
             result.uploadedToStorage = true
-            console.log(`✅ Uploaded ${uploadedSegments.length} segments + M3U8 to OSS`)
+            result.storageType = upload.storage.type
+            result.uploadStats = {
+                concurrency: upload.transfer.concurrency,
+                maxRetries: upload.transfer.retries,
+                totalRetries: published.uploadedSegments.reduce((sum, segment) => sum + segment.retries, 0)
+            }
+            if (upload.pipelineStats) {
+                result.uploadStats.pipeline = upload.pipelineStats
+            }
+            console.log(`✅ Uploaded ${published.uploadedSegments.length} file(s) + ${outputFormat.toUpperCase()} output to ${upload.storage.type} storage`)
         }
         
         console.log('🎉 Encoding completed successfully!')
         console.log(`⚡ Processing time: ${result.processingTimeSeconds}s`)
         console.log(`📊 Created ${result.output.segmentCount} segments`)
         
+        if (keepWorkDir) {
+            result.workDir = workDir
+        }
+        
+        progress.report('complete', 100, { processingTimeSeconds: Number(result.processingTimeSeconds) }, { force: true })
+        await progress.flush()
         return result
         
+    } catch (error) {
+        if (jobSignal.aborted) {
+            return await finishAbortedJob(jobSignal.reason, { progress, upload, startTime })
+        }
+        const stage = progress.stage()
+        const failure = toJobError(error, STAGE_ERROR_CODES[stage] || 'INTERNAL', { stage: stage || 'setup' })
+        progress.report('failed', null, { error: failure.message, code: failure.code, retryable: failure.retryable, failedStage: failure.stage }, { force: true })
+        await progress.flush()
+        throw failure
     } finally {
+        clearTimeout(budgetTimer)
+        signal?.removeEventListener('abort', onCancel)
         // Cleanup
         try {
-            if (fs.existsSync(workDir)) {
+            if (keepWorkDir) {
+                // Marked so the startup sweep leaves it alone
+                fs.writeFileSync(path.join(workDir, KEEP_MARKER), new Date().toISOString())
+                console.log(`📁 Keeping working directory for inspection: ${workDir}`)
+            } else if (fs.existsSync(workDir)) {
                 fs.rmSync(workDir, { recursive: true, force: true })
                 console.log('🗑️ Cleaned up working directory')
             }
@@ -331,635 +739,3782 @@ const handleVideoEncoding = async (input) => {
     }
 }
 
-// Helper functions
-const downloadVideo = async (url, outputPath) => {
-    const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'stream',
-        timeout: 300000 // 5 minutes
-    })
+// Result of a cancelled or timed-out job, after deleting the objects it already uploaded
+const finishAbortedJob = async (reason, { progress, upload, startTime }) => {
+    const status = reason?.status || 'cancelled'
+    const stage = progress.stage()
+    const { error, code, retryable } = describeError(reason)
+    console.warn(`🛑 Job ${status} during ${stage || 'setup'}: ${error}`)
     
-    const writer = fs.createWriteStream(outputPath)
-    response.data.pipe(writer)
-    
-    return new Promise((resolve, reject) => {
-        writer.on('finish', resolve)
-        writer.on('error', reject)
-    })
+    if (upload) {
+        await removeUploadedObjects(upload.storage)
+    }
+    const processingTime = Date.now() - startTime
+    progress.report(status, null, { abortedStage: stage, error, code }, { force: true })
+    await progress.flush()
+    return {
+        success: false,
+        status,
+        error,
+        code,
+        retryable,
+        stage,
+        processingTime,
+        processingTimeSeconds: (processingTime / 1000).toFixed(2),
+        cleanup: { removedObjects: upload ? upload.storage.removedCount() : 0 }
+    }
 }
 
-// Download video from Google Drive using OAuth token
-const downloadVideoFromGoogleDrive = async (driveId, token, outputPath) => {
-    console.log(`📥 Downloading from Google Drive: ${driveId}`)
+// Process HLS output: per-rendition segments, bandwidth, init segments and (master) playlists
+const publishHlsOutput = async (encodeResult, outputDir, upload, segmentDuration) => {
+    const readRendition = (rendition) => {
+        const m3u8Content = fs.readFileSync(rendition.playlistPath, 'utf8')
+        const segmentFiles = fs.readdirSync(rendition.segmentDir).filter(isMediaSegment)
+        return {
+            ...rendition,
+            m3u8Content,
+            segmentFiles,
+            bandwidth: measureVariantBandwidth(m3u8Content, rendition.segmentDir)
+        }
+    }
+    const variants = encodeResult.variants.map(readRendition)
+    const audio = (encodeResult.audio || []).map(readRendition)
+    const subtitles = (encodeResult.subtitles || []).map(readRendition)
+    const renditions = [...variants, ...audio, ...subtitles]
+    const isLadder = variants.some(variant => variant.name)
+    const segmentCount = renditions.reduce((sum, r) => sum + r.segmentFiles.length, 0)
     
-    try {
-        // Get file metadata first to check size
-        const metadataResponse = await axios.get(
-            `https://www.googleapis.com/drive/v3/files/${driveId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token.access_token}`
-                },
-                params: {
-                    fields: 'size,name,mimeType'
-                },
-                timeout: 30000
+    console.log(`📊 Created ${segmentCount} ${encodeResult.segmentType === 'fmp4' ? 'fMP4' : 'TS'} segments across ${renditions.length} rendition(s)`)
+    
+    // Local master playlist references the rendition playlists by relative path
+    let m3u8Content = variants[0].m3u8Content
+    if (isLadder) {
+        m3u8Content = buildMasterPlaylist(variants, r => `${r.name}/index.m3u8`, audio, subtitles)
+        fs.writeFileSync(path.join(outputDir, 'master.m3u8'), m3u8Content)
+    }
+    
+    let segmentsData = []
+    const uploadedSegments = []
+    let m3u8Url = null
+    
+    if (upload) {
+        const { storage, fakeExtensions, md5DriveId, transfer } = upload
+        console.log(`🔄 STEP 4: Uploading to ${storage.type} storage...`)
+        const uploadStartTime = Date.now()
+        for (const variant of renditions) {
+            const folder = variant.name ? `${md5DriveId}/${variant.name}` : md5DriveId
+            // Segments the pipeline already uploaded during the encode are reused as-is
+            const preUploaded = upload.preUploaded?.get(variant.segmentDir) || new Map()
+            const remaining = variant.segmentFiles.filter(file => !preUploaded.has(file))
+            const uploadedNow = remaining.length
+                ? await uploadSegmentsToStorage(variant.segmentDir, remaining, storage, fakeExtensions, folder, transfer)
+                : []
+            variant.uploadedSegments = [...preUploaded.values(), ...uploadedNow]
+            if (variant.initFile) {
+                [variant.uploadedInit] = await uploadSegmentsToStorage(variant.segmentDir, [variant.initFile], storage, fakeExtensions, folder, transfer)
             }
-        )
-        
-        const { size, name, mimeType } = metadataResponse.data
-        console.log(`📊 File info: ${name}, size: ${(size / 1024 / 1024).toFixed(2)}MB, type: ${mimeType}`)
+            if (variant.name) {
+                variant.uploadedSegments.forEach(segment => { segment.variant = variant.name })
+            }
+            uploadedSegments.push(...variant.uploadedSegments)
+        }
         
-        // Download file content
-        const downloadResponse = await axios({
-            method: 'GET',
-            url: `https://www.googleapis.com/drive/v3/files/${driveId}?alt=media`,
-            headers: {
-                'Authorization': `Bearer ${token.access_token}`
-            },
-            responseType: 'stream',
-            timeout: 600000 // 10 minutes for large files
-        })
+        // Step 5: Create and upload M3U8 playlist(s) to storage
+        console.log('📋 Creating and uploading M3U8 playlist...')
+        m3u8Url = await createAndUploadM3U8ToStorage(
+            variants,
+            storage,
+            md5DriveId,
+            segmentDuration,
+            transfer,
+            audio,
+            subtitles
+        )
         
-        const writer = fs.createWriteStream(outputPath)
-        downloadResponse.data.pipe(writer)
+        const uploadTime = Date.now() - uploadStartTime
+        console.log(`✅ UPLOAD COMPLETED: ${uploadedSegments.length} segments + M3U8 in ${(uploadTime / 1000).toFixed(2)}s`)
         
-        return new Promise((resolve, reject) => {
-            let downloadedBytes = 0
-            
-            downloadResponse.data.on('data', (chunk) => {
-                downloadedBytes += chunk.length
-                const percent = ((downloadedBytes / size) * 100).toFixed(1)
-                if (downloadedBytes % (5 * 1024 * 1024) === 0) { // Log every 5MB
-                    console.log(`📥 Downloaded: ${percent}% (${(downloadedBytes / 1024 / 1024).toFixed(1)}MB)`)
-                }
-            })
-            
-            writer.on('finish', () => {
-                console.log(`✅ Google Drive download completed: ${(downloadedBytes / 1024 / 1024).toFixed(2)}MB`)
-                resolve()
-            })
-            writer.on('error', reject)
-        })
+        // Return format for server download
+        segmentsData = uploadedSegments
+    } else {
+        // Original format (local files only)
+        segmentsData = renditions.flatMap(variant => variant.segmentFiles.map(file => ({
+            name: file,
+            size: fs.statSync(path.join(variant.segmentDir, file)).size,
+            ...(variant.name && { variant: variant.name })
+        })))
+    }
+    
+    const extra = {}
+    if (isLadder) {
+        extra.variants = variants.map(variant => ({
+            name: variant.name,
+            resolution: `${variant.width}x${variant.height}`,
+            bandwidth: variant.bandwidth.peak,
+            averageBandwidth: variant.bandwidth.average,
+            codecs: variant.codecs,
+            segmentCount: variant.segmentFiles.length,
+            playlist: variant.playlistUrl || `${variant.name}/index.m3u8`,
+            ...(variant.initFile && { initSegment: variant.uploadedInit?.url || `${variant.name}/${variant.initFile}` })
+        }))
+    } else if (variants[0].initFile) {
+        extra.initSegment = variants[0].uploadedInit?.url || variants[0].initFile
+    }
+    if (audio.length) {
+        extra.audio = audio.map(rendition => ({
+            name: rendition.name,
+            label: rendition.label,
+            language: rendition.language,
+            channels: rendition.channels,
+            default: rendition.default,
+            sourceStream: rendition.streamIndex,
+            bandwidth: rendition.bandwidth.peak,
+            averageBandwidth: rendition.bandwidth.average,
+            segmentCount: rendition.segmentFiles.length,
+            playlist: rendition.playlistUrl || `${rendition.name}/index.m3u8`,
+            ...(rendition.initFile && { initSegment: rendition.uploadedInit?.url || `${rendition.name}/${rendition.initFile}` })
+        }))
+        extra.audioGroups = groupAudioRenditions(audio).map(group => ({ id: group.id, renditions: group.renditions.map(rendition => rendition.name) }))
+    }
+    if (subtitles.length) {
+        extra.subtitles = subtitles.map(rendition => ({
+            name: rendition.name,
+            label: rendition.label,
+            language: rendition.language,
+            default: rendition.default,
+            forced: rendition.forced,
+            source: rendition.source === 'stream' ? { stream: rendition.streamIndex, codec: rendition.codec } : { file: rendition.fileIndex },
+            segmentCount: rendition.segmentFiles.length,
+            playlist: rendition.playlistUrl || `${rendition.name}/index.m3u8`
+        }))
+    }
+    
+    return {
+        segmentCount,
+        playlist: m3u8Content,
+        segments: segmentsData,
+        uploadedSegments,
+        url: m3u8Url,
+        outputBytes: renditions.reduce((total, variant) => {
+            return total + variant.segmentFiles.reduce((sum, file) => sum + fs.statSync(path.join(variant.segmentDir, file)).size, 0)
+        }, 0),
+        extra
+    }
+}
+
+// Process DASH output: upload init + media segments, then rewrite the SegmentList MPD to their URLs
+const publishDashOutput = async (encodeResult, upload) => {
+    const { manifestPath, segmentDir } = encodeResult
+    const files = fs.readdirSync(segmentDir).filter(isMediaSegment).sort()
+    const mediaFiles = files.filter(file => file.startsWith('chunk-'))
+    let manifest = fs.readFileSync(manifestPath, 'utf8')
+    
+    console.log(`📊 Created ${mediaFiles.length} DASH segments (+${files.length - mediaFiles.length} init)`)
+    
+    let segmentsData
+    let uploadedSegments = []
+    let mpdUrl = null
+    
+    if (upload) {
+        const { storage, fakeExtensions, md5DriveId, transfer } = upload
+        console.log(`🔄 STEP 4: Uploading DASH segments to ${storage.type} storage...`)
+        const uploaded = await uploadSegmentsToStorage(segmentDir, files, storage, fakeExtensions, md5DriveId, transfer)
+        const urlByFile = new Map(files.map((file, i) => [file, uploaded[i].url]))
         
+        console.log('📋 Creating and uploading MPD manifest...')
+        const published = await createAndUploadMPDToStorage(manifest, urlByFile, storage, md5DriveId, transfer)
+        manifest = published.manifest
+        mpdUrl = published.url
+        uploadedSegments = uploaded
+        segmentsData = uploaded
+    } else {
+        segmentsData = files.map(file => ({
+            name: file,
+            size: fs.statSync(path.join(segmentDir, file)).size
+        }))
+    }
+    
+    return {
+        segmentCount: mediaFiles.length,
+        playlist: manifest,
+        segments: segmentsData,
+        uploadedSegments,
+        url: mpdUrl,
+        outputBytes: files.reduce((sum, file) => sum + fs.statSync(path.join(segmentDir, file)).size, 0),
+        extra: {}
+    }
+}
+
+// Process progressive MP4 output: a single faststart file for download links
+const publishMp4Output = async (encodeResult, upload) => {
+    const { filePath } = encodeResult
+    const fileName = path.basename(filePath)
+    const size = fs.statSync(filePath).size
+    
+    console.log(`📊 Created progressive MP4: ${(size / 1024 / 1024).toFixed(2)}MB`)
+    
+    let segmentsData = [{ name: fileName, size }]
+    let uploadedSegments = []
+    
+    if (upload) {
+        console.log(`🔄 STEP 4: Uploading MP4 to ${upload.storage.type} storage...`)
+        // Download links need the real extension, so fake extensions never apply here
+        uploadedSegments = await uploadSegmentsToStorage(path.dirname(filePath), [fileName], upload.storage, false, upload.md5DriveId, upload.transfer)
+        segmentsData = uploadedSegments
+    }
+    
+    return {
+        segmentCount: 1,
+        playlist: null,
+        segments: segmentsData,
+        uploadedSegments,
+        url: uploadedSegments[0]?.url || null,
+        outputBytes: size,
+        extra: {}
+    }
+}
+
+// Helper functions
+const WORK_ROOT = process.env.WORK_ROOT || '/tmp/encoding'
+const KEEP_MARKER = '.keep'
+const STALE_WORK_DIR_MS = 24 * 60 * 60 * 1000
+const OUTPUT_SIZE_FACTOR = 1.5 // output per rendition relative to the input, generous for low-bitrate sources
+const DISK_HEADROOM_BYTES = 512 * 1024 * 1024
+
+// Total size of every file below dir
+const getDirectorySize = (dir) => fs.readdirSync(dir, { withFileTypes: true }).reduce((sum, entry) => {
+    const entryPath = path.join(dir, entry.name)
+    return sum + (entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size)
+}, 0)
+
+// Unique per-job directory: WORK_ROOT/job-<pid>-<random>
+const createJobWorkDir = () => {
+    fs.mkdirSync(WORK_ROOT, { recursive: true })
+    return fs.mkdtempSync(path.join(WORK_ROOT, `job-${process.pid}-`))
+}
+
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0)
+        return true
     } catch (error) {
-        console.error('❌ Google Drive download failed:', error.message)
-        if (error.response) {
-            console.error('Response status:', error.response.status)
-            console.error('Response data:', error.response.data)
+        return error.code === 'EPERM'
+    }
+}
+
+// Remove job directories left behind by crashed workers: owner process gone, or older than a day
+// (PIDs get reused after a container restart). Directories kept with keepWorkDir are skipped
+const cleanupStaleWorkDirs = () => {
+    if (!fs.existsSync(WORK_ROOT)) return
+    let removed = 0
+    for (const entry of fs.readdirSync(WORK_ROOT)) {
+        const match = entry.match(/^job-(\d+)-/)
+        if (!match) continue
+        const dir = path.join(WORK_ROOT, entry)
+        try {
+            if (fs.existsSync(path.join(dir, KEEP_MARKER))) continue
+            const pid = Number(match[1])
+            const stale = (pid !== process.pid && !isProcessAlive(pid))
+                || Date.now() - fs.statSync(dir).mtimeMs > STALE_WORK_DIR_MS
+            if (stale) {
+                fs.rmSync(dir, { recursive: true, force: true })
+                removed++
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not clean up ${dir}: ${error.message}`)
         }
-        throw new Error(`Failed to download from Google Drive: ${error.message}`)
     }
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} stale work director${removed === 1 ? 'y' : 'ies'} from ${WORK_ROOT}`)
+    }
+}
+
+// Fail before downloading when the disk cannot hold the input plus the estimated output
+const checkDiskSpace = (dir, inputBytes, variantCount = 1) => {
+    const { bavail, bsize } = fs.statfsSync(dir)
+    const freeBytes = bavail * bsize
+    const estimatedOutputBytes = Math.round(inputBytes * OUTPUT_SIZE_FACTOR * variantCount)
+    const requiredBytes = inputBytes + estimatedOutputBytes + DISK_HEADROOM_BYTES
+    const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(0)
+    
+    if (!inputBytes) {
+        console.warn(`⚠️ Input size unknown, only checking headroom (${toMB(freeBytes)}MB free)`)
+    }
+    if (freeBytes < requiredBytes) {
+        throw createJobError('INSUFFICIENT_DISK', `Insufficient disk space in ${dir}: need ~${toMB(requiredBytes)}MB (input ${toMB(inputBytes)}MB + estimated output ${toMB(estimatedOutputBytes)}MB + ${toMB(DISK_HEADROOM_BYTES)}MB headroom), ${toMB(freeBytes)}MB free`, { stage: 'download' })
+    }
+    console.log(`💽 Disk preflight OK: ${toMB(freeBytes)}MB free, ~${toMB(requiredBytes)}MB needed`)
+    return { freeBytes, requiredBytes, estimatedOutputBytes }
 }
 
-const getVideoInfo = async (inputFile) => {
+const DOWNLOAD_STALL_TIMEOUT_MS = 60000 // a half-closed connection can leave the stream silent forever
+const URL_DOWNLOAD_ATTEMPTS = 5
+const DEFAULT_MAX_INPUT_MB = 20480
+// Servers that answer with these are returning an error or login page, not media
+const NON_MEDIA_CONTENT_TYPES = /^(text\/|application\/(json|xml|xhtml\+xml|problem\+json)\b)/i
+    
+const downloadBackoff = (attempt) => Math.random() * Math.min(8000, 1000 * 2 ** (attempt - 1))
+
+// Pipe a response stream into outputPath (appending when resuming) and resolve the total bytes on disk
+// Aborts when the stream stalls or grows past maxBytes
+const streamToFile = (stream, outputPath, { append = false, startBytes = 0, totalBytes = 0, maxBytes = Infinity, onProgress, signal } = {}) => {
+    let downloadedBytes = startBytes
+    let nextLogAt = downloadedBytes + 5 * 1024 * 1024
+    
     return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(inputFile, (err, metadata) => {
-            if (err) {
-                reject(err)
-            } else {
-                const videoStream = metadata.streams.find(s => s.codec_type === 'video')
-                resolve({
-                    duration: metadata.format.duration,
-                    size: metadata.format.size,
-                    bitrate: metadata.format.bit_rate,
-                    width: videoStream?.width,
-                    height: videoStream?.height,
-                    fps: (() => {
-                        const fr = (videoStream?.r_frame_rate || '0/1').split('/')
-                        const num = parseFloat(fr[0] || '0'), den = parseFloat(fr[1] || '1')
-                        return den ? num/den : 0
-                    })() || 30
-                })
+        const writer = fs.createWriteStream(outputPath, { flags: append ? 'a' : 'w' })
+        let stallTimer
+        const armStallTimer = () => {
+            clearTimeout(stallTimer)
+            stallTimer = setTimeout(() => {
+                stream.destroy(createJobError('DOWNLOAD_FAILED', `no data for ${DOWNLOAD_STALL_TIMEOUT_MS / 1000}s`, { retryable: true }))
+            }, DOWNLOAD_STALL_TIMEOUT_MS)
+        }
+        armStallTimer()
+        const onAbort = () => stream.destroy(signal.reason)
+        signal?.addEventListener('abort', onAbort, { once: true })
+        stream.on('data', (chunk) => {
+            armStallTimer()
+            downloadedBytes += chunk.length
+            if (downloadedBytes > maxBytes) {
+                stream.destroy(createJobError('INPUT_REJECTED', `input exceeds the ${(maxBytes / 1024 / 1024).toFixed(0)}MB limit`))
+                return
+            }
+            onProgress?.(downloadedBytes, totalBytes)
+            if (downloadedBytes >= nextLogAt) { // Log every 5MB
+                const percent = totalBytes ? ((downloadedBytes / totalBytes) * 100).toFixed(1) : '?'
+                console.log(`📥 Downloaded: ${percent}% (${(downloadedBytes / 1024 / 1024).toFixed(1)}MB)`)
+                nextLogAt += 5 * 1024 * 1024
             }
         })
+        stream.on('error', (error) => writer.destroy(error))
+        stream.pipe(writer)
+        writer.on('finish', () => resolve(downloadedBytes))
+        writer.on('error', reject)
+        writer.on('close', () => {
+            clearTimeout(stallTimer)
+            signal?.removeEventListener('abort', onAbort)
+        })
     })
 }
 
-const encodeWithNVENC = async (inputFile, outputDir, quality, segmentTime) => {
-    // Check if NVENC is available first
-    const useNVENC = await checkNVENCAvailability()
+// Request headers for the `download` payload: custom headers plus basic or bearer auth
+const buildDownloadHeaders = ({ headers = {}, auth } = {}) => {
+    const result = { ...headers }
+    if (!auth) return result
+    if (auth.type === 'basic') {
+        result.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password ?? ''}`).toString('base64')}`
+    } else if (auth.type === 'bearer') {
+        result.Authorization = `Bearer ${auth.token}`
+    } else {
+        throw createJobError('INPUT_INVALID', `Unsupported download auth type: ${auth.type}. Supported types: basic, bearer`)
+    }
+    return result
+}
+
+// Total size from Content-Range ("bytes 100-999/1000") or Content-Length
+const getResponseTotalSize = (response, offset) => {
+    const range = response.headers['content-range']?.match(/\/(\d+)$/)
+    if (range) return Number(range[1])
+    const length = Number(response.headers['content-length'])
+    return Number.isFinite(length) && length > 0 ? length + offset : 0
+}
+
+// Error code for a failed HTTP response from the input source
+const httpStatusErrorCode = (status) => {
+    if (status === 401 || status === 403) return 'INPUT_AUTH'
+    if (status === 404 || status === 410) return 'INPUT_NOT_FOUND'
+    if (status >= 500 || status === 408 || status === 429) return 'DOWNLOAD_FAILED'
+    return 'INPUT_REJECTED'
+}
+
+// Download a video from a plain URL, resuming with Range requests after a dropped connection
+// options: { headers, auth: { type: 'basic', username, password } | { type: 'bearer', token }, maxSizeMB, onSize, onProgress, signal }
+const downloadVideo = async (url, outputPath, options = {}) => {
+    const headers = buildDownloadHeaders(options)
+    const maxBytes = (options.maxSizeMB || DEFAULT_MAX_INPUT_MB) * 1024 * 1024
     
-    return new Promise((resolve, reject) => {
-        const qualitySettings = {
-            high: { qp: 20, preset: 'p4' },
-            medium: { qp: 25, preset: 'p4' },
-            low: { qp: 30, preset: 'p6' }
-        }
-        
-        const settings = qualitySettings[quality] || qualitySettings.medium
-        const gopSize = Math.round(25 * segmentTime) // GOP size optimized for 25fps (50 for 2s segments)
-        
-        let args
-        if (useNVENC) {
-            console.log('🚀 Using NVIDIA NVENC GPU encoding')
-            args = [
-                '-y',
-                '-init_hw_device', 'cuda=gpu:0', '-filter_hw_device', 'gpu',
-                '-hwaccel', 'cuda', '-hwaccel_output_format', 'cuda',
-                '-i', inputFile,
-
-                // FULL GPU PIPELINE - pure CUDA chain without format conversion
-                '-vf', 'scale_npp=trunc(iw/2)*2:trunc(ih/2)*2:interp_algo=lanczos',
-
-                // ENCODE NVENC - with enhanced color and sharpness settings
-                '-c:v', 'h264_nvenc',
-                '-pix_fmt', 'nv12',           // CRITICAL: explicit pixel format for NVENC
-                '-preset', 'p1',              // p1 nhanh nhất
-                '-rc', 'vbr', '-cq', '21',    // Giảm từ 23 xuống 21 cho chất lượng tốt hơn
-                '-b:v', '3000k', '-maxrate', '5000k', '-bufsize', '6000k', // Tăng bitrate cho màu đẹp hơn
-                '-profile:v', 'high', '-level', '4.1', '-bf', '2',
-                '-spatial_aq', '1', '-temporal_aq', '1',
-                // Enhanced color and sharpness for NVENC
-                '-weighted_pred', '1',        // Weighted prediction cho màu tự nhiên hơn
-                '-rc-lookahead', '20',        // Lookahead cho bitrate allocation tốt hơn
-                '-surfaces', '32',            // Tăng surfaces cho encoding mượt hơn
-                '-refs', '3',                 // Reference frames cho detail tốt hơn
-
-                // GOP & HLS giữ nguyên như bạn
-                '-g', gopSize.toString(), '-keyint_min', gopSize.toString(),
-                '-force_key_frames', `expr:gte(t,n_forced*${segmentTime})`,
-                '-c:a', 'aac', '-b:a', '128k', '-ac', '2', '-ar', '48000',
-                '-hls_time', segmentTime.toString(), '-hls_playlist_type', 'vod',
-                '-hls_flags', 'independent_segments', '-hls_list_size', '0', '-start_number', '0',
-                '-hls_segment_filename', path.join(outputDir, 'ts', '%03d.ts'),
-                '-f', 'hls', path.join(outputDir, 'master.m3u8')
-            ]
-            console.log('🎨 Fixed Hybrid Pipeline: GPU decode → GPU scale → CPU color grading → format+upload → NVENC encode')
-        } else {
-            console.log('⚠️ NVENC not available, using software encoding')
-            args = [
-                '-y',
-                '-i', inputFile,
+    try {
+        fs.rmSync(outputPath, { force: true })
+        let expectedSize = 0
+        let contentType = null
+        let resumes = 0
+        let sizeReported = false
+        
+        for (let attempt = 1; ; attempt++) {
+            options.signal?.throwIfAborted()
+            const offset = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0
+            if (expectedSize && offset >= expectedSize) break
+            
+            try {
+                const response = await axios({
+                    method: 'GET',
+                    url: url,
+                    headers: offset ? { ...headers, Range: `bytes=${offset}-` } : headers,
+                    responseType: 'stream',
+                    timeout: 300000, // 5 minutes
+                    signal: options.signal,
+                    validateStatus: () => true
+                })
+                
+                if (response.status !== 200 && response.status !== 206) {
+                    response.data.destroy()
+                    throw createJobError(httpStatusErrorCode(response.status), `HTTP ${response.status} ${response.statusText || ''}`.trim(), {
+                        retryable: response.status >= 500 || response.status === 408 || response.status === 429
+                    })
+                }
                 
-                // Software encoding with CPU filters
-                '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2:out_range=full:flags=lanczos,eq=contrast=1.15:saturation=1.28:brightness=0.05:gamma=0.95,unsharp=5:5:1.2:5:5:0.8',
+                contentType = response.headers['content-type'] || null
+                if (contentType && NON_MEDIA_CONTENT_TYPES.test(contentType)) {
+                    response.data.destroy()
+                    throw createJobError('INPUT_REJECTED', `URL returned ${contentType} instead of a video (error or login page?)`)
+                }
                 
-                // x264 software encoding
-                '-c:v', 'libx264',
-                '-preset', 'fast', // Faster for CPU
-                '-crf', '23',
-                '-profile:v', 'high',
-                '-level', '4.1',
-                '-bf', '2',
+                // A 200 to a Range request means the server ignored it: start over
+                const append = offset > 0 && response.status === 206
+                if (offset > 0) {
+                    console.log(append
+                        ? `🔁 Resuming download at ${(offset / 1024 / 1024).toFixed(1)}MB`
+                        : '🔁 Server ignored the Range request, restarting download')
+                }
                 
-                // GOP settings
-                '-g', gopSize.toString(),
-                '-keyint_min', gopSize.toString(),
-                '-sc_threshold', '0',
-                '-force_key_frames', `expr:gte(t,n_forced*${segmentTime})`,
+                expectedSize = getResponseTotalSize(response, append ? offset : 0) || expectedSize
+                if (expectedSize > maxBytes) {
+                    response.data.destroy()
+                    throw createJobError('INPUT_REJECTED', `input is ${(expectedSize / 1024 / 1024).toFixed(0)}MB, over the ${(maxBytes / 1024 / 1024).toFixed(0)}MB limit`)
+                }
+                if (!sizeReported) {
+                    sizeReported = true
+                    try {
+                        options.onSize?.(expectedSize)
+                    } catch (error) {
+                        response.data.destroy()
+                        throw Object.assign(error, { retryable: false })
+                    }
+                }
                 
-                // Audio
-                '-c:a', 'aac', '-b:a', '128k', '-ac', '2', '-ar', '48000',
+                const downloadedBytes = await streamToFile(response.data, outputPath, {
+                    append,
+                    startBytes: append ? offset : 0,
+                    totalBytes: expectedSize,
+                    maxBytes,
+                    onProgress: options.onProgress,
+                    signal: options.signal
+                })
                 
-                // HLS
-                '-hls_time', segmentTime.toString(),
-                '-hls_playlist_type', 'vod',
-                '-hls_flags', 'independent_segments',
-                '-hls_list_size', '0',
-                '-start_number', '0',
-                '-hls_segment_filename', path.join(outputDir, 'ts', '%03d.ts'),
-                '-f', 'hls',
-                path.join(outputDir, 'master.m3u8')
-            ]
-            console.log('🎨 CPU Enhancement: x264 + Contrast+1.15 + Saturation+1.28')
+                if (!expectedSize || downloadedBytes >= expectedSize) break
+                throw createJobError('DOWNLOAD_FAILED', `connection closed at ${downloadedBytes}/${expectedSize} bytes`, { retryable: true })
+            } catch (error) {
+                // Network errors from axios carry no flag and are worth another attempt
+                if (options.signal?.aborted || error.retryable === false || attempt >= URL_DOWNLOAD_ATTEMPTS) throw error
+                resumes++
+                const delay = downloadBackoff(attempt)
+                console.warn(`⚠️ Download interrupted (${error.message}), attempt ${attempt + 1}/${URL_DOWNLOAD_ATTEMPTS} in ${Math.round(delay)}ms`)
+                await sleep(delay, options.signal)
+            }
         }
         
-        console.log('🔧 FFmpeg command: ffmpeg', args.join(' '))
+        const downloadedSize = fs.statSync(outputPath).size
+        if (downloadedSize === 0) {
+            throw createJobError('INPUT_REJECTED', 'server returned an empty body')
+        }
+        if (expectedSize && downloadedSize !== expectedSize) {
+            throw createJobError('DOWNLOAD_FAILED', `size mismatch: got ${downloadedSize} bytes, server announced ${expectedSize}`)
+        }
         
-        const startTime = Date.now()
-        const proc = spawn('ffmpeg', args, { env: buildFfmpegEnv() })
-        let logs = ''
-        let lastProgressTime = 0
+        return {
+            source: 'url',
+            contentType,
+            size: downloadedSize,
+            expectedSize: expectedSize || null,
+            resumes
+        }
         
-        proc.stderr.on('data', (data) => {
-            const output = data.toString()
-            logs += output
-            
-            // Enhanced progress logging
-            if (output.includes('time=')) {
-                const timeMatch = output.match(/time=(\d+:\d+:\d+\.\d+)/)
-                const speedMatch = output.match(/speed=\s*([0-9.]+)x/)
-                const fpsMatch = output.match(/fps=\s*([0-9.]+)/)
-                
-                if (timeMatch) {
-                    const currentTime = Date.now()
-                    if (currentTime - lastProgressTime > 5000) { // Log every 5 seconds
-                        lastProgressTime = currentTime
-                        const progress = `⏱️ Progress: ${timeMatch[1]}`
-                        const speed = speedMatch ? ` | Speed: ${speedMatch[1]}x` : ''
-                        const fps = fpsMatch ? ` | FPS: ${fpsMatch[1]}` : ''
-                        console.log(progress + speed + fps)
-                    }
-                }
-            }
+    } catch (error) {
+        if (options.signal?.aborted) throw options.signal.reason
+        console.error('❌ URL download failed:', error.message)
+        throw toJobError(error, 'DOWNLOAD_FAILED', { stage: 'download', message: `Failed to download video: ${error.message}` })
+    }
+}
+
+// Drive errors that no retry will fix, keyed by the API's error reason
+const DRIVE_ERROR_MESSAGES = {
+    notFound: 'Drive file not found or not shared with this account',
+    downloadQuotaExceeded: 'Drive download quota exceeded for this file, try again later',
+    quotaExceeded: 'Drive API quota exceeded',
+    dailyLimitExceeded: 'Drive API daily limit exceeded',
+    cannotDownloadAbusiveFile: 'Drive blocked the download: the file was flagged by the virus/abuse scan',
+    fileNotDownloadable: 'Drive file cannot be downloaded (Google Docs files must be exported)',
+    insufficientFilePermissions: 'The Google account has no permission to download this file'
+}
+// Taxonomy code per Drive error reason (quota errors: retrying right away won't help)
+const DRIVE_ERROR_CODES = {
+    notFound: 'INPUT_NOT_FOUND',
+    downloadQuotaExceeded: 'DOWNLOAD_FAILED',
+    quotaExceeded: 'DOWNLOAD_FAILED',
+    dailyLimitExceeded: 'DOWNLOAD_FAILED',
+    cannotDownloadAbusiveFile: 'INPUT_REJECTED',
+    fileNotDownloadable: 'INPUT_REJECTED',
+    insufficientFilePermissions: 'INPUT_AUTH'
+}
+const DRIVE_RETRYABLE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'backendError', 'internalError']
+const DRIVE_DOWNLOAD_ATTEMPTS = 5
+
+// OAuth2 client that refreshes the access token itself when it has expired (or expires mid-job)
+// Refreshing needs the OAuth client credentials: googleToken.client_id/client_secret or GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET
+const createDriveClient = (token) => {
+    const clientId = token.client_id || process.env.GOOGLE_CLIENT_ID
+    const clientSecret = token.client_secret || process.env.GOOGLE_CLIENT_SECRET
+    const canRefresh = Boolean(token.refresh_token && clientId && clientSecret)
+    
+    if (!token.access_token && !canRefresh) {
+        throw createJobError('INPUT_AUTH', 'googleToken needs an access_token, or a refresh_token plus OAuth client credentials')
+    }
+    if (token.expiry_date && token.expiry_date <= Date.now() && !canRefresh) {
+        throw createJobError('INPUT_AUTH', `Google access token expired at ${new Date(token.expiry_date).toISOString()} and cannot be refreshed (${token.refresh_token ? 'missing OAuth client_id/client_secret' : 'no refresh_token'})`)
+    }
+    
+    const auth = new google.auth.OAuth2(clientId, clientSecret)
+    auth.setCredentials({
+        access_token: token.access_token,
+        refresh_token: canRefresh ? token.refresh_token : undefined,
+        expiry_date: token.expiry_date,
+        token_type: token.token_type || 'Bearer',
+        scope: token.scope
+    })
+    
+    const state = { refreshed: false }
+    auth.on('tokens', (tokens) => {
+        state.refreshed = true
+        console.log(`🔑 Google access token refreshed (expires ${tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : 'unknown'})`)
+    })
+    
+    return { drive: google.drive({ version: 'v3', auth }), auth, state }
+}
+
+// Drive media endpoint plus a bearer token, so ffprobe can range-read the file in place
+const getDriveMediaSource = async (driveId, token) => {
+    const { auth } = createDriveClient(token)
+    const { token: accessToken } = await auth.getAccessToken()
+    return {
+        url: `https://www.googleapis.com/drive/v3/files/${encodeURIComponent(driveId)}?alt=media&supportsAllDrives=true`,
+        headers: { Authorization: `Bearer ${accessToken}` }
+    }
+}
+
+// Pull status + reason out of a googleapis error; media requests carry the JSON body as a stream
+const readDriveError = async (error) => {
+    const status = error.response?.status || error.code
+    let data = error.response?.data
+    if (data && typeof data.pipe === 'function') {
+        try {
+            let body = ''
+            for await (const chunk of data) body += chunk
+            data = JSON.parse(body)
+        } catch {
+            data = null
+        }
+    } else if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data)
+        } catch {
+            data = null
+        }
+    }
+    const detail = data?.error?.errors?.[0] || error.errors?.[0] || {}
+    return {
+        status: typeof status === 'number' ? status : null,
+        reason: detail.reason || (status === 404 ? 'notFound' : null),
+        message: detail.message || data?.error?.message || data?.error_description || error.message
+    }
+}
+
+const toDriveError = async (error, driveId) => {
+    const { status, reason, message } = await readDriveError(error)
+    if (reason && DRIVE_ERROR_MESSAGES[reason]) {
+        return createJobError(DRIVE_ERROR_CODES[reason], `${DRIVE_ERROR_MESSAGES[reason]}: ${driveId}`, { retryable: false })
+    }
+    if (status === 401 || /invalid_grant|invalid_client/.test(message)) {
+        return createJobError('INPUT_AUTH', `Google token rejected (${message})`)
+    }
+    const retryable = !status || status >= 500 || status === 429 || DRIVE_RETRYABLE_REASONS.includes(reason)
+    return createJobError(retryable ? 'DOWNLOAD_FAILED' : httpStatusErrorCode(status), message, { retryable })
+}
+
+const md5File = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5')
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject)
+})
+
+// Stream a Drive file to disk, resuming with a Range request from the bytes already on disk
+// fetchMedia(offset) returns the googleapis media response starting at that offset
+const downloadDriveMedia = async (fetchMedia, outputPath, { driveId, size, md5Checksum, onProgress, signal } = {}) => {
+    fs.rmSync(outputPath, { force: true })
+    let resumes = 0
+    
+    for (let attempt = 1; ; attempt++) {
+        signal?.throwIfAborted()
+        const offset = fs.existsSync(outputPath) ? fs.statSync(outputPath).size : 0
+        if (size && offset >= size) break
+        
+        try {
+            const response = await fetchMedia(offset)
             
-            // Log encoding method info
-            if (output.includes('h264_nvenc') || output.includes('nvenc')) {
-                console.log('🚀 NVENC GPU encoding active')
-            }
-            if (output.includes('libx264')) {
-                console.log('💻 Software x264 encoding active')
+            // A 200 to a Range request means the server ignored it: start over
+            const append = offset > 0 && response.status === 206
+            if (offset > 0) {
+                console.log(append
+                    ? `🔁 Resuming Drive download at ${(offset / 1024 / 1024).toFixed(1)}MB`
+                    : '🔁 Drive ignored the Range request, restarting download')
             }
             
-            // Log any warnings or errors
-            if (output.includes('deprecated') || output.includes('warning')) {
-                console.warn('⚠️ Warning:', output.trim())
+            const downloadedBytes = await streamToFile(response.data, outputPath, { append, startBytes: append ? offset : 0, totalBytes: size, onProgress, signal })
+            
+            if (!size || downloadedBytes >= size) break
+            throw createJobError('DOWNLOAD_FAILED', `connection closed at ${downloadedBytes}/${size} bytes`, { retryable: true })
+        } catch (rawError) {
+            if (signal?.aborted) throw signal.reason
+            const error = rawError.retryable === undefined ? await toDriveError(rawError, driveId) : rawError
+            if (!error.retryable || attempt >= DRIVE_DOWNLOAD_ATTEMPTS) throw error
+            resumes++
+            const delay = downloadBackoff(attempt)
+            console.warn(`⚠️ Drive download interrupted (${error.message}), attempt ${attempt + 1}/${DRIVE_DOWNLOAD_ATTEMPTS} in ${Math.round(delay)}ms`)
+            await sleep(delay, signal)
+        }
+    }
+    
+    const downloadedSize = fs.statSync(outputPath).size
+    if (size && downloadedSize !== size) {
+        throw createJobError('DOWNLOAD_FAILED', `size mismatch: got ${downloadedSize} bytes, Drive reports ${size}`)
+    }
+    
+    // Verify against Drive's checksum (not present for every file type)
+    if (md5Checksum) {
+        const actual = await md5File(outputPath)
+        if (actual !== md5Checksum) {
+            fs.rmSync(outputPath, { force: true })
+            throw createJobError('DOWNLOAD_FAILED', `MD5 mismatch: downloaded ${actual}, Drive reports ${md5Checksum}`)
+        }
+        console.log(`🔐 MD5 verified: ${md5Checksum}`)
+    }
+    
+    return { size: downloadedSize, resumes }
+}
+
+// Download video from Google Drive through the googleapis client
+const downloadVideoFromGoogleDrive = async (driveId, token, outputPath, { onSize, onProgress, signal } = {}) => {
+    console.log(`📥 Downloading from Google Drive: ${driveId}`)
+    
+    try {
+        const { drive, state } = createDriveClient(token)
+        
+        // Get file metadata first to check size, type and checksum (shared drives included)
+        let metadata
+        try {
+            const response = await drive.files.get({
+                fileId: driveId,
+                fields: 'id,name,size,mimeType,md5Checksum',
+                supportsAllDrives: true
+            }, { timeout: 30000, signal })
+            metadata = response.data
+        } catch (error) {
+            throw await toDriveError(error, driveId)
+        }
+        
+        const { name, mimeType, md5Checksum } = metadata
+        const size = Number(metadata.size || 0)
+        console.log(`📊 File info: ${name}, size: ${(size / 1024 / 1024).toFixed(2)}MB, type: ${mimeType}`)
+        
+        if (mimeType?.startsWith('application/vnd.google-apps.')) {
+            throw createJobError('INPUT_REJECTED', `${DRIVE_ERROR_MESSAGES.fileNotDownloadable}: ${driveId} (${mimeType})`)
+        }
+        onSize?.(size)
+        
+        const { size: downloadedSize, resumes } = await downloadDriveMedia((offset) => drive.files.get({
+            fileId: driveId,
+            alt: 'media',
+            supportsAllDrives: true
+        }, {
+            responseType: 'stream',
+            timeout: 600000, // 10 minutes for large files
+            signal,
+            headers: offset ? { Range: `bytes=${offset}-` } : {}
+        }), outputPath, { driveId, size, md5Checksum, onProgress, signal })
+        
+        console.log(`✅ Google Drive download completed: ${(downloadedSize / 1024 / 1024).toFixed(2)}MB`)
+        return {
+            source: 'drive',
+            name,
+            mimeType,
+            size: downloadedSize,
+            md5Checksum: md5Checksum || null,
+            md5Verified: Boolean(md5Checksum),
+            resumes,
+            tokenRefreshed: state.refreshed
+        }
+        
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason
+        console.error('❌ Google Drive download failed:', error.message)
+        throw toJobError(error, 'DOWNLOAD_FAILED', { stage: 'download', message: `Failed to download from Google Drive: ${error.message}` })
+    }
+}
+
+// Remote inputs are read by ffprobe in place; only network protocols are allowed so a playlist
+// can't point ffprobe at local files
+const REMOTE_PROBE_PROTOCOLS = 'http,https,tls,tcp,crypto'
+
+// Fields that look numeric but are names ("5.1" channel layout, "12" profile ids)
+const TEXT_PROBE_FIELDS = ['channel_layout', 'profile', 'codec_tag_string']
+
+// ffprobe as JSON, killed when the job is aborted. Plain numeric values become numbers
+// (tags stay strings), the same shape fluent-ffmpeg's ffprobe used to return.
+// input: a local path or an http(s) URL (headers are sent with every range request)
+const runFfprobe = (input, { signal, headers } = {}) => new Promise((resolve, reject) => {
+    const remote = /^https?:\/\//.test(input)
+    const headerLines = Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}\r\n`).join('')
+    const proc = spawn(process.env.FFPROBE_PATH || 'ffprobe', [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', '-show_chapters',
+        ...(remote ? ['-protocol_whitelist', REMOTE_PROBE_PROTOCOLS, '-rw_timeout', '30000000'] : []),
+        ...(headerLines ? ['-headers', headerLines] : []),
+        input
+    ], { env: buildFfmpegEnv() })
+    let stdout = ''
+    let stderr = ''
+    const stopOnAbort = () => proc.kill('SIGKILL')
+    signal?.addEventListener('abort', stopOnAbort, { once: true })
+    
+    proc.stdout.on('data', (data) => { stdout += data })
+    proc.stderr.on('data', (data) => { stderr += data })
+    proc.on('error', reject)
+    proc.on('close', (code) => {
+        signal?.removeEventListener('abort', stopOnAbort)
+        if (signal?.aborted) return reject(signal.reason)
+        if (code !== 0) {
+            const excerpt = extractFfmpegErrors(stderr)
+            return reject(createJobError('PROBE_FAILED', `ffprobe could not read the input: ${excerpt.at(-1) || `exit code ${code}`}`, {
+                stage: 'analyze',
+                ffmpeg: { command: 'ffprobe', exitCode: code, excerpt }
+            }))
+        }
+        
+        const toNumbers = (block = {}) => Object.fromEntries(Object.entries(block).map(([key, value]) => [
+            key,
+            typeof value === 'string' && !TEXT_PROBE_FIELDS.includes(key) && /^[0-9]+(\.[0-9]+)?$/.test(value) ? Number(value) : value
+        ]))
+        try {
+            const data = JSON.parse(stdout)
+            resolve({
+                streams: (data.streams || []).map(toNumbers),
+                format: toNumbers(data.format),
+                chapters: (data.chapters || []).map(toNumbers)
+            })
+        } catch (error) {
+            reject(createJobError('PROBE_FAILED', `Could not parse ffprobe output: ${error.message}`, { stage: 'analyze' }))
+        }
+    })
+})
+
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text']
+const INTERLACED_FIELD_ORDERS = ['tt', 'bb', 'tb', 'bt']
+
+// "30000/1001" -> 29.97; null for unknown rates ("0/0")
+const parseFrameRate = (value) => {
+    const rate = parseRational(value || '0/0')
+    return Number.isFinite(rate) && rate > 0 ? Number(rate.toFixed(3)) : null
+}
+
+// Rotation from the display matrix side data (or the legacy rotate tag), normalised to 0-359
+const readRotation = (stream) => {
+    const matrix = (stream.side_data_list || []).find(entry => entry.side_data_type === 'Display Matrix')
+    const degrees = Number(matrix?.rotation ?? stream.tags?.rotate ?? 0) || 0
+    return ((Math.round(degrees) % 360) + 360) % 360
+}
+
+// One ffprobe stream as reported in the media inventory
+const describeStream = (stream) => {
+    const disposition = stream.disposition || {}
+    const common = {
+        index: stream.index,
+        type: stream.codec_type,
+        codec: stream.codec_name || null,
+        codecLongName: stream.codec_long_name || null,
+        codecTag: stream.codec_tag_string || null,
+        language: stream.tags?.language || null,
+        title: stream.tags?.title || null,
+        default: disposition.default === 1,
+        forced: disposition.forced === 1,
+        duration: Number(stream.duration) || null,
+        bitrate: Number(stream.bit_rate) || null
+    }
+    
+    if (stream.codec_type === 'video') {
+        const frameRate = parseFrameRate(stream.avg_frame_rate)
+        const nominalFrameRate = parseFrameRate(stream.r_frame_rate)
+        const hdr = HDR_TRANSFERS[stream.color_transfer] || null
+        return {
+            ...common,
+            profile: stream.profile || null,
+            level: stream.level ?? null,
+            width: stream.width,
+            height: stream.height,
+            sampleAspectRatio: stream.sample_aspect_ratio || null,
+            displayAspectRatio: stream.display_aspect_ratio || null,
+            pixelFormat: stream.pix_fmt || null,
+            bitDepth: Number(stream.bits_per_raw_sample) || Number(stream.pix_fmt?.match(/(\d{2})[lb]e$/)?.[1]) || 8,
+            frameRate: frameRate || nominalFrameRate,
+            nominalFrameRate,
+            // The container's base rate and the measured average disagree for variable frame rate video
+            variableFrameRate: Boolean(frameRate && nominalFrameRate && Math.abs(frameRate - nominalFrameRate) / nominalFrameRate > 0.01),
+            fieldOrder: stream.field_order || null,
+            interlaced: INTERLACED_FIELD_ORDERS.includes(stream.field_order),
+            rotation: readRotation(stream),
+            frames: Number(stream.nb_frames) || null,
+            color: {
+                primaries: stream.color_primaries || null,
+                transfer: stream.color_transfer || null,
+                space: stream.color_space || null,
+                range: stream.color_range || null
+            },
+            hdr,
+            hdrMetadata: hdr ? readHdrMetadata(stream) : null,
+            // Embedded cover art shows up as a one-frame video stream
+            coverArt: disposition.attached_pic === 1
+        }
+    }
+    if (stream.codec_type === 'audio') {
+        return {
+            ...common,
+            profile: stream.profile || null,
+            channels: stream.channels,
+            channelLayout: stream.channel_layout || null,
+            sampleRate: Number(stream.sample_rate) || null,
+            sampleFormat: stream.sample_fmt || null,
+            commentary: disposition.comment === 1,
+            visualImpaired: disposition.visual_impaired === 1
+        }
+    }
+    if (stream.codec_type === 'subtitle') {
+        return {
+            ...common,
+            textBased: TEXT_SUBTITLE_CODECS.includes(stream.codec_name),
+            hearingImpaired: disposition.hearing_impaired === 1
+        }
+    }
+    if (stream.codec_type === 'attachment') {
+        return { ...common, filename: stream.tags?.filename || null, mimeType: stream.tags?.mimetype || null }
+    }
+    return common
+}
+
+// Media inventory: container, every stream and chapters (returned by `probe` and in encode results)
+const describeMedia = ({ format, streams, chapters }) => {
+    const described = streams.map(describeStream)
+    const count = (type) => described.filter(stream => stream.type === type).length
+    return {
+        container: {
+            format: format.format_name || null,
+            formatLongName: format.format_long_name || null,
+            duration: Number(format.duration) || null,
+            size: Number(format.size) || null,
+            bitrate: Number(format.bit_rate) || null,
+            startTime: Number(format.start_time) || 0,
+            title: format.tags?.title || null,
+            encoder: format.tags?.encoder || null,
+            creationTime: format.tags?.creation_time || null
+        },
+        summary: {
+            video: described.filter(stream => stream.type === 'video' && !stream.coverArt).length,
+            audio: count('audio'),
+            subtitle: count('subtitle'),
+            attachment: count('attachment'),
+            data: count('data')
+        },
+        streams: described,
+        chapters: chapters.map((chapter, index) => ({
+            index,
+            start: Number(chapter.start_time) || 0,
+            end: Number(chapter.end_time) || null,
+            title: chapter.tags?.title || null
+        }))
+    }
+}
+
+// Probe an input (path or URL) into a media inventory
+const probeMedia = async (input, options = {}) => describeMedia(await runFfprobe(input, options))
+
+// The primary video stream the encoder works from, flattened with container facts (cover art is skipped)
+const getVideoInfo = (media) => {
+    const videoStream = media.streams.find(stream => stream.type === 'video' && !stream.coverArt)
+    if (!videoStream) {
+        throw createJobError('UNSUPPORTED_CODEC', 'Input has no video stream', { stage: 'analyze' })
+    }
+    if (!videoStream.codec || videoStream.codec === 'none') {
+        throw createJobError('UNSUPPORTED_CODEC', `Input video codec is not supported by FFmpeg (${videoStream.codecTag || 'unknown'})`, { stage: 'analyze' })
+    }
+    if (!videoStream.frameRate) {
+        console.warn('⚠️ Input frame rate is unknown; fps is reported as null')
+    }
+    return {
+        duration: media.container.duration || videoStream.duration,
+        size: media.container.size,
+        bitrate: media.container.bitrate,
+        streamIndex: videoStream.index,
+        width: videoStream.width,
+        height: videoStream.height,
+        videoCodec: videoStream.codec,
+        pixelFormat: videoStream.pixelFormat,
+        profile: videoStream.profile,
+        bitDepth: videoStream.bitDepth,
+        colorPrimaries: videoStream.color.primaries,
+        colorTransfer: videoStream.color.transfer,
+        colorSpace: videoStream.color.space,
+        colorRange: videoStream.color.range,
+        hdr: videoStream.hdr,
+        hdrMetadata: videoStream.hdrMetadata,
+        hasAudio: media.summary.audio > 0,
+        fps: videoStream.frameRate,
+        variableFrameRate: videoStream.variableFrameRate,
+        interlaced: videoStream.interlaced,
+        rotation: videoStream.rotation
+    }
+}
+
+// Transfer functions that mark a source as HDR, and the name results use for them
+const HDR_TRANSFERS = { smpte2084: 'hdr10', 'arib-std-b67': 'hlg' }
+const HDR_MODES = ['tonemap', 'preserve']
+const TONEMAP_ALGORITHMS = ['hable', 'mobius', 'reinhard', 'clip', 'linear', 'gamma']
+// Codecs that can carry HDR: 10-bit HEVC Main10 / AV1 Main
+const HDR_CODECS = ['hevc', 'av1']
+
+// "34000/50000" -> 0.68
+const parseRational = (value) => {
+    const [numerator, denominator = 1] = String(value).split('/').map(Number)
+    return denominator ? numerator / denominator : NaN
+}
+
+// Static HDR10 metadata from the stream side data, in x265 master-display / max-cll syntax
+// (chromaticity in 0.00002 units, luminance in 0.0001 cd/m²); null when the container has none
+const readHdrMetadata = (videoStream) => {
+    const sideData = videoStream.side_data_list || []
+    const mastering = sideData.find(entry => entry.side_data_type === 'Mastering display metadata')
+    const light = sideData.find(entry => entry.side_data_type === 'Content light level metadata')
+    let masterDisplay = null
+    if (mastering) {
+        const unit = (key, scale) => Math.round(parseRational(mastering[key]) / scale)
+        const values = [
+            'green_x', 'green_y', 'blue_x', 'blue_y', 'red_x', 'red_y', 'white_point_x', 'white_point_y'
+        ].map(key => unit(key, 0.00002)).concat(unit('max_luminance', 0.0001), unit('min_luminance', 0.0001))
+        if (values.every(Number.isFinite)) {
+            const [gx, gy, bx, by, rx, ry, wx, wy, maxL, minL] = values
+            masterDisplay = `G(${gx},${gy})B(${bx},${by})R(${rx},${ry})WP(${wx},${wy})L(${maxL},${minL})`
+        }
+    }
+    return {
+        masterDisplay,
+        maxCll: light ? `${light.max_content},${light.max_average}` : null
+    }
+}
+
+// How the job treats the source's color (reported as output.color):
+//   sdr      - SDR source, 8-bit 4:2:0 output (10-bit SDR is reduced to 8-bit)
+//   tonemap  - HDR10/HLG source tone-mapped to SDR BT.709, 8-bit
+//   preserve - HDR10/HLG kept as 10-bit BT.2020 HEVC/AV1 with its transfer and static metadata
+const resolveColorHandling = (videoInfo, { hdr: hdrMode = 'tonemap', tonemap = 'hable' } = {}, codec = 'h264') => {
+    const source = {
+        hdr: videoInfo.hdr || null,
+        bitDepth: videoInfo.bitDepth || 8,
+        pixelFormat: videoInfo.pixelFormat || null,
+        primaries: videoInfo.colorPrimaries || null,
+        transfer: videoInfo.colorTransfer || null,
+        matrix: videoInfo.colorSpace || null
+    }
+    if (!source.hdr) {
+        return { mode: 'sdr', source, output: { hdr: null, bitDepth: 8 } }
+    }
+    if (hdrMode === 'preserve') {
+        if (!HDR_CODECS.includes(codec)) {
+            throw createJobError('INPUT_INVALID', `color.hdr "preserve" needs codec ${HDR_CODECS.join(' or ')}, got ${codec}`, { stage: 'analyze' })
+        }
+        return {
+            mode: 'preserve',
+            source,
+            output: {
+                hdr: source.hdr,
+                bitDepth: 10,
+                primaries: 'bt2020',
+                transfer: source.transfer,
+                matrix: 'bt2020nc',
+                ...videoInfo.hdrMetadata
+            }
+        }
+    }
+    return {
+        mode: 'tonemap',
+        tonemap,
+        source,
+        output: { hdr: null, bitDepth: 8, primaries: 'bt709', transfer: 'bt709', matrix: 'bt709' }
+    }
+}
+
+// CPU tone mapping HDR -> SDR BT.709: zscale linearises, tonemap compresses the highlights,
+// zscale converts to BT.709. Runs once, ahead of any scaling
+const buildTonemapFilter = (color) => [
+    `zscale=tin=${color.source.transfer}:pin=bt2020:min=2020_ncl:t=linear:npl=100`,
+    'format=gbrpf32le',
+    'zscale=p=bt709',
+    `tonemap=tonemap=${color.tonemap}:desat=0`,
+    'zscale=t=bt709:m=bt709:r=tv',
+    'format=yuv420p'
+].join(',')
+
+// CPU filters applied to the decoded source before any scaling: HDR tone mapping, then burned-in subtitles
+const buildSourceFilters = (color, subtitleFilter) => [
+    ...(color?.mode === 'tonemap' ? [buildTonemapFilter(color)] : []),
+    ...(subtitleFilter ? [subtitleFilter] : [])
+]
+
+// Scale (and pixel format) chain for one output size on the given pipeline
+const buildScaleFilter = (pipeline, size, color, { fullRange = false } = {}) => {
+    if (pipeline === 'gpu') {
+        // FULL GPU PIPELINE - pure CUDA chain without format conversion
+        return `scale_npp=${size}:interp_algo=lanczos`
+    }
+    const tenBit = color?.output.bitDepth > 8
+    if (pipeline === 'hybrid') {
+        // Same picture as the GPU chain; NVENC takes NV12 (P010 for 10-bit) frames from system memory
+        return `scale=${size}:flags=lanczos,format=${tenBit ? 'p010le' : 'nv12'}`
+    }
+    // Software encoding with CPU filters; the enhancement filters are 8-bit only and would skew HDR
+    return [
+        `scale=${size}:${fullRange ? 'out_range=full:' : ''}flags=lanczos`,
+        ...(tenBit ? [] : ['eq=contrast=1.15:saturation=1.28:brightness=0.05:gamma=0.95', 'unsharp=5:5:1.2:5:5:0.8']),
+        `format=${tenBit ? 'yuv420p10le' : 'yuv420p'}`
+    ].join(',')
+}
+
+// Color signalling for the encoded stream; SDR sources keep FFmpeg's pass-through
+const buildColorTagArgs = (color) => {
+    if (!color || color.mode === 'sdr') return []
+    const { primaries, transfer, matrix } = color.output
+    return ['-color_primaries', primaries, '-color_trc', transfer, '-colorspace', matrix, '-color_range', 'tv']
+}
+
+// x265 params that write the HDR VUI and SEI (HDR10 static metadata when the source had it)
+const buildX265ColorParams = (color) => {
+    if (color?.mode !== 'preserve') return []
+    const { hdr, transfer, masterDisplay, maxCll } = color.output
+    return [
+        'colorprim=bt2020', `transfer=${transfer}`, 'colormatrix=bt2020nc', 'repeat-headers=1',
+        ...(hdr === 'hdr10' ? ['hdr10=1', 'hdr10-opt=1'] : []),
+        ...(masterDisplay ? [`master-display=${masterDisplay}`] : []),
+        ...(maxCll ? [`max-cll=${maxCll}`] : [])
+    ]
+}
+
+// ABR rendition ladder (bitrates in kbps)
+const RENDITION_LADDER = {
+    '1080p': { height: 1080, bitrate: 5000, maxrate: 7500, bufsize: 10000 },
+    '720p': { height: 720, bitrate: 3000, maxrate: 5000, bufsize: 6000 },
+    '480p': { height: 480, bitrate: 1400, maxrate: 2100, bufsize: 2800 },
+    '360p': { height: 360, bitrate: 800, maxrate: 1200, bufsize: 1600 }
+}
+
+// Named quality profiles (bitrates in kbps). `medium` is the long-standing default encode;
+// any field can be overridden per job through the `encoding` payload object
+const QUALITY_PROFILES = {
+    high: {
+        rateControl: 'vbr',
+        cq: 19,
+        crf: 20,
+        bitrate: 5000,
+        maxrate: 8000,
+        bufsize: 10000,
+        nvencPreset: 'p4',
+        softwarePreset: 'medium',
+        videoProfile: 'high',
+        level: '4.1',
+        audioBitrate: 192
+    },
+    medium: {
+        rateControl: 'vbr',
+        cq: 21,
+        crf: 23,
+        bitrate: 3000,
+        maxrate: 5000,
+        bufsize: 6000,
+        nvencPreset: 'p1',
+        softwarePreset: 'fast',
+        videoProfile: 'high',
+        level: '4.1',
+        audioBitrate: 128
+    },
+    low: {
+        rateControl: 'vbr',
+        cq: 26,
+        crf: 28,
+        bitrate: 1500,
+        maxrate: 2500,
+        bufsize: 3000,
+        nvencPreset: 'p1',
+        softwarePreset: 'veryfast',
+        videoProfile: 'main',
+        level: '4.0',
+        audioBitrate: 96
+    }
+}
+
+const RATE_CONTROL_MODES = ['vbr', 'cbr']
+
+// Merge a named profile with per-job overrides and reject anything we can't apply
+const resolveEncodingSettings = (quality = 'medium', overrides = {}) => {
+    const base = QUALITY_PROFILES[quality]
+    if (!base) {
+        throw createJobError('INPUT_INVALID', `Unknown quality profile: ${quality}. Supported profiles: ${Object.keys(QUALITY_PROFILES).join(', ')}`, { stage: 'validate' })
+    }
+    
+    const unknownFields = Object.keys(overrides).filter(field => !(field in base))
+    if (unknownFields.length > 0) {
+        throw createJobError('INPUT_INVALID', `Unknown encoding field(s): ${unknownFields.join(', ')}. Supported fields: ${Object.keys(base).join(', ')}`, { stage: 'validate' })
+    }
+    
+    const settings = { ...base, ...overrides }
+    if (!RATE_CONTROL_MODES.includes(settings.rateControl)) {
+        throw createJobError('INPUT_INVALID', `Unsupported rateControl: ${settings.rateControl}. Supported modes: ${RATE_CONTROL_MODES.join(', ')}`, { stage: 'validate' })
+    }
+    if (!H264_PROFILE_IDC[settings.videoProfile]) {
+        throw createJobError('INPUT_INVALID', `Unsupported videoProfile: ${settings.videoProfile}. Supported profiles: ${Object.keys(H264_PROFILE_IDC).join(', ')}`, { stage: 'validate' })
+    }
+    settings.level = String(settings.level)
+    
+    return {
+        profile: quality,
+        overrides: Object.keys(overrides),
+        ...settings
+    }
+}
+
+// Output codecs: NVENC encoder first, software encoder when the GPU can't do it.
+// HEVC/AV1 are written as fMP4 (CMAF) segments - MPEG-TS can't carry AV1 and Apple requires fMP4 for HEVC
+const VIDEO_CODECS = {
+    h264: {
+        nvenc: 'h264_nvenc',
+        software: 'libx264',
+        segmentType: 'mpegts',
+        crfOffset: 0,
+        nvencArgs: (settings) => ['-profile:v', settings.videoProfile, '-level', settings.level, '-bf', '2'],
+        softwareArgs: (settings) => [
+            '-profile:v', settings.videoProfile, '-level', settings.level, '-bf', '2',
+            '-sc_threshold', '0'
+        ]
+    },
+    hevc: {
+        nvenc: 'hevc_nvenc',
+        software: 'libx265',
+        segmentType: 'fmp4',
+        tag: 'hvc1', // Apple players only accept hvc1-tagged HEVC
+        crfOffset: 3, // x265 CRF 26 looks roughly like x264 CRF 23
+        nvencArgs: (settings, color) => [
+            '-profile:v', color?.output.bitDepth > 8 ? 'main10' : 'main',
+            '-level', settings.level, '-tier', 'main', '-bf', '2'
+        ],
+        softwareArgs: (settings, color) => [
+            '-profile:v', color?.output.bitDepth > 8 ? 'main10' : 'main',
+            '-x265-params', [`level-idc=${settings.level}`, 'scenecut=0', 'log-level=error', ...buildX265ColorParams(color)].join(':')
+        ]
+    },
+    av1: {
+        nvenc: 'av1_nvenc',
+        software: 'libsvtav1',
+        segmentType: 'fmp4',
+        crfOffset: 9, // SVT-AV1 uses a wider CRF scale
+        nvencArgs: () => ['-bf', '2'],
+        softwareArgs: (settings, color) => ['-svtav1-params', color?.mode === 'preserve' ? 'scd=0:enable-hdr=1' : 'scd=0']
+    }
+}
+
+// SVT-AV1 takes numeric presets; map the x264-style names used by the quality profiles
+const SVT_AV1_PRESETS = { ultrafast: 12, superfast: 11, veryfast: 10, faster: 9, fast: 8, medium: 6, slow: 5, slower: 4, veryslow: 3 }
+
+const H264_PROFILE_IDC = { baseline: '42e0', main: '4d40', high: '6400' }
+
+// AV1 levels (spec Annex A): seq_level_idx, max picture size, max width/height, max display rate (samples/s)
+const AV1_LEVELS = [
+    [0, 147456, 2048, 1152, 4423680],
+    [1, 278784, 2816, 1584, 8363520],
+    [4, 665856, 4352, 2448, 19975680],
+    [5, 1065024, 5504, 3096, 31950720],
+    [8, 2359296, 6144, 3456, 70778880],
+    [9, 2359296, 6144, 3456, 141557760],
+    [12, 8912896, 8192, 4352, 267386880],
+    [13, 8912896, 8192, 4352, 534773760],
+    [14, 8912896, 8192, 4352, 1069547520],
+    [16, 35651584, 16384, 8704, 1069547520],
+    [17, 35651584, 16384, 8704, 2139095040],
+    [18, 35651584, 16384, 8704, 4278190080]
+]
+
+// Lowest AV1 level that fits the rendition; the encoders pick their level the same way. Unknown frame rates count as 30fps
+const getAv1LevelIndex = (width, height, fps) => {
+    const pictureSize = width * height
+    const displayRate = pictureSize * (fps || 30)
+    const level = AV1_LEVELS.find(([, maxPicture, maxWidth, maxHeight, maxDisplayRate]) =>
+        pictureSize <= maxPicture && width <= maxWidth && height <= maxHeight && displayRate <= maxDisplayRate)
+    return (level || AV1_LEVELS[AV1_LEVELS.length - 1])[0]
+}
+
+// RFC 6381 codec string for the profile/level/bit depth we encode with; AV1 derives its level from the
+// rendition's size and frame rate (`frame`), H.264/HEVC use the configured level
+const getVideoCodecString = (codec, profile = 'high', level = '4.1', bitDepth = 8, frame = {}) => {
+    const levelNumber = Math.round(parseFloat(level) * 10)
+    switch (codec) {
+        case 'hevc':
+            // Main (or Main10) profile, Main tier, level_idc = level * 30
+            return bitDepth > 8 ? `hvc1.2.4.L${levelNumber * 3}.B0` : `hvc1.1.6.L${levelNumber * 3}.B0`
+        case 'av1':
+            // Main profile, Main tier, 8- or 10-bit
+            return `av01.0.${String(getAv1LevelIndex(frame.width, frame.height, frame.fps)).padStart(2, '0')}M.${bitDepth > 8 ? '10' : '08'}`
+        default:
+            return `avc1.${H264_PROFILE_IDC[profile] || H264_PROFILE_IDC.high}${levelNumber.toString(16).padStart(2, '0')}`
+    }
+}
+
+// Encoder-specific FFmpeg args incl. the quality target; bitrate caps and GOP are added by the caller
+const buildVideoEncoderArgs = (codec, useNVENC, settings, color = null) => {
+    const spec = VIDEO_CODECS[codec]
+    const cbr = settings.rateControl === 'cbr'
+    const tagArgs = [...(spec.tag ? ['-tag:v', spec.tag] : []), ...buildColorTagArgs(color)]
+    if (!useNVENC) {
+        const preset = codec === 'av1'
+            ? String(SVT_AV1_PRESETS[settings.softwarePreset] ?? settings.softwarePreset)
+            : settings.softwarePreset
+        return [
+            '-c:v', spec.software,
+            '-preset', preset,
+            ...(cbr ? [] : ['-crf', String(settings.crf + spec.crfOffset)]),
+            ...spec.softwareArgs(settings, color),
+            ...tagArgs
+        ]
+    }
+    return [
+        // ENCODE NVENC - with enhanced color and sharpness settings
+        '-c:v', spec.nvenc,
+        '-pix_fmt', color?.output.bitDepth > 8 ? 'p010le' : 'nv12', // CRITICAL: explicit pixel format for NVENC
+        '-preset', settings.nvencPreset,
+        ...(cbr ? ['-rc', 'cbr'] : ['-rc', 'vbr', '-cq', String(settings.cq)]),
+        ...spec.nvencArgs(settings, color),
+        '-spatial_aq', '1', '-temporal_aq', '1',
+        // Enhanced color and sharpness for NVENC
+        '-weighted_pred', '1',        // Weighted prediction cho màu tự nhiên hơn
+        '-rc-lookahead', '20',        // Lookahead cho bitrate allocation tốt hơn
+        '-surfaces', '32',            // Tăng surfaces cho encoding mượt hơn
+        '-refs', '3',                 // Reference frames cho detail tốt hơn
+        ...tagArgs
+    ]
+}
+
+// Bitrate args for one output stream (`v` or `v:N`); VBR caps a CQ/CRF target, CBR pins the bitrate
+const buildBitrateArgs = (settings, useNVENC, rates, stream = 'v') => {
+    const { bitrate, maxrate, bufsize } = rates
+    if (settings.rateControl === 'cbr') {
+        return [`-b:${stream}`, `${bitrate}k`, `-maxrate:${stream}`, `${bitrate}k`, `-bufsize:${stream}`, `${bufsize}k`]
+    }
+    return [
+        // NVENC VBR needs a target bitrate alongside -cq; x264/x265 CRF only takes the VBV caps
+        ...(useNVENC ? [`-b:${stream}`, `${bitrate}k`] : []),
+        `-maxrate:${stream}`, `${maxrate}k`, `-bufsize:${stream}`, `${bufsize}k`
+    ]
+}
+
+const buildAudioArgs = (settings) => [
+    ...(settings.audioFilter ? ['-filter:a', settings.audioFilter] : []),
+    '-c:a', 'aac', '-b:a', `${settings.audioBitrate}k`, '-ac', '2', '-ar', '48000'
+]
+
+const AUDIO_TRACK_MODES = ['default', 'all']
+const SURROUND_CHANNELS = 6
+const DEFAULT_SURROUND_BITRATE = 384
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language' })
+
+// Container language tags ("eng", "fre") as BCP 47 ("en", "fr") for LANGUAGE=; null when undetermined
+const toLanguageTag = (language) => {
+    if (!language || language === 'und') return null
+    try {
+        return Intl.getCanonicalLocales(language)[0]
+    } catch {
+        return null
+    }
+}
+
+// Streams matching a list of stream indexes / language codes, in selector order without duplicates
+const selectStreams = (sources, selectors, fieldPath) => {
+    const selected = []
+    for (const selector of selectors) {
+        const tag = typeof selector === 'string' && toLanguageTag(selector)
+        const matches = sources.filter(stream => (typeof selector === 'number'
+            ? stream.index === selector
+            : stream.language === selector || (tag && toLanguageTag(stream.language) === tag)))
+        if (matches.length === 0) {
+            console.warn(`⚠️ ${fieldPath}: no stream matches ${JSON.stringify(selector)}`)
+        }
+        selected.push(...matches.filter(stream => !selected.includes(stream)))
+    }
+    if (selected.length === 0) {
+        const available = sources.map(stream => `#${stream.index} ${stream.language || 'und'}`).join(', ') || 'none'
+        throw createJobError('INPUT_INVALID', `${fieldPath} matched none of the input's streams (${available})`, { stage: 'analyze' })
+    }
+    return selected
+}
+
+// Display name for a rendition: its title, the language name or a numbered fallback, unique within `labels`
+// (NAME must be unique within a group and can't hold double quotes)
+const uniqueRenditionLabel = (title, language, fallback, labels) => {
+    const base = (title || (language && LANGUAGE_NAMES.of(language)) || fallback).replace(/"/g, "'")
+    let label = base
+    for (let n = 2; labels.has(label); n++) label = `${base} (${n})`
+    labels.add(label)
+    return label
+}
+
+// Pick the audio streams for separate HLS audio renditions; null keeps the legacy muxed stereo track.
+// tracks: "default" (the source's default stream), "all", or stream indexes / language codes.
+// Every track gets a stereo rendition; with surround, sources of 6+ channels also get a 5.1 one
+const resolveAudioRenditions = (media, audioOptions, settings) => {
+    if (!audioOptions) return null
+    const { tracks = 'default', surround = false, surroundBitrate = DEFAULT_SURROUND_BITRATE } = audioOptions
+    const sources = media.streams.filter(stream => stream.type === 'audio')
+    if (sources.length === 0) {
+        console.warn('⚠️ audio options ignored: the input has no audio streams')
+        return null
+    }
+    
+    let selected
+    if (tracks === 'all') {
+        selected = sources
+    } else if (tracks === 'default') {
+        selected = [sources.find(stream => stream.default) || sources[0]]
+    } else {
+        selected = selectStreams(sources, tracks, 'audio.tracks')
+    }
+    
+    const defaultStream = selected.find(stream => stream.default) || selected[0]
+    const labels = new Set()
+    return selected.flatMap((stream, position) => {
+        const language = toLanguageTag(stream.language)
+        const label = uniqueRenditionLabel(stream.title, language, `Audio ${position + 1}`, labels)
+        
+        const name = `audio-${position}${language ? `-${language}` : ''}`
+        const track = {
+            streamIndex: stream.index,
+            language,
+            default: stream === defaultStream,
+            commentary: stream.commentary,
+            sourceChannels: stream.channels
+        }
+        const renditions = [{ ...track, name, label, channels: 2, bitrate: settings.audioBitrate }]
+        if (surround && stream.channels >= SURROUND_CHANNELS) {
+            renditions.push({ ...track, name: `${name}-51`, label: `${label} 5.1`, channels: SURROUND_CHANNELS, bitrate: surroundBitrate })
+        }
+        return renditions
+    })
+}
+
+// Map and encode each audio rendition as its own output stream (audio output i = rendition i)
+const buildAudioRenditionArgs = (renditions) => renditions.flatMap((rendition, i) => [
+    '-map', `0:${rendition.streamIndex}`,
+    ...(rendition.audioFilter ? [`-filter:a:${i}`, rendition.audioFilter] : []),
+    `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rendition.bitrate}k`, `-ac:a:${i}`, String(rendition.channels), `-ar:a:${i}`, '48000',
+    ...(rendition.language ? [`-metadata:s:a:${i}`, `language=${rendition.language}`] : [])
+])
+
+const LOUDNESS_DEFAULTS = { target: -16, truePeak: -1.5, range: 11 }
+
+// `loudness: true` or an object of overrides -> EBU R128 targets (LUFS, dBTP, LU)
+const resolveLoudnessSettings = (loudness) => (loudness ? { ...LOUDNESS_DEFAULTS, ...(loudness === true ? {} : loudness) } : null)
+
+// The output channel layout is fixed before loudnorm, so it measures and normalizes what listeners get
+const loudnessLayout = (channels) => `aformat=channel_layouts=${channels === SURROUND_CHANNELS ? '5.1' : 'stereo'}`
+
+// loudnorm's print_format=json summaries in an FFmpeg log, in output stream order; "-inf" (silence) becomes null
+const parseLoudnormReports = (logs) => (logs.match(/\{\s*"input_i"[^{}]*\}/g) || []).map(block => {
+    const report = JSON.parse(block)
+    const value = (key) => (Number.isFinite(Number(report[key])) ? Number(report[key]) : null)
+    return {
+        input: { integrated: value('input_i'), truePeak: value('input_tp'), range: value('input_lra'), threshold: value('input_thresh') },
+        output: { integrated: value('output_i'), truePeak: value('output_tp'), range: value('output_lra') },
+        normalization: report.normalization_type,
+        targetOffset: value('target_offset')
+    }
+})
+
+// Pass 1: measure integrated loudness, true peak and LRA of one audio source in the layout it is encoded to
+const measureLoudness = async (inputFile, source, settings, signal) => {
+    const args = [
+        '-nostats', '-i', inputFile, '-map', source.map, '-vn', '-sn',
+        '-af', `${loudnessLayout(source.channels)},loudnorm=I=${settings.target}:TP=${settings.truePeak}:LRA=${settings.range}:print_format=json`,
+        '-f', 'null', '-'
+    ]
+    let logs
+    try {
+        ({ logs } = await runFfmpegEncode(args, 'loudness analysis', { signal }))
+    } catch (error) {
+        if (signal?.aborted) throw error
+        throw toJobError(error, 'ENCODE_FAILED', { stage: 'analyze', message: `Loudness analysis failed: ${error.message}` })
+    }
+    const [report] = parseLoudnormReports(logs)
+    if (!report) {
+        throw createJobError('ENCODE_FAILED', 'Loudness analysis did not report a measurement', { stage: 'analyze' })
+    }
+    return { ...report.input, targetOffset: report.targetOffset ?? 0 }
+}
+
+// Pass 2: linear loudnorm with the measured values. The LRA target never drops below the measured range,
+// where loudnorm would fall back to dynamic (compressing) normalization
+const buildLoudnormFilter = (settings, measured, channels) => [
+    loudnessLayout(channels),
+    `loudnorm=I=${settings.target}:TP=${settings.truePeak}:LRA=${Math.min(50, Math.max(settings.range, Math.ceil(measured.range)))}` +
+    `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}:measured_LRA=${measured.range}:measured_thresh=${measured.threshold}` +
+    `:offset=${measured.targetOffset}:linear=true:print_format=json`
+].join(',')
+
+// Measure every audio source the encode outputs (the muxed default track, or each rendition's stream and
+// layout) and attach the second-pass filter: rendition.audioFilter, or the returned muxed filter
+const analyzeLoudness = async (inputFile, audioRenditions, settings, signal) => {
+    const sources = new Map()
+    const sourceKey = (rendition) => `${rendition.streamIndex}:${rendition.channels}`
+    for (const rendition of audioRenditions || [{ streamIndex: null, channels: 2 }]) {
+        if (!sources.has(sourceKey(rendition))) {
+            sources.set(sourceKey(rendition), { stream: rendition.streamIndex, channels: rendition.channels, map: rendition.streamIndex === null ? '0:a:0' : `0:${rendition.streamIndex}` })
+        }
+    }
+    const tracks = []
+    for (const source of sources.values()) {
+        const startTime = Date.now()
+        const report = await measureLoudness(inputFile, source, settings, signal)
+        // Silence has no integrated loudness to normalize from
+        const filter = report.integrated === null ? null : buildLoudnormFilter(settings, report, source.channels)
+        console.log(`🔊 Loudness ${source.stream === null ? 'default track' : `stream ${source.stream}`} (${source.channels}ch): ${report.integrated} LUFS, ${report.truePeak} dBTP, LRA ${report.range} LU in ${((Date.now() - startTime) / 1000).toFixed(2)}s${filter ? '' : ' - silent, left as is'}`)
+        tracks.push({ ...source, measured: report, filter })
+    }
+    audioRenditions?.forEach(rendition => {
+        rendition.audioFilter = tracks.find(track => `${track.stream}:${track.channels}` === sourceKey(rendition)).filter
+    })
+    return { tracks, muxedFilter: audioRenditions ? null : tracks[0].filter }
+}
+
+// Loudness summary for the result: the targets plus each source's measured and final values. Final
+// values come from the encode's loudnorm reports, one per normalized audio output stream in order
+const summarizeLoudness = (settings, analysis, audioRenditions, reports) => {
+    const normalized = audioRenditions ? audioRenditions.filter(rendition => rendition.audioFilter) : [{ streamIndex: null, channels: 2 }]
+    return {
+        target: { integrated: settings.target, truePeak: settings.truePeak, range: settings.range },
+        tracks: analysis.tracks.map(track => {
+            const { threshold, targetOffset, ...measured } = track.measured
+            const index = normalized.findIndex(rendition => rendition.streamIndex === track.stream && rendition.channels === track.channels)
+            const report = track.filter && index !== -1 ? reports[index] : null
+            return {
+                ...(track.stream !== null && { stream: track.stream }),
+                channels: track.channels,
+                measured,
+                output: report?.output || null,
+                normalization: track.filter ? (report?.normalization || 'linear') : 'skipped'
             }
         })
+    }
+}
+
+// EXT-X-MEDIA groups: "stereo" holds every track's stereo rendition; "surround" (when any 5.1 was
+// encoded) holds each track's 5.1 rendition, or its stereo one when the source had no 5.1
+const groupAudioRenditions = (audio) => {
+    const stereo = audio.filter(rendition => rendition.channels === 2)
+    if (stereo.length === 0) return []
+    const groups = [{ id: 'stereo', renditions: stereo }]
+    if (audio.some(rendition => rendition.channels > 2)) {
+        groups.push({
+            id: 'surround',
+            renditions: stereo.map(track => audio.find(rendition => rendition.streamIndex === track.streamIndex && rendition.channels > 2) || track)
+        })
+    }
+    return groups
+}
+
+// Subtitle file formats FFmpeg reads (caller's `format` -> demuxer); unset means detect from the content
+const SUBTITLE_FORMATS = { srt: 'srt', ass: 'ass', ssa: 'ass', vtt: 'webvtt' }
+const SUBTITLE_FILE_MAX_BYTES = 20 * 1024 * 1024
+const SUBTITLE_DOWNLOAD_TIMEOUT_MS = 60000
+const SUBTITLE_GROUP_ID = 'subs'
+const HEARING_IMPAIRED_CHARACTERISTICS = 'public.accessibility.transcribes-spoken-dialog,public.accessibility.describes-music-and-sound'
+
+// Which subtitles the job carries: soft tracks (embedded text streams picked by `tracks`, plus
+// every file that is not burned in) become WebVTT renditions; `burnIn` picks one stream or file to
+// draw into the picture. null when the input has no subtitle options
+const resolveSubtitlePlan = (media, subtitleOptions) => {
+    if (!subtitleOptions) return null
+    const { tracks, files = [], burnIn = null } = subtitleOptions
+    const sources = media.streams.filter(stream => stream.type === 'subtitle')
+    
+    const labels = new Set()
+    const describeEmbedded = (stream) => {
+        const language = toLanguageTag(stream.language)
+        return {
+            source: 'stream',
+            streamIndex: stream.index,
+            // `si` for the subtitles filter counts subtitle streams only
+            subtitleIndex: sources.indexOf(stream),
+            codec: stream.codec,
+            language,
+            label: uniqueRenditionLabel(stream.title, language, `Subtitles ${labels.size + 1}`, labels),
+            default: stream.default,
+            forced: stream.forced,
+            hearingImpaired: stream.hearingImpaired
+        }
+    }
+    const describeFile = (file, fileIndex) => {
+        const language = file.language ? toLanguageTag(file.language) : null
+        return {
+            source: 'file',
+            fileIndex,
+            file,
+            language,
+            label: uniqueRenditionLabel(file.name, language, `Subtitles ${labels.size + 1}`, labels),
+            default: Boolean(file.default),
+            forced: Boolean(file.forced),
+            hearingImpaired: false
+        }
+    }
+    
+    let burned = null
+    if (burnIn?.stream !== undefined) {
+        const stream = sources.find(candidate => candidate.index === burnIn.stream)
+        if (!stream) {
+            throw createJobError('INPUT_INVALID', `subtitles.burnIn.stream: #${burnIn.stream} is not a subtitle stream of the input`, { stage: 'analyze' })
+        }
+        if (!stream.textBased) {
+            throw createJobError('INPUT_INVALID', `subtitles.burnIn.stream: #${stream.index} is a bitmap subtitle (${stream.codec}); only text subtitles can be burned in`, { stage: 'analyze' })
+        }
+        burned = describeEmbedded(stream)
+    } else if (burnIn?.file !== undefined) {
+        burned = describeFile(files[burnIn.file], burnIn.file)
+    }
+    
+    let embedded = []
+    if (tracks) {
+        const selected = tracks === 'all' ? sources : selectStreams(sources, tracks, 'subtitles.tracks')
+        embedded = selected.filter(stream => {
+            if (!stream.textBased) {
+                console.warn(`⚠️ subtitles.tracks: skipping bitmap subtitle stream #${stream.index} (${stream.codec}); it can't be converted to WebVTT`)
+            }
+            return stream.textBased && stream.index !== burned?.streamIndex
+        })
+    }
+    const soft = [
+        ...embedded.map(describeEmbedded),
+        ...files.map((file, fileIndex) => (fileIndex === burned?.fileIndex ? null : describeFile(file, fileIndex))).filter(Boolean)
+    ]
+    
+    // One DEFAULT=YES rendition at most
+    const defaultTrack = soft.find(track => track.default)
+    soft.forEach((track, position) => {
+        track.default = track === defaultTrack
+        track.name = `subs-${position}${track.language ? `-${track.language}` : ''}`
+    })
+    return { tracks: soft, burnIn: burned }
+}
+
+// Fetch a caller-supplied subtitle file (URL or Drive ID) into dir; resolves with the local path
+const downloadSubtitleFile = async (file, fileIndex, dir, { googleToken, signal } = {}) => {
+    const fieldPath = `subtitles.files[${fileIndex}]`
+    const source = file.driveId
+        ? await getDriveMediaSource(file.driveId, googleToken)
+        : { url: file.url, headers: file.headers || {} }
+    const extension = file.format || path.extname(new URL(source.url).pathname).slice(1).toLowerCase()
+    const localPath = path.join(dir, `subtitle-${fileIndex}.${SUBTITLE_FORMATS[extension] ? extension : 'sub'}`)
+    try {
+        const response = await axios.get(source.url, {
+            headers: source.headers,
+            responseType: 'arraybuffer',
+            timeout: SUBTITLE_DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: SUBTITLE_FILE_MAX_BYTES,
+            signal
+        })
+        fs.writeFileSync(localPath, Buffer.from(response.data))
+        console.log(`📥 ${fieldPath}: ${response.data.byteLength} bytes`)
+        return localPath
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason
+        const status = error.response?.status
+        throw createJobError(status ? httpStatusErrorCode(status) : 'DOWNLOAD_FAILED', `Failed to download ${fieldPath}: ${status ? `HTTP ${status}` : error.message}`, { stage: 'download' })
+    }
+}
+
+// Download the subtitle files and convert every soft track to one WebVTT file (track.vttPath);
+// a burned-in file only needs its local copy (track.localPath)
+const prepareSubtitles = async (plan, inputFile, dir, { googleToken, signal } = {}) => {
+    fs.mkdirSync(dir, { recursive: true })
+    const tracks = [...plan.tracks, ...(plan.burnIn ? [plan.burnIn] : [])]
+    for (const track of tracks.filter(candidate => candidate.source === 'file')) {
+        track.localPath = await downloadSubtitleFile(track.file, track.fileIndex, dir, { googleToken, signal })
+    }
+    for (const [position, track] of plan.tracks.entries()) {
+        track.vttPath = path.join(dir, `track-${position}.vtt`)
+        const { format, charset } = track.file || {}
+        const args = track.source === 'stream'
+            ? ['-y', '-i', inputFile, '-map', `0:${track.streamIndex}`]
+            : ['-y', ...(charset ? ['-sub_charenc', charset] : []), ...(format ? ['-f', SUBTITLE_FORMATS[format]] : []), '-i', track.localPath]
+        args.push('-c:s', 'webvtt', '-f', 'webvtt', track.vttPath)
+        try {
+            await runFfmpegEncode(args, 'webvtt', { signal })
+        } catch (error) {
+            if (signal?.aborted) throw error
+            const what = track.source === 'stream' ? `subtitle stream #${track.streamIndex}` : `subtitles.files[${track.fileIndex}]`
+            throw createJobError('INPUT_REJECTED', `Could not convert ${what} to WebVTT: ${error.message}`, { stage: 'analyze', ffmpeg: error.ffmpeg })
+        }
+    }
+}
+
+// Quote a path for a filter option inside a filtergraph (option-level, then graph-level escaping)
+const escapeFilterPath = (value) => value.replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&')
+
+// libass draws the track onto the source-sized picture, keeping ASS styling and embedded fonts
+const buildSubtitleBurnFilter = (track, inputFile) => (track.source === 'stream'
+    ? `subtitles=filename=${escapeFilterPath(inputFile)}:si=${track.subtitleIndex}`
+    : `subtitles=filename=${escapeFilterPath(track.localPath)}${track.file.charset ? `:charenc=${track.file.charset}` : ''}`)
+
+const parseVttTimestamp = (value) => {
+    const [seconds, minutes = 0, hours = 0] = value.split(':').reverse().map(Number)
+    return hours * 3600 + minutes * 60 + seconds
+}
+
+// Split a WebVTT file into HLS segments of segmentDuration; a cue spanning a boundary is repeated
+// in each segment it overlaps. X-TIMESTAMP-MAP ties cue time 0 to the video's first PTS. Without a
+// known video duration the track runs to the end of its last cue
+const segmentWebVtt = (vttPath, segmentDir, segmentDuration, totalDuration, startPts) => {
+    const cues = fs.readFileSync(vttPath, 'utf8').replace(/\r\n/g, '\n').split(/\n{2,}/)
+        .map(block => {
+            const timing = block.match(/([\d:.]+)\s+-->\s+([\d:.]+)/)
+            return timing && { start: parseVttTimestamp(timing[1]), end: parseVttTimestamp(timing[2]), block: block.trim() }
+        })
+        .filter(Boolean)
+    const header = `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${startPts},LOCAL:00:00:00.000\n\n`
+    const duration = totalDuration > 0 ? totalDuration : (Math.max(0, ...cues.map(cue => cue.end)) || segmentDuration)
+    const count = Math.max(1, Math.ceil(duration / segmentDuration))
+    
+    fs.mkdirSync(segmentDir, { recursive: true })
+    let playlist = `#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}\n#EXT-X-MEDIA-SEQUENCE:0\n#EXT-X-PLAYLIST-TYPE:VOD\n`
+    for (let i = 0; i < count; i++) {
+        const from = i * segmentDuration
+        const to = Math.min(duration, from + segmentDuration)
+        const fileName = `${String(i).padStart(3, '0')}.vtt`
+        const body = cues.filter(cue => cue.start < to && cue.end > from).map(cue => `${cue.block}\n\n`).join('')
+        fs.writeFileSync(path.join(segmentDir, fileName), header + body)
+        playlist += `#EXTINF:${(to - from).toFixed(6)},\n${fileName}\n`
+    }
+    playlist += '#EXT-X-ENDLIST\n'
+    const playlistPath = path.join(segmentDir, 'index.m3u8')
+    fs.writeFileSync(playlistPath, playlist)
+    return { playlistPath, segmentCount: count, cueCount: cues.length }
+}
+
+// The muxer offsets the video (MPEG-TS starts around 1.4s); cues must line up with its first PTS
+const readStartTime = async (videoPath, signal) => {
+    try {
+        return (await runFfprobe(videoPath, { signal })).format.start_time || 0
+    } catch (error) {
+        if (signal?.aborted) throw error
+        console.warn(`⚠️ Could not read the video start time (${error.message}); subtitles assume 0`)
+        return 0
+    }
+}
+
+// Turn the prepared WebVTT tracks into subtitle renditions next to the encoded video
+const packageSubtitleRenditions = (tracks, startTime, outputDir, segmentDuration, totalDuration) => {
+    const startPts = Math.round(startTime * 90000)
+    return tracks.map(track => {
+        const segmentDir = path.join(outputDir, track.name)
+        const { playlistPath, segmentCount, cueCount } = segmentWebVtt(track.vttPath, segmentDir, segmentDuration, totalDuration, startPts)
+        console.log(`💬 ${track.name} (${track.label}): ${cueCount} cues in ${segmentCount} WebVTT segments`)
+        return { ...track, segmentDir, playlistPath, initFile: null }
+    })
+}
+
+const THUMBNAIL_FORMATS = ['jpg', 'webp']
+const THUMBNAIL_DEFAULTS = { interval: 5, width: 160, columns: 10, rows: 10, format: 'jpg', quality: 75 }
+
+// `thumbnails: true` or an object of overrides -> sprite settings; the height keeps the source aspect
+const resolveThumbnailSettings = (thumbnails, videoInfo) => {
+    if (!thumbnails) return null
+    const settings = { ...THUMBNAIL_DEFAULTS, ...(thumbnails === true ? {} : thumbnails) }
+    const aspect = videoInfo.width && videoInfo.height ? videoInfo.width / videoInfo.height : 16 / 9
+    return { ...settings, height: Math.max(2, Math.round(settings.width / aspect / 2) * 2) }
+}
+
+// Extract one frame every `interval` seconds and tile them into sprite sheets. Runs as its own
+// FFmpeg process next to the encode, so it works the same whichever encode pipeline wins
+const generateThumbnailSprites = async (inputFile, dir, settings, { color = null, signal } = {}) => {
+    const { interval, width, height, columns, rows, format, quality } = settings
+    fs.mkdirSync(dir, { recursive: true })
+    const filters = [
+        // HDR frames are tone-mapped like the video, or the previews come out washed out
+        ...buildSourceFilters(color?.mode === 'tonemap' ? color : null),
+        `fps=1/${interval}`,
+        `scale=${width}:${height}:flags=bicubic`,
+        `tile=${columns}x${rows}`
+    ]
+    const args = [
+        '-y', '-nostats', '-i', inputFile, '-an', '-sn', '-vf', filters.join(','),
+        ...(format === 'webp'
+            ? ['-c:v', 'libwebp', '-quality', String(quality)]
+            : ['-q:v', String(Math.round(2 + ((100 - quality) * 29) / 99))]),
+        path.join(dir, `sprite-%03d.${format}`)
+    ]
+    const startTime = Date.now()
+    try {
+        await runFfmpegEncode(args, 'thumbnails', { signal })
+    } catch (error) {
+        if (signal?.aborted) throw error
+        throw toJobError(error, 'ENCODE_FAILED', { stage: 'encode', message: `Thumbnail extraction failed: ${error.message}` })
+    }
+    const sheets = fs.readdirSync(dir).filter(file => file.startsWith('sprite-')).sort()
+    console.log(`🖼️ Thumbnails: ${sheets.length} sprite sheet(s) of ${columns}x${rows} @ ${width}x${height} in ${((Date.now() - startTime) / 1000).toFixed(2)}s`)
+    return { dir, sheets, settings }
+}
+
+const formatVttTimestamp = (seconds) => {
+    const ms = Math.round(seconds * 1000)
+    const pad = (value, length = 2) => String(value).padStart(length, '0')
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`
+}
+
+// WebVTT thumbnail track: one cue per interval pointing at its tile (sheetUri(index)#xywh=x,y,w,h)
+const buildThumbnailVtt = ({ sheets, settings }, duration, sheetUri) => {
+    const { interval, width, height, columns, rows } = settings
+    const perSheet = columns * rows
+    const count = duration > 0 ? Math.min(Math.ceil(duration / interval), sheets.length * perSheet) : sheets.length * perSheet
+    let content = 'WEBVTT\n'
+    for (let i = 0; i < count; i++) {
+        const start = i * interval
+        const end = duration > 0 ? Math.min(duration, start + interval) : start + interval
+        const tile = i % perSheet
+        const x = (tile % columns) * width
+        const y = Math.floor(tile / columns) * height
+        content += `\n${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}\n${sheetUri(Math.floor(i / perSheet))}#xywh=${x},${y},${width},${height}\n`
+    }
+    return { content, count }
+}
+
+// Write thumbnails.vtt next to the local sheets and, with storage, upload the sheets to
+// md5DriveId/thumbnails/ and a VTT with their URLs to md5DriveId/thumbnails.vtt
+const publishThumbnails = async (thumbnails, duration, upload) => {
+    const { sheets, settings } = thumbnails
+    const local = buildThumbnailVtt(thumbnails, duration, index => `thumbnails/${sheets[index]}`)
+    fs.writeFileSync(path.join(path.dirname(thumbnails.dir), 'thumbnails.vtt'), local.content)
+    
+    const result = {
+        interval: settings.interval,
+        width: settings.width,
+        height: settings.height,
+        columns: settings.columns,
+        rows: settings.rows,
+        format: settings.format,
+        count: local.count,
+        vtt: 'thumbnails.vtt',
+        sheets: sheets.map(file => `thumbnails/${file}`)
+    }
+    if (!upload) return result
+    
+    const { storage, md5DriveId, transfer } = upload
+    try {
+        // Players load sheets as images, so they keep their real extension
+        const uploaded = await uploadSegmentsToStorage(thumbnails.dir, sheets, storage, false, `${md5DriveId}/thumbnails`, transfer)
+        const vttPath = `${md5DriveId}/thumbnails.vtt`
+        const remote = buildThumbnailVtt(thumbnails, duration, index => uploaded[index].url)
+        await putObjectWithRetry(storage, vttPath, Buffer.from(remote.content), {
+            contentType: 'text/vtt',
+            cacheControl: 'public, max-age=3600'
+        }, transfer)
+        result.vtt = storage.urlFor(vttPath, 'playlist')
+        result.sheets = uploaded.map(sheet => sheet.url)
+        console.log(`✅ Thumbnail track uploaded to: ${result.vtt}`)
+        return result
+    } catch (error) {
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to upload thumbnails to ${storage.type} storage: ${error.message}` })
+    }
+}
+
+const POSTER_FORMATS = ['jpg', 'webp', 'png']
+const POSTER_DEFAULTS = { width: 1280, format: 'jpg', quality: 85 }
+const PREVIEW_FORMATS = ['mp4', 'webp']
+const PREVIEW_DEFAULTS = { format: 'mp4', clips: 5, clipDuration: 2, width: 480, fps: 15 }
+// Poster candidates: keyframes between these fractions of the duration (skips intros and credits)
+const POSTER_SCAN_WINDOW = [0.02, 0.5]
+// 8-bit luma limits for a usable poster; darker/brighter keyframes are black, flash or mid-fade frames
+const POSTER_MIN_BRIGHTNESS = 40
+const POSTER_MAX_BRIGHTNESS = 220
+const POSTER_MIN_CONTRAST = 40
+
+// `poster: true` / `preview: true` or objects of overrides -> settings; widths stay even for the encoders
+const resolvePosterSettings = (poster, videoInfo) => {
+    if (!poster) return null
+    const settings = { ...POSTER_DEFAULTS, ...(poster === true ? {} : poster) }
+    return { ...settings, width: Math.round(Math.min(settings.width, videoInfo.width || settings.width) / 2) * 2 }
+}
+
+const resolvePreviewSettings = (preview, videoInfo) => {
+    if (!preview) return null
+    const settings = { ...PREVIEW_DEFAULTS, ...(preview === true ? {} : preview) }
+    const duration = videoInfo.duration || 0
+    // Short videos get fewer (or one shorter) clips instead of overlapping ones
+    const clipDuration = duration > 0 ? Math.min(settings.clipDuration, duration) : settings.clipDuration
+    const count = duration > 0 ? Math.max(1, Math.min(settings.clips, Math.floor(duration / clipDuration))) : 1
+    const span = duration / count
+    // Each clip sits in the middle of its share of the video
+    const clips = Array.from({ length: count }, (_, i) => ({
+        start: Number(Math.max(0, i * span + (span - clipDuration) / 2).toFixed(3)),
+        duration: clipDuration
+    }))
+    return { ...settings, width: Math.round(Math.min(settings.width, videoInfo.width || settings.width) / 2) * 2, clips }
+}
+
+const buildImageCodecArgs = (format, quality) => {
+    if (format === 'webp') return ['-c:v', 'libwebp', '-quality', String(quality)]
+    if (format === 'png') return []
+    // MJPEG -q:v runs 2 (best) to 31
+    return ['-q:v', String(Math.round(2 + ((100 - quality) * 29) / 99))]
+}
+
+// Parse metadata=print output: "frame:N pts:N pts_time:T" followed by "lavfi.<key>=<value>" lines
+const parseFrameMetadata = (content) => {
+    const frames = []
+    for (const line of content.split('\n')) {
+        const time = line.match(/pts_time:([0-9.]+)/)
+        if (time) {
+            frames.push({ time: Number(time[1]) })
+        } else if (frames.length) {
+            const entry = line.match(/^lavfi\.signalstats\.(\w+)=([0-9.]+)/)
+            if (entry) frames.at(-1)[entry[1]] = Number(entry[2])
+        }
+    }
+    return frames
+}
+
+// Pick the poster time from brightness and contrast of the keyframes in the scan window:
+// black, flash and fade frames are ruled out, then the most contrasted and colorful frame wins
+const findPosterTime = async (inputFile, dir, duration, signal) => {
+    const fallback = Number((duration * 0.1).toFixed(3))
+    if (!(duration > 0)) return { time: 0, selectedBy: 'fallback' }
+    const start = duration * POSTER_SCAN_WINDOW[0]
+    const window = duration * (POSTER_SCAN_WINDOW[1] - POSTER_SCAN_WINDOW[0])
+    const statsPath = path.join(dir, 'poster-stats.txt')
+    const args = [
+        '-y', '-nostats', '-skip_frame', 'nokey', '-ss', start.toFixed(3), '-t', window.toFixed(3), '-i', inputFile,
+        '-an', '-sn', '-vf', `scale=320:-2,format=yuv420p,signalstats,metadata=mode=print:file=${escapeFilterPath(statsPath)}`,
+        '-f', 'null', '-'
+    ]
+    try {
+        await runFfmpegEncode(args, 'poster analysis', { signal })
+    } catch (error) {
+        if (signal?.aborted) throw error
+        console.warn(`⚠️ Poster analysis failed, using ${fallback}s: ${error.message}`)
+        return { time: fallback, selectedBy: 'fallback' }
+    }
+    const frames = fs.existsSync(statsPath) ? parseFrameMetadata(fs.readFileSync(statsPath, 'utf8')) : []
+    const candidates = frames
+        .filter(frame => frame.YAVG !== undefined && frame.YHIGH !== undefined && frame.YLOW !== undefined)
+        .map(frame => ({
+            time: Number((start + frame.time).toFixed(3)),
+            brightness: Math.round(frame.YAVG),
+            contrast: Math.round(frame.YHIGH - frame.YLOW),
+            score: frame.YHIGH - frame.YLOW + (frame.SATAVG || 0) / 2
+        }))
+    const usable = candidates.filter(frame => frame.brightness >= POSTER_MIN_BRIGHTNESS && frame.brightness <= POSTER_MAX_BRIGHTNESS && frame.contrast >= POSTER_MIN_CONTRAST)
+    const best = (usable.length ? usable : candidates).reduce((top, frame) => (!top || frame.score > top.score ? frame : top), null)
+    console.log(`🔎 Poster analysis: ${usable.length}/${candidates.length} usable keyframes${best ? `, picked ${best.time}s (brightness ${best.brightness}, contrast ${best.contrast})` : ''}`)
+    if (!best) return { time: fallback, selectedBy: 'fallback' }
+    return { time: best.time, selectedBy: usable.length ? 'analysis' : 'fallback', brightness: best.brightness, contrast: best.contrast }
+}
+
+const generatePoster = async (inputFile, dir, settings, { duration, color = null, signal } = {}) => {
+    const { width, format, quality } = settings
+    fs.mkdirSync(dir, { recursive: true })
+    const pick = settings.time !== undefined
+        ? { time: Math.min(settings.time, Math.max(0, duration - 0.1)), selectedBy: 'time' }
+        : await findPosterTime(inputFile, dir, duration, signal)
+    const file = `poster.${format}`
+    const args = [
+        '-y', '-nostats', '-ss', String(pick.time), '-i', inputFile, '-an', '-sn', '-frames:v', '1',
+        '-vf', [...buildSourceFilters(color?.mode === 'tonemap' ? color : null), `scale=${width}:-2:flags=bicubic`].join(','),
+        ...buildImageCodecArgs(format, quality),
+        '-update', '1', path.join(dir, file)
+    ]
+    try {
+        await runFfmpegEncode(args, 'poster', { signal })
+    } catch (error) {
+        if (signal?.aborted) throw error
+        throw toJobError(error, 'ENCODE_FAILED', { stage: 'encode', message: `Poster extraction failed: ${error.message}` })
+    }
+    console.log(`🖼️ Poster: ${file} at ${pick.time}s (${pick.selectedBy})`)
+    return { dir, file, format, width, ...pick }
+}
+
+// Silent highlight montage: short clips spread over the video, each seeked on its own input and concatenated
+const generatePreview = async (inputFile, dir, settings, { color = null, signal } = {}) => {
+    const { format, clips, width, fps } = settings
+    fs.mkdirSync(dir, { recursive: true })
+    const sourceFilters = buildSourceFilters(color?.mode === 'tonemap' ? color : null)
+    const chains = clips.map((_, i) => `[${i}:v:0]${[...sourceFilters, `fps=${fps}`, `scale=${width}:-2:flags=bicubic`, 'format=yuv420p', 'setpts=PTS-STARTPTS'].join(',')}[c${i}]`)
+    const file = `preview.${format}`
+    const args = [
+        '-y', '-nostats',
+        ...clips.flatMap(clip => ['-ss', String(clip.start), '-t', String(clip.duration), '-i', inputFile]),
+        '-filter_complex', `${chains.join(';')};${clips.map((_, i) => `[c${i}]`).join('')}concat=n=${clips.length}:v=1:a=0[preview]`,
+        '-map', '[preview]', '-an', '-sn',
+        ...(format === 'webp'
+            ? ['-c:v', 'libwebp', '-quality', '60', '-loop', '0']
+            : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '28', '-movflags', '+faststart']),
+        path.join(dir, file)
+    ]
+    try {
+        await runFfmpegEncode(args, 'preview', { signal })
+    } catch (error) {
+        if (signal?.aborted) throw error
+        throw toJobError(error, 'ENCODE_FAILED', { stage: 'encode', message: `Preview generation failed: ${error.message}` })
+    }
+    const duration = clips.reduce((sum, clip) => sum + clip.duration, 0)
+    console.log(`🎞️ Preview: ${file}, ${clips.length} clip(s), ${duration.toFixed(1)}s`)
+    return { dir, file, format, width, fps, duration: Number(duration.toFixed(3)), clips }
+}
+
+// Thumbnails, poster and preview come from extra FFmpeg runs on the downloaded input, one at a time
+const generateArtwork = async (inputFile, dir, plan, options) => ({
+    thumbnails: plan.thumbnails && await generateThumbnailSprites(inputFile, path.join(dir, 'thumbnails'), plan.thumbnails, options),
+    poster: plan.poster && await generatePoster(inputFile, dir, plan.poster, options),
+    preview: plan.preview && await generatePreview(inputFile, dir, plan.preview, options)
+})
+
+// Upload the poster and preview to md5DriveId/ with their real extensions and report them
+const publishArtwork = async (artwork, duration, upload) => {
+    const { poster, preview } = artwork
+    const result = {}
+    if (artwork.thumbnails) {
+        result.thumbnails = await publishThumbnails(artwork.thumbnails, duration, upload)
+    }
+    const files = [poster, preview].filter(Boolean)
+    const uploaded = upload && files.length
+        ? await uploadSegmentsToStorage(files[0].dir, files.map(item => item.file), upload.storage, false, upload.md5DriveId, upload.transfer)
+        : []
+    const location = (item) => uploaded[files.indexOf(item)]?.url || item.file
+    if (poster) {
+        const { dir, file, ...details } = poster
+        result.poster = { ...details, url: location(poster) }
+    }
+    if (preview) {
+        const { dir, file, ...details } = preview
+        result.preview = { ...details, url: location(preview) }
+    }
+    return result
+}
+
+const ENCRYPTION_METHODS = ['AES-128', 'SAMPLE-AES']
+const KEY_URI_PLACEHOLDERS = /\{(keyId|index|md5DriveId)\}/g
+const DEFAULT_KEY_PATH = 'keys/{md5DriveId}/{keyId}.key'
+
+// Content keys for the job: one random AES-128 key per `rotateEvery` segments (one for the whole video
+// without it). Every rendition shares the schedule, so a player switching renditions keeps its key
+const createKeySchedule = ({ method = 'AES-128', keyUri, rotateEvery = null }, md5DriveId) => {
+    const keys = []
+    const keyAt = (sequence) => {
+        const index = rotateEvery ? Math.floor(sequence / rotateEvery) : 0
+        while (keys.length <= index) {
+            const next = keys.length
+            const id = crypto.randomBytes(8).toString('hex')
+            keys.push({
+                index: next,
+                id,
+                key: crypto.randomBytes(16),
+                uri: keyUri.replace(KEY_URI_PLACEHOLDERS, (_, name) => ({ keyId: id, index: String(next), md5DriveId })[name]),
+                firstSegment: next * (rotateEvery || 0)
+            })
+        }
+        return keys[index]
+    }
+    return { method, rotateEvery, keys, keyAt, encrypted: new Set() }
+}
+
+// Without an IV attribute the player uses the media sequence number as a big-endian 128-bit IV.
+// FFmpeg numbers segments from 0 (-start_number 0) and the playlists start at media sequence 0
+const sequenceIv = (sequence) => {
+    const iv = Buffer.alloc(16)
+    iv.writeUInt32BE(sequence, 12)
+    return iv
+}
+
+const aesCbc = (key, iv, padding) => crypto.createCipheriv('aes-128-cbc', key, iv).setAutoPadding(padding)
+
+// SAMPLE-AES (Apple's MPEG-2 stream encryption format): only H.264 slice data and AAC frame data are
+// encrypted, the TS/PES structure stays readable. The PMT announces the encrypted stream types
+const TS_PACKET_SIZE = 188
+const SAMPLE_AES_STREAM_TYPES = {
+    0x1b: { type: 0xdb, indicator: 'zavc' }, // H.264
+    0x0f: { type: 0xcf, indicator: 'aacd' } // AAC in ADTS
+}
+
+const MPEG_CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+    let crc = byte << 24
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1
+    }
+    return crc >>> 0
+})
+const mpegCrc32 = (data) => data.reduce((crc, byte) => ((crc << 8) ^ MPEG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0, 0xffffffff)
+
+const parseTsPacket = (data, offset) => {
+    const packet = data.subarray(offset, offset + TS_PACKET_SIZE)
+    const control = (packet[3] >> 4) & 0x3
+    const adaptationLength = control & 0x2 ? packet[4] + 1 : 0
+    return {
+        packet,
+        pid: ((packet[1] & 0x1f) << 8) | packet[2],
+        start: Boolean(packet[1] & 0x40),
+        adaptation: adaptationLength ? packet.subarray(4, 4 + adaptationLength) : null,
+        payload: control & 0x1 ? packet.subarray(4 + adaptationLength) : null
+    }
+}
+
+// PSI section of a packet payload (after the pointer field)
+const psiSection = (payload) => payload.subarray(1 + payload[0])
+
+// Adaptation field without its stuffing, or null when it only carried stuffing
+const trimAdaptationField = (field) => {
+    const flags = field.length > 1 ? field[1] : 0
+    if (!flags) return null
+    let end = 2
+    if (flags & 0x10) end += 6 // PCR
+    if (flags & 0x08) end += 6 // OPCR
+    if (flags & 0x04) end += 1 // splice countdown
+    if (flags & 0x02) end += 1 + field[end] // private data
+    if (flags & 0x01) end += 1 + field[end] // extension
+    const trimmed = Buffer.from(field.subarray(0, end))
+    trimmed[0] = end - 1
+    return trimmed
+}
+
+// Split a PES back into TS packets. The k-th packet reuses the k-th original adaptation field
+// (PCR, random access flag); the last packet is padded with adaptation field stuffing
+const packetizePes = (pid, pes, adaptations) => {
+    const packets = []
+    for (let offset = 0, k = 0; offset < pes.length; k++) {
+        let field = adaptations[k] || null
+        const room = TS_PACKET_SIZE - 4 - (field ? field.length : 0)
+        const size = Math.min(room, pes.length - offset)
+        const stuffing = room - size
+        if (stuffing) {
+            // A new adaptation field is its length byte (+ a flags byte when there is room), then 0xff stuffing
+            field = Buffer.concat([field || Buffer.alloc(Math.min(stuffing, 2)), Buffer.alloc(field ? stuffing : Math.max(0, stuffing - 2), 0xff)])
+            field[0] = field.length - 1
+        }
+        const header = Buffer.from([0x47, (k === 0 ? 0x40 : 0) | (pid >> 8), pid & 0xff, field ? 0x30 : 0x10])
+        packets.push(Buffer.concat([header, ...(field ? [field] : []), pes.subarray(offset, offset + size)]))
+        offset += size
+    }
+    return packets
+}
+
+const removeEmulationPrevention = (nal) => {
+    const out = []
+    let zeros = 0
+    for (const byte of nal) {
+        if (zeros >= 2 && byte === 0x03) {
+            zeros = 0
+            continue
+        }
+        out.push(byte)
+        zeros = byte === 0 ? zeros + 1 : 0
+    }
+    return Buffer.from(out)
+}
+
+const addEmulationPrevention = (data) => {
+    const out = []
+    let zeros = 0
+    for (const byte of data) {
+        if (zeros >= 2 && byte <= 0x03) {
+            out.push(0x03)
+            zeros = 0
+        }
+        out.push(byte)
+        zeros = byte === 0 ? zeros + 1 : 0
+    }
+    if (zeros >= 2) out.push(0x03)
+    return Buffer.from(out)
+}
+
+// Slices (NAL types 1 and 5) over 48 bytes: 32 clear bytes, then 1 encrypted 16-byte block in every 10,
+// CBC-chained within the NAL; the tail block stays clear. Works on the unescaped NAL and re-escapes it
+const encryptAvcNal = (nal, key, iv) => {
+    const type = nal[0] & 0x1f
+    if (type !== 1 && type !== 5) return nal
+    const raw = removeEmulationPrevention(nal)
+    if (raw.length <= 48) return nal
+    const offsets = []
+    for (let offset = 32; offset < raw.length - 16; offset += 160) offsets.push(offset)
+    const cipher = aesCbc(key, iv, false)
+    const encrypted = Buffer.concat([cipher.update(Buffer.concat(offsets.map(offset => raw.subarray(offset, offset + 16)))), cipher.final()])
+    offsets.forEach((offset, n) => encrypted.copy(raw, offset, n * 16, n * 16 + 16))
+    return addEmulationPrevention(raw)
+}
+
+// Annex B payload: NAL units between start codes; trailing zero bytes belong to the next start code
+const encryptAvcPayload = (payload, key, iv) => {
+    const starts = []
+    for (let i = 0; i + 2 < payload.length; i++) {
+        if (payload[i] === 0 && payload[i + 1] === 0 && payload[i + 2] === 1) {
+            starts.push(i)
+            i += 2
+        }
+    }
+    const pieces = []
+    let written = 0
+    starts.forEach((start, n) => {
+        const nalStart = start + 3
+        let nalEnd = n + 1 < starts.length ? starts[n + 1] : payload.length
+        while (nalEnd > nalStart && payload[nalEnd - 1] === 0) nalEnd--
+        if (nalEnd <= nalStart) return
+        pieces.push(payload.subarray(written, nalStart), encryptAvcNal(payload.subarray(nalStart, nalEnd), key, iv))
+        written = nalEnd
+    })
+    pieces.push(payload.subarray(written))
+    return Buffer.concat(pieces)
+}
+
+// ADTS frames: header and the first 16 bytes of the raw frame stay clear, then every whole
+// 16-byte block is encrypted (CBC per frame); the partial tail stays clear
+const encryptAdtsPayload = (payload, key, iv) => {
+    const out = Buffer.from(payload)
+    for (let offset = 0; offset + 7 <= out.length;) {
+        if (out[offset] !== 0xff || (out[offset + 1] & 0xf0) !== 0xf0) break
+        const headerLength = out[offset + 1] & 0x01 ? 7 : 9
+        const frameLength = ((out[offset + 3] & 0x03) << 11) | (out[offset + 4] << 3) | (out[offset + 5] >> 5)
+        if (frameLength < headerLength || offset + frameLength > out.length) break
+        const frame = out.subarray(offset + headerLength, offset + frameLength)
+        const blocks = Math.floor(frame.length / 16) - 1
+        if (blocks > 0) {
+            const region = frame.subarray(16, 16 + blocks * 16)
+            const cipher = aesCbc(key, iv, false)
+            Buffer.concat([cipher.update(region), cipher.final()]).copy(region)
+        }
+        offset += frameLength
+    }
+    return out
+}
+
+// AudioSpecificConfig (object type, sampling index, channels) from an ADTS header
+const adtsAudioConfig = (payload) => {
+    const objectType = ((payload[2] >> 6) & 0x3) + 1
+    const samplingIndex = (payload[2] >> 2) & 0xf
+    const channels = ((payload[2] & 0x1) << 2) | (payload[3] >> 6)
+    return Buffer.from([(objectType << 3) | (samplingIndex >> 1), ((samplingIndex & 0x1) << 7) | (channels << 3)])
+}
+
+// Descriptors an encrypted stream carries: private_data_indicator, plus the audio setup
+// information (registration descriptor "apad") with the AudioSpecificConfig for AAC
+const sampleAesDescriptors = (indicator, audioConfig) => {
+    const descriptors = [Buffer.concat([Buffer.from([0x0f, 4]), Buffer.from(indicator)])]
+    if (audioConfig) {
+        const setup = Buffer.concat([Buffer.from('apadzaac'), Buffer.from([0, 0, 1, audioConfig.length]), audioConfig])
+        descriptors.push(Buffer.concat([Buffer.from([0x05, setup.length]), setup]))
+    }
+    return Buffer.concat(descriptors)
+}
+
+const rewritePmtPacket = (packet, payload, audioConfigs) => {
+    const section = psiSection(payload)
+    const sectionEnd = 3 + (((section[1] & 0x0f) << 8) | section[2]) - 4
+    const programInfoEnd = 12 + (((section[10] & 0x0f) << 8) | section[11])
+    const entries = []
+    for (let offset = programInfoEnd; offset < sectionEnd;) {
+        const streamType = section[offset]
+        const pid = ((section[offset + 1] & 0x1f) << 8) | section[offset + 2]
+        const infoLength = ((section[offset + 3] & 0x0f) << 8) | section[offset + 4]
+        const entry = Buffer.from(section.subarray(offset, offset + 5 + infoLength))
+        const encrypted = SAMPLE_AES_STREAM_TYPES[streamType]
+        if (encrypted) {
+            const info = Buffer.concat([entry.subarray(5), sampleAesDescriptors(encrypted.indicator, audioConfigs.get(pid))])
+            entry[0] = encrypted.type
+            entry[3] = (entry[3] & 0xf0) | (info.length >> 8)
+            entry[4] = info.length & 0xff
+            entries.push(Buffer.concat([entry.subarray(0, 5), info]))
+        } else {
+            entries.push(entry)
+        }
+        offset += 5 + infoLength
+    }
+    const rebuilt = Buffer.concat([Buffer.from(section.subarray(0, programInfoEnd)), ...entries, Buffer.alloc(4)])
+    const sectionLength = rebuilt.length - 3
+    rebuilt[1] = (rebuilt[1] & 0xf0) | (sectionLength >> 8)
+    rebuilt[2] = sectionLength & 0xff
+    rebuilt.writeUInt32BE(mpegCrc32(rebuilt.subarray(0, rebuilt.length - 4)), rebuilt.length - 4)
+    if (rebuilt.length > TS_PACKET_SIZE - 5) throw new Error('PMT does not fit in one TS packet')
+    const out = Buffer.alloc(TS_PACKET_SIZE, 0xff)
+    packet.copy(out, 0, 0, 4)
+    out[3] = 0x10 | (packet[3] & 0x0f)
+    out[4] = 0
+    rebuilt.copy(out, 5)
+    return out
+}
+
+// Rewrite a whole MPEG-TS segment with SAMPLE-AES: PES payloads are encrypted and repacketized,
+// the PMT gets the encrypted stream types and continuity counters are renumbered
+const encryptTsSamples = (data, key, iv) => {
+    if (data.length % TS_PACKET_SIZE) throw new Error(`segment is not a whole number of ${TS_PACKET_SIZE}-byte TS packets`)
+    const packets = []
+    for (let offset = 0; offset < data.length; offset += TS_PACKET_SIZE) {
+        if (data[offset] !== 0x47) throw new Error(`lost TS sync at byte ${offset}`)
+        packets.push(parseTsPacket(data, offset))
+    }
+    
+    // PAT -> PMT PIDs -> the elementary streams SAMPLE-AES covers
+    const pmtPids = new Set()
+    const streams = new Map()
+    for (const { pid, start, payload } of packets) {
+        if (!start || !payload) continue
+        const section = psiSection(payload)
+        const sectionEnd = 3 + (((section[1] & 0x0f) << 8) | section[2]) - 4
+        if (pid === 0) {
+            for (let offset = 8; offset < sectionEnd; offset += 4) {
+                if (section.readUInt16BE(offset)) pmtPids.add(((section[offset + 2] & 0x1f) << 8) | section[offset + 3])
+            }
+        } else if (pmtPids.has(pid)) {
+            for (let offset = 12 + (((section[10] & 0x0f) << 8) | section[11]); offset < sectionEnd;) {
+                const elementaryPid = ((section[offset + 1] & 0x1f) << 8) | section[offset + 2]
+                if (SAMPLE_AES_STREAM_TYPES[section[offset]]) streams.set(elementaryPid, section[offset])
+                offset += 5 + (((section[offset + 3] & 0x0f) << 8) | section[offset + 4])
+            }
+        }
+    }
+    
+    // Collect each PES with the packet slots it occupied; payload-less (PCR-only) packets stay put
+    const units = []
+    const current = new Map()
+    packets.forEach(({ pid, start, adaptation, payload }, slot) => {
+        if (!streams.has(pid) || !payload) return
+        if (start) {
+            const unit = { pid, slots: [], adaptations: [], chunks: [] }
+            units.push(unit)
+            current.set(pid, unit)
+        }
+        const unit = current.get(pid)
+        if (!unit) return
+        unit.slots.push(slot)
+        unit.adaptations.push(adaptation && trimAdaptationField(adaptation))
+        unit.chunks.push(payload)
+    })
+    
+    const audioConfigs = new Map()
+    const output = packets.map(({ packet }) => [packet])
+    for (const unit of units) {
+        const pes = Buffer.concat(unit.chunks)
+        if (pes.length < 9 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) continue
+        const headerLength = 9 + pes[8]
+        const payload = pes.subarray(headerLength)
+        const isVideo = streams.get(unit.pid) === 0x1b
+        if (!isVideo && !audioConfigs.has(unit.pid) && payload.length >= 7) audioConfigs.set(unit.pid, adtsAudioConfig(payload))
+        const rebuilt = Buffer.concat([
+            Buffer.from(pes.subarray(0, headerLength)),
+            isVideo ? encryptAvcPayload(payload, key, iv) : encryptAdtsPayload(payload, key, iv)
+        ])
+        if (pes.readUInt16BE(4)) rebuilt.writeUInt16BE(rebuilt.length - 6 > 0xffff ? 0 : rebuilt.length - 6, 4)
+        const rewritten = packetizePes(unit.pid, rebuilt, unit.adaptations)
+        unit.slots.forEach((slot, k) => { output[slot] = k < rewritten.length ? [rewritten[k]] : [] })
+        output[unit.slots.at(-1)].push(...rewritten.slice(unit.slots.length))
+    }
+    packets.forEach(({ pid, start, packet, payload }, slot) => {
+        if (start && payload && pmtPids.has(pid)) output[slot] = [rewritePmtPacket(packet, payload, audioConfigs)]
+    })
+    
+    // Continuity counters of the rewritten streams continue from their first original packet
+    const result = Buffer.concat(output.flat())
+    const counters = new Map()
+    packets.forEach(({ pid, packet }) => {
+        if (streams.has(pid) && !counters.has(pid)) counters.set(pid, packet[3] & 0x0f)
+    })
+    for (let offset = 0; offset < result.length; offset += TS_PACKET_SIZE) {
+        const pid = ((result[offset + 1] & 0x1f) << 8) | result[offset + 2]
+        if (!counters.has(pid)) continue
+        const hasPayload = result[offset + 3] & 0x10
+        const counter = hasPayload ? counters.get(pid) : (counters.get(pid) + 15) & 0x0f
+        result[offset + 3] = (result[offset + 3] & 0xf0) | counter
+        if (hasPayload) counters.set(pid, (counter + 1) & 0x0f)
+    }
+    return result
+}
+
+// Encrypt one finished segment in place with the key its sequence number falls under (once per file)
+const encryptSegmentFile = (schedule, segmentDir, file) => {
+    const filePath = path.join(segmentDir, file)
+    if (schedule.encrypted.has(filePath) || !/\.(ts|m4s)$/.test(file)) return
+    const sequence = parseInt(file, 10)
+    const { key } = schedule.keyAt(sequence)
+    const iv = sequenceIv(sequence)
+    const data = fs.readFileSync(filePath)
+    try {
+        if (schedule.method === 'SAMPLE-AES') {
+            fs.writeFileSync(filePath, encryptTsSamples(data, key, iv))
+        } else {
+            const cipher = aesCbc(key, iv, true)
+            fs.writeFileSync(filePath, Buffer.concat([cipher.update(data), cipher.final()]))
+        }
+    } catch (error) {
+        throw createJobError('ENCODE_FAILED', `${schedule.method} encryption of ${file} failed: ${error.message}`, { stage: 'encode' })
+    }
+    schedule.encrypted.add(filePath)
+}
+
+// EXT-X-KEY before the first segment of every key period
+const keyTagFor = (schedule, sequence) => {
+    if (sequence % (schedule.rotateEvery || Infinity) !== 0 && sequence !== 0) return null
+    return `#EXT-X-KEY:METHOD=${schedule.method},URI="${schedule.keyAt(sequence).uri}"`
+}
+
+// Insert the key tags into a media playlist (the local FFmpeg one or the rebuilt upload one);
+// SAMPLE-AES needs protocol version 5
+const addKeyTags = (content, schedule) => {
+    let sequence = 0
+    return content.split('\n').flatMap(line => {
+        if (schedule.method === 'SAMPLE-AES' && /^#EXT-X-VERSION:[1-4]$/.test(line)) return ['#EXT-X-VERSION:5']
+        if (!line.startsWith('#EXTINF:')) return [line]
+        const tag = keyTagFor(schedule, sequence++)
+        return tag ? [tag, line] : [line]
+    }).join('\n')
+}
+
+// Encrypt every video/audio segment the pipeline has not already encrypted and tag the local playlists
+const encryptHlsRenditions = (schedule, renditions) => {
+    for (const rendition of renditions) {
+        fs.readdirSync(rendition.segmentDir)
+            .filter(isMediaSegment)
+            .forEach(file => encryptSegmentFile(schedule, rendition.segmentDir, file))
+        fs.writeFileSync(rendition.playlistPath, addKeyTags(fs.readFileSync(rendition.playlistPath, 'utf8'), schedule))
+        rendition.encryption = schedule
+    }
+    console.log(`🔐 ${schedule.method}: ${schedule.encrypted.size} segments across ${renditions.length} rendition(s), ${schedule.keys.length} key(s)${schedule.rotateEvery ? ` rotating every ${schedule.rotateEvery} segments` : ''}`)
+}
+
+// Key material goes back in the result, or to the private key storage (never the public output folder)
+const deliverEncryptionKeys = async (schedule, { keyStorage = null, keyPath, md5DriveId, transfer }) => {
+    const describe = ({ index, id, uri, firstSegment }) => ({ index, id, uri, firstSegment })
+    if (!keyStorage) {
+        return schedule.keys.map(entry => ({ ...describe(entry), key: entry.key.toString('hex') }))
+    }
+    try {
+        return await runWithConcurrency(schedule.keys, transfer.concurrency, async (entry) => {
+            const remotePath = keyPath.replace(KEY_URI_PLACEHOLDERS, (_, name) => ({ keyId: entry.id, index: String(entry.index), md5DriveId })[name])
+            await putObjectWithRetry(keyStorage, remotePath, entry.key, {
+                contentType: 'application/octet-stream',
+                cacheControl: 'private, no-store'
+            }, transfer)
+            return { ...describe(entry), storagePath: remotePath }
+        })
+    } catch (error) {
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to store encryption keys in ${keyStorage.type} storage: ${error.message}` })
+    }
+}
+
+const OUTPUT_FORMATS = ['hls', 'dash', 'mp4']
+const DEFAULT_SEGMENT_DURATION = 2
+
+// Segment container for the job: DASH is always fMP4, HLS uses TS unless the caller asks
+// for fMP4 (CMAF) or the codec can't travel in TS; progressive MP4 has no segments
+const resolveSegmentType = (outputFormat, requestedFormat, codec = 'h264') => {
+    if (outputFormat === 'mp4') return null
+    if (outputFormat === 'dash') return 'fmp4'
+    if (requestedFormat === undefined) return VIDEO_CODECS[codec].segmentType
+    if (!['ts', 'fmp4'].includes(requestedFormat)) {
+        throw createJobError('INPUT_INVALID', `Unsupported segments.format: ${requestedFormat}. Supported formats: ts, fmp4`, { stage: 'validate' })
+    }
+    if (requestedFormat === 'ts' && VIDEO_CODECS[codec].segmentType === 'fmp4') {
+        console.warn(`⚠️ ${codec} cannot be segmented as MPEG-TS, using fMP4 segments`)
+        return 'fmp4'
+    }
+    return requestedFormat === 'fmp4' ? 'fmp4' : 'mpegts'
+}
+
+// HLS muxer args; fMP4 segments get an init segment referenced by EXT-X-MAP
+const buildHlsOutputArgs = (segmentTime, segmentType, segmentPattern, playlistPath) => {
+    const fmp4 = segmentType === 'fmp4'
+    return [
+        '-hls_time', segmentTime.toString(), '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments', '-hls_list_size', '0', '-start_number', '0',
+        ...(fmp4 ? ['-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', 'init.mp4'] : []),
+        '-hls_segment_filename', `${segmentPattern}${fmp4 ? '.m4s' : '.ts'}`,
+        '-f', 'hls', playlistPath
+    ]
+}
+
+// Name of the video rendition when a single-rendition HLS encode has separate audio renditions
+const SINGLE_VIDEO_RENDITION = 'video'
+
+// Named HLS video renditions: the ladder, one "video" rendition next to separate audio or
+// subtitle renditions, or null for the legacy output/ts layout
+const getHlsVideoRenditions = (ladder, audioRenditions, hasSubtitles = false) => ladder || (audioRenditions || hasSubtitles ? [{ name: SINGLE_VIDEO_RENDITION }] : null)
+
+// Muxer args for the requested output format
+// hls: output/ts + output/master.m3u8 (or output/<rendition>/ with a ladder or audio renditions)
+// dash: output/dash/manifest.mpd with an explicit SegmentList so segment URLs can be rewritten
+// mp4: output/video.mp4 with the moov atom up front for progressive download
+const buildContainerArgs = (outputFormat, outputDir, { ladder, segmentType, segmentTime, hasAudio, audioRenditions = null, hasSubtitles = false }) => {
+    if (outputFormat === 'dash') {
+        return [
+            '-f', 'dash',
+            '-seg_duration', segmentTime.toString(),
+            '-use_template', '0', '-use_timeline', '0',
+            '-init_seg_name', 'init-$RepresentationID$.m4s',
+            '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+            '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+            path.join(outputDir, 'dash', 'manifest.mpd')
+        ]
+    }
+    if (outputFormat === 'mp4') {
+        return ['-movflags', '+faststart', '-f', 'mp4', path.join(outputDir, 'video.mp4')]
+    }
+    const videoRenditions = getHlsVideoRenditions(ladder, audioRenditions, hasSubtitles)
+    if (videoRenditions) {
+        // Audio is muxed into every rung unless it has renditions of its own
+        const muxAudio = hasAudio && !audioRenditions
+        const streamMap = [
+            ...videoRenditions.map((variant, i) => (muxAudio ? `v:${i},a:${i},name:${variant.name}` : `v:${i},name:${variant.name}`)),
+            ...(audioRenditions || []).map((rendition, i) => `a:${i},name:${rendition.name}`)
+        ].join(' ')
+        return [
+            '-var_stream_map', streamMap,
+            ...buildHlsOutputArgs(segmentTime, segmentType, path.join(outputDir, '%v', '%03d'), path.join(outputDir, '%v', 'index.m3u8'))
+        ]
+    }
+    return buildHlsOutputArgs(segmentTime, segmentType, path.join(outputDir, 'ts', '%03d'), path.join(outputDir, 'master.m3u8'))
+}
+
+const isMediaSegment = (fileName) => /\.(ts|m4s|vtt)$/.test(fileName)
+
+// FFmpeg writes the fMP4 init segment next to the playlist; move it beside the media segments
+const collectInitSegment = (playlistPath, segmentDir) => {
+    const content = fs.readFileSync(playlistPath, 'utf8')
+    const mapMatch = content.match(/#EXT-X-MAP:URI="([^"]+)"/)
+    if (!mapMatch) return null
+    
+    const initName = path.basename(mapMatch[1])
+    const candidates = [path.join(segmentDir, initName), path.resolve(path.dirname(playlistPath), mapMatch[1])]
+    const found = candidates.find(candidate => fs.existsSync(candidate))
+    if (!found) return null
+    if (found !== candidates[0]) {
+        fs.renameSync(found, candidates[0])
+    }
+    return initName
+}
+
+// Resolve the `renditions` payload into concrete variants that never upscale past the source
+// Accepts `true` (full ladder), ladder names ['720p', '360p'] or objects { name, height, bitrate }
+const resolveRenditionLadder = (renditions, videoInfo) => {
+    const requested = renditions === true
+        ? Object.keys(RENDITION_LADDER)
+        : (Array.isArray(renditions) ? renditions : [])
+    
+    const variants = requested.map(entry => {
+        const spec = typeof entry === 'string' ? { name: entry } : { ...entry }
+        const preset = RENDITION_LADDER[spec.name] || {}
+        const merged = { ...preset, ...spec }
+        if (!merged.height || !merged.bitrate) {
+            throw createJobError('INPUT_INVALID', `Unknown rendition "${spec.name}". Use one of ${Object.keys(RENDITION_LADDER).join(', ')} or pass { name, height, bitrate }`, { stage: 'validate' })
+        }
+        return {
+            name: merged.name || `${merged.height}p`,
+            height: merged.height,
+            bitrate: merged.bitrate,
+            maxrate: merged.maxrate || Math.round(merged.bitrate * 1.5),
+            bufsize: merged.bufsize || merged.bitrate * 2
+        }
+    })
+    
+    if (variants.length === 0) {
+        throw createJobError('INPUT_INVALID', 'renditions must be true or a non-empty array', { stage: 'validate' })
+    }
+    
+    const sourceWidth = videoInfo.width || 1920
+    const sourceHeight = videoInfo.height || 1080
+    const aspect = sourceWidth / sourceHeight
+    
+    let fitting = variants.filter(v => v.height <= sourceHeight)
+    if (fitting.length === 0) {
+        // Source is smaller than every rung - keep one rendition at source height
+        const lowest = variants.reduce((min, v) => (v.height < min.height ? v : min))
+        fitting = [{ ...lowest, name: `${sourceHeight - (sourceHeight % 2)}p`, height: sourceHeight }]
+    }
+    
+    return fitting
+        .sort((a, b) => b.height - a.height)
+        .map(v => {
+            const height = v.height - (v.height % 2)
+            return { ...v, height, width: Math.round((height * aspect) / 2) * 2 }
+        })
+}
+
+// Parse #EXTINF entries of a media playlist into [{ duration, uri }]
+const parseMediaPlaylist = (content) => {
+    const entries = []
+    const lines = content.split('\n')
+    for (let i = 0; i < lines.length; i++) {
+        const durationMatch = lines[i].match(/^#EXTINF:([0-9.]+),/)
+        if (durationMatch) {
+            const uri = (lines[i + 1] || '').trim()
+            entries.push({ duration: durationMatch[1], uri })
+        }
+    }
+    return entries
+}
+
+// Measure peak and average bitrate (bits/s) from encoded segment sizes
+const measureVariantBandwidth = (m3u8Content, segmentDir) => {
+    let peak = 0
+    let totalBits = 0
+    let totalDuration = 0
+    for (const { duration, uri } of parseMediaPlaylist(m3u8Content)) {
+        const seconds = parseFloat(duration)
+        const segmentPath = path.join(segmentDir, path.basename(uri))
+        if (!seconds || !fs.existsSync(segmentPath)) continue
+        const bits = fs.statSync(segmentPath).size * 8
+        peak = Math.max(peak, bits / seconds)
+        totalBits += bits
+        totalDuration += seconds
+    }
+    return {
+        peak: Math.ceil(peak),
+        average: totalDuration ? Math.ceil(totalBits / totalDuration) : 0
+    }
+}
+
+// Build an HLS master playlist; uriFor(rendition) returns a video, audio or subtitle rendition's playlist URI.
+// With audio renditions every video variant is listed once per audio group, its bandwidth
+// including the group's largest audio rendition
+const buildMasterPlaylist = (variants, uriFor, audio = [], subtitles = []) => {
+    let content = '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-INDEPENDENT-SEGMENTS\n'
+    const groups = groupAudioRenditions(audio)
+    groups.forEach(group => {
+        group.renditions.forEach(rendition => {
+            const attributes = [
+                'TYPE=AUDIO',
+                `GROUP-ID="${group.id}"`,
+                `NAME="${rendition.label}"`,
+                ...(rendition.language ? [`LANGUAGE="${rendition.language}"`] : []),
+                `DEFAULT=${rendition.default ? 'YES' : 'NO'}`,
+                `AUTOSELECT=${rendition.default || !rendition.commentary ? 'YES' : 'NO'}`,
+                `CHANNELS="${rendition.channels}"`,
+                `URI="${uriFor(rendition)}"`
+            ]
+            content += `#EXT-X-MEDIA:${attributes.join(',')}\n`
+        })
+    })
+    subtitles.forEach(rendition => {
+        const attributes = [
+            'TYPE=SUBTITLES',
+            `GROUP-ID="${SUBTITLE_GROUP_ID}"`,
+            `NAME="${rendition.label}"`,
+            ...(rendition.language ? [`LANGUAGE="${rendition.language}"`] : []),
+            `DEFAULT=${rendition.default ? 'YES' : 'NO'}`,
+            'AUTOSELECT=YES',
+            `FORCED=${rendition.forced ? 'YES' : 'NO'}`,
+            ...(rendition.hearingImpaired ? [`CHARACTERISTICS="${HEARING_IMPAIRED_CHARACTERISTICS}"`] : []),
+            `URI="${uriFor(rendition)}"`
+        ]
+        content += `#EXT-X-MEDIA:${attributes.join(',')}\n`
+    })
+    
+    const entries = groups.length
+        ? groups.flatMap(group => variants.map(variant => ({ variant, group })))
+        : variants.map(variant => ({ variant }))
+    entries.forEach(({ variant, group }) => {
+        const audioBandwidth = (key) => (group ? Math.max(...group.renditions.map(rendition => rendition.bandwidth[key])) : 0)
+        const attributes = [
+            `BANDWIDTH=${variant.bandwidth.peak + audioBandwidth('peak')}`,
+            `AVERAGE-BANDWIDTH=${variant.bandwidth.average + audioBandwidth('average')}`,
+            `RESOLUTION=${variant.width}x${variant.height}`,
+            `CODECS="${variant.codecs}"`,
+            ...(variant.videoRange ? [`VIDEO-RANGE=${variant.videoRange}`] : []),
+            ...(group ? [`AUDIO="${group.id}"`] : []),
+            ...(subtitles.length ? [`SUBTITLES="${SUBTITLE_GROUP_ID}"`] : [])
+        ]
+        content += `#EXT-X-STREAM-INF:${attributes.join(',')}\n${uriFor(variant)}\n`
+    })
+    return content
+}
+
+// The video stream the probe picked (cover art skipped); FFmpeg's first video stream when it is unknown
+const videoStreamSpec = (streamIndex) => (Number.isInteger(streamIndex) ? `0:${streamIndex}` : '0:v:0')
+
+// FFmpeg args for a multi-rendition encode: one decode, split, scale per rung (muxer args are appended by the caller)
+// HLS muxes audio into every rung (unless it has audio renditions of its own); DASH shares one audio representation
+// pipeline is one of ENCODE_PIPELINES (gpu keeps frames in CUDA memory, hybrid scales on the CPU for NVENC)
+const buildLadderArgs = (inputFile, ladder, codec, pipeline, settings, segmentTime, gopSize, hasAudio, audioPerVariant = true, color = null, audioRenditions = null, subtitleFilter = null, videoStreamIndex = null) => {
+    const useNVENC = pipeline !== 'software'
+    const splitLabels = ladder.map((_, i) => `[s${i}]`).join('')
+    const scaleChains = ladder.map((variant, i) => `[s${i}]${buildScaleFilter(pipeline, `${variant.width}:${variant.height}`, color)}[v${i}]`)
+    // Tone mapping and subtitle burn-in run once before the split, not per rung
+    const sourceFilters = buildSourceFilters(color, subtitleFilter).map(filter => `${filter},`).join('')
+    const filterComplex = `[${videoStreamSpec(videoStreamIndex)}]${sourceFilters}split=${ladder.length}${splitLabels};${scaleChains.join(';')}`
+    
+    const args = ['-y']
+    if (pipeline === 'gpu') {
+        args.push(
+            '-init_hw_device', 'cuda=gpu:0', '-filter_hw_device', 'gpu',
+            '-hwaccel', 'cuda', '-hwaccel_output_format', 'cuda'
+        )
+    }
+    args.push('-i', inputFile, '-filter_complex', filterComplex)
+    
+    const muxedAudio = hasAudio && !audioRenditions
+    ladder.forEach((_, i) => {
+        args.push('-map', `[v${i}]`)
+        if (muxedAudio && audioPerVariant) args.push('-map', '0:a:0')
+    })
+    if (muxedAudio && !audioPerVariant) args.push('-map', '0:a:0')
+    
+    args.push(...buildVideoEncoderArgs(codec, useNVENC, settings, color))
+    
+    // Per-rendition rate control: rungs keep their own bitrates, the profile decides CQ/CRF and mode
+    ladder.forEach((variant, i) => {
+        args.push(...buildBitrateArgs(settings, useNVENC, variant, `v:${i}`))
+    })
+    
+    args.push(
+        '-g', gopSize.toString(), '-keyint_min', gopSize.toString(),
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentTime})`
+    )
+    if (audioRenditions) {
+        args.push(...buildAudioRenditionArgs(audioRenditions))
+    } else if (hasAudio) {
+        args.push(...buildAudioArgs(settings))
+    }
+    return args
+}
+
+// Where the HLS muxer writes each rendition's segments and which storage folder they go to
+const getHlsSegmentTargets = (outputDir, ladder, md5DriveId, audioRenditions = null, hasSubtitles = false) => {
+    const videoRenditions = getHlsVideoRenditions(ladder, audioRenditions, hasSubtitles)
+    if (!videoRenditions) return [{ segmentDir: path.join(outputDir, 'ts'), folder: md5DriveId }]
+    return [...videoRenditions, ...(audioRenditions || [])]
+        .map(({ name }) => ({ segmentDir: path.join(outputDir, name), folder: `${md5DriveId}/${name}` }))
+}
+
+// Locate what FFmpeg wrote for each output format
+const collectEncodeOutputs = (outputFormat, outputDir, { ladder, codec, settings, hasAudio, color = null, audioRenditions = null, hasSubtitles = false, videoInfo = {} }) => {
+    if (outputFormat === 'dash') {
+        const segmentDir = path.join(outputDir, 'dash')
+        return {
+            manifestPath: path.join(segmentDir, 'manifest.mpd'),
+            segmentDir,
+            segmentCount: fs.readdirSync(segmentDir).filter(f => f.startsWith('chunk-')).length
+        }
+    }
+    if (outputFormat === 'mp4') {
+        return { filePath: path.join(outputDir, 'video.mp4'), segmentCount: 1 }
+    }
+    
+    // Legacy single rendition lives in output/ts with output/master.m3u8 as its media playlist;
+    // next to audio or subtitle renditions it becomes output/video at the (even) source size
+    const codecString = (variant) => getVideoCodecString(codec, settings.videoProfile, settings.level, color?.output.bitDepth, { ...variant, fps: videoInfo.fps })
+    const videoRange = { hdr10: 'PQ', hlg: 'HLG' }[color?.output.hdr] || null
+    const videoRenditions = ladder || (getHlsVideoRenditions(null, audioRenditions, hasSubtitles) && [{
+        name: SINGLE_VIDEO_RENDITION,
+        width: videoInfo.width - (videoInfo.width % 2),
+        height: videoInfo.height - (videoInfo.height % 2)
+    }])
+    const variants = videoRenditions
+        ? videoRenditions.map(variant => ({
+            ...variant,
+            codecs: hasAudio ? `${codecString(variant)},mp4a.40.2` : codecString(variant),
+            ...(videoRange && { videoRange }),
+            segmentDir: path.join(outputDir, variant.name),
+            playlistPath: path.join(outputDir, variant.name, 'index.m3u8')
+        }))
+        : [{
+            name: null,
+            segmentDir: path.join(outputDir, 'ts'),
+            playlistPath: path.join(outputDir, 'master.m3u8')
+        }]
+    const audio = (audioRenditions || []).map(rendition => ({
+        ...rendition,
+        segmentDir: path.join(outputDir, rendition.name),
+        playlistPath: path.join(outputDir, rendition.name, 'index.m3u8')
+    }))
+    const renditions = [...variants, ...audio]
+    renditions.forEach(rendition => {
+        rendition.initFile = collectInitSegment(rendition.playlistPath, rendition.segmentDir)
+    })
+    return {
+        variants,
+        audio,
+        segmentCount: renditions.reduce((sum, rendition) => {
+            return sum + fs.readdirSync(rendition.segmentDir).filter(isMediaSegment).length
+        }, 0)
+    }
+}
+
+// Encode pipelines, tried in this order until one succeeds:
+//   gpu      - NVDEC decode, scale_npp, NVENC encode (frames never leave the GPU)
+//   hybrid   - software decode and scale, NVENC encode
+//   software - software decode and encode (x264/x265/SVT-AV1) with the CPU enhancement filters
+const ENCODE_PIPELINES = {
+    gpu: { decode: 'nvdec', label: 'NVENC GPU' },
+    hybrid: { decode: 'software', label: 'NVENC (software decode)' },
+    software: { decode: 'software', label: 'Software' }
+}
+
+// Codecs and pixel formats NVDEC decodes on every GPU we run on: 8-bit 4:2:0 only.
+// 4:2:2/4:4:4, 10-bit H.264, VP9 profile 2 and ProRes go straight to a software decode
+const NVDEC_CODECS = ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg1video', 'mpeg2video', 'mpeg4', 'vc1', 'mjpeg']
+const NVDEC_PIXEL_FORMATS = ['yuv420p', 'yuvj420p', 'nv12']
+
+// Pick the decode path from the probed stream and what this FFmpeg build can do on the GPU
+const chooseDecodePath = (videoInfo = {}, capabilities) => {
+    const { videoCodec, pixelFormat } = videoInfo
+    if (!capabilities.hwaccels.includes('cuda')) {
+        return { path: 'software', reason: 'FFmpeg has no CUDA hwaccel' }
+    }
+    if (!capabilities.filters.scale_npp) {
+        return { path: 'software', reason: 'FFmpeg has no scale_npp filter' }
+    }
+    if (!videoCodec) {
+        return { path: 'nvdec', reason: 'codec unknown, trying NVDEC first' }
+    }
+    if (!NVDEC_CODECS.includes(videoCodec)) {
+        return { path: 'software', reason: `${videoCodec} is not decodable by NVDEC` }
+    }
+    if (pixelFormat && !NVDEC_PIXEL_FORMATS.includes(pixelFormat)) {
+        return { path: 'software', reason: `${videoCodec} ${pixelFormat} is decoded in software (NVDEC path is 8-bit 4:2:0 only)` }
+    }
+    return { path: 'nvdec', reason: `${videoCodec} ${pixelFormat || ''}`.trim() + ' is decodable by NVDEC' }
+}
+
+// Pipelines to try, in order, for this input and machine
+const planEncodePipelines = (nvencAvailable, decodePath) => {
+    if (!nvencAvailable) return ['software']
+    return decodePath.path === 'nvdec' ? ['gpu', 'hybrid', 'software'] : ['hybrid', 'software']
+}
+
+// Why NVENC cannot take this encode (sessions = NVENC encoders the FFmpeg run opens), or null when it can
+const nvencBlocker = (capabilities, encoder, sessions) => {
+    const status = capabilities.encoders[encoder]
+    if (!status?.compiled) return `${encoder} is not compiled into FFmpeg`
+    if (!status.working) return `${encoder} failed its test encode (${status.error})`
+    const limit = capabilities.nvenc.sessionLimit
+    if (limit && sessions > limit) return `${sessions} NVENC sessions needed, ${capabilities.gpu.name} allows ${limit}`
+    return null
+}
+
+// Failures a different pipeline cannot fix
+const isFinalEncodeFailure = (error) => error?.code === 'INSUFFICIENT_DISK'
+
+// Delete the files a failed attempt wrote, keeping the directory layout the muxers expect
+const clearEncodeOutputs = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            clearEncodeOutputs(entryPath)
+        } else {
+            fs.rmSync(entryPath, { force: true })
+        }
+    }
+}
+
+// FFmpeg args for a single-rendition encode with the given pipeline (muxer args are appended by the caller)
+const buildSingleArgs = (inputFile, pipeline, codec, settings, segmentTime, gopSize, color = null, audioRenditions = null, subtitleFilter = null, videoStreamIndex = null) => {
+    const useNVENC = pipeline !== 'software'
+    const args = ['-y']
+    if (pipeline === 'gpu') {
+        args.push(
+            '-init_hw_device', 'cuda=gpu:0', '-filter_hw_device', 'gpu',
+            '-hwaccel', 'cuda', '-hwaccel_output_format', 'cuda'
+        )
+    }
+    // Map the muxed track explicitly: loudness analysis measured 0:a:0, not whichever stream FFmpeg would pick
+    args.push('-i', inputFile, '-map', videoStreamSpec(videoStreamIndex))
+    if (!audioRenditions) {
+        args.push('-map', '0:a:0?')
+    }
+    
+    const scale = buildScaleFilter(pipeline, 'trunc(iw/2)*2:trunc(ih/2)*2', color, { fullRange: true })
+    args.push('-vf', [...buildSourceFilters(color, subtitleFilter), scale].join(','))
+    
+    args.push(
+        ...buildVideoEncoderArgs(codec, useNVENC, settings, color),
+        ...buildBitrateArgs(settings, useNVENC, settings),
+        '-g', gopSize.toString(), '-keyint_min', gopSize.toString(),
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentTime})`,
+        ...(audioRenditions ? buildAudioRenditionArgs(audioRenditions) : buildAudioArgs(settings))
+    )
+    return args
+}
+
+// Run one FFmpeg encode; resolves with its stderr log and wall time, rejects with a coded error
+const runFfmpegEncode = (args, encoder, { onProgress, signal }) => new Promise((resolve, reject) => {
+    console.log('🔧 FFmpeg command: ffmpeg', args.join(' '))
+    
+    const startTime = Date.now()
+    const proc = spawn('ffmpeg', args, { env: buildFfmpegEnv() })
+    let logs = ''
+    const stopOnAbort = () => {
+        console.warn('🛑 Killing FFmpeg: job aborted')
+        proc.kill('SIGKILL')
+    }
+    signal?.addEventListener('abort', stopOnAbort, { once: true })
+    let lastProgressTime = 0
+    
+    proc.stderr.on('data', (data) => {
+        const output = data.toString()
+        logs += output
         
-        proc.on('close', (code) => {
-            const processingTime = Date.now() - startTime
-            const processingSeconds = processingTime / 1000
+        // Enhanced progress logging
+        if (output.includes('time=')) {
+            const timeMatch = output.match(/time=(\d+:\d+:\d+\.\d+)/)
+            const speedMatch = output.match(/speed=\s*([0-9.]+)x/)
+            const fpsMatch = output.match(/fps=\s*([0-9.]+)/)
             
-            if (code === 0) {
-                const tsFiles = fs.readdirSync(path.join(outputDir, 'ts')).filter(f => f.endsWith('.ts'))
-                console.log(`✅ ${useNVENC ? 'NVENC GPU' : 'Software'} encoding completed in ${processingSeconds.toFixed(2)}s`)
-                console.log(`📊 Created ${tsFiles.length} segments`)
-                
-                // Calculate encoding speed
-                let speedMultiplier = 'unknown'
-                const speedMatch = logs.match(/speed=\s*([0-9.]+)x/)
-                if (speedMatch) {
-                    speedMultiplier = `${speedMatch[1]}x realtime`
-                }
-                
-                resolve({
-                    segmentCount: tsFiles.length,
-                    processingTime: processingTime,
-                    speedup: speedMultiplier,
-                    encodingMethod: useNVENC ? 'NVENC GPU' : 'Software x264'
+            if (timeMatch) {
+                const [hours, minutes, seconds] = timeMatch[1].split(':').map(Number)
+                onProgress?.({
+                    seconds: hours * 3600 + minutes * 60 + seconds,
+                    fps: fpsMatch ? Number(fpsMatch[1]) : null,
+                    speed: speedMatch ? Number(speedMatch[1]) : null
                 })
-            } else {
-                console.error(`❌ ${useNVENC ? 'NVENC' : 'Software'} encoding failed with code ${code}`)
-                console.error('FFmpeg error logs:')
-                console.error(logs.slice(-1000)) // Last 1000 chars of logs
-                reject(new Error(`FFmpeg process exited with code ${code}. Check logs above.`))
+                const currentTime = Date.now()
+                if (currentTime - lastProgressTime > 5000) { // Log every 5 seconds
+                    lastProgressTime = currentTime
+                    const progress = `⏱️ Progress: ${timeMatch[1]}`
+                    const speed = speedMatch ? ` | Speed: ${speedMatch[1]}x` : ''
+                    const fps = fpsMatch ? ` | FPS: ${fpsMatch[1]}` : ''
+                    console.log(progress + speed + fps)
+                }
             }
-        })
+        }
         
-        proc.on('error', (err) => {
-            console.error('❌ FFmpeg process error:', err)
-            reject(err)
-        })
+        // Log encoding method info
+        if (output.includes('h264_nvenc') || output.includes('nvenc')) {
+            console.log('🚀 NVENC GPU encoding active')
+        }
+        if (output.includes('libx264')) {
+            console.log('💻 Software x264 encoding active')
+        }
+        
+        // Log any warnings or errors
+        if (output.includes('deprecated') || output.includes('warning')) {
+            console.warn('⚠️ Warning:', output.trim())
+        }
     })
-}
+    
+    proc.on('close', (code, exitSignal) => {
+        signal?.removeEventListener('abort', stopOnAbort)
+        const processingTime = Date.now() - startTime
+        
+        if (signal?.aborted) {
+            reject(signal.reason)
+        } else if (code === 0) {
+            resolve({ logs, processingTime })
+        } else {
+            console.error(`❌ ${encoder} encoding failed with code ${code}`)
+            console.error('FFmpeg error logs:')
+            console.error(logs.slice(-1000)) // Last 1000 chars of logs
+            reject(createFfmpegError(logs, code, exitSignal, encoder))
+        }
+    })
+    
+    proc.on('error', (err) => {
+        signal?.removeEventListener('abort', stopOnAbort)
+        console.error('❌ FFmpeg process error:', err)
+        reject(err)
+    })
+})
 
-// Check NVENC availability
-const checkNVENCAvailability = async () => {
-    return new Promise((resolve) => {
-        console.log('🔍 ===== DETAILED NVENC AVAILABILITY CHECK =====')
-        
-        // Check environment variables first
-        console.log('🔧 Environment check:')
-        console.log(`   NVIDIA_VISIBLE_DEVICES: ${process.env.NVIDIA_VISIBLE_DEVICES || 'not set'}`)
-        console.log(`   CUDA_VISIBLE_DEVICES: ${process.env.CUDA_VISIBLE_DEVICES || 'not set'}`)
-        console.log(`   NVIDIA_DRIVER_CAPABILITIES: ${process.env.NVIDIA_DRIVER_CAPABILITIES || 'not set'}`)
-        console.log(`   PATH: ${process.env.PATH}`)
-        console.log(`   LD_LIBRARY_PATH: ${process.env.LD_LIBRARY_PATH || 'not set'}`)
-        
-        // First, check if nvidia-smi exists and is accessible
-        console.log('🔧 Step 1: Checking nvidia-smi accessibility...')
-        const nvidiaCheck = spawn('nvidia-smi', ['-L'], { env: buildFfmpegEnv() })
-        let hasNvidiaGPU = false
-        let gpuInfo = ''
-        
-        nvidiaCheck.stdout.on('data', (data) => {
-            const output = data.toString()
-            gpuInfo += output
-            console.log('🔧 nvidia-smi output:', output.trim())
-            if (output.includes('GPU')) {
-                hasNvidiaGPU = true
-                console.log('✅ NVIDIA GPU detected:', output.trim())
-            }
-        })
+// Encode with the best pipeline for the input, falling back GPU -> software decode + NVENC -> software
+// encoder when an attempt fails. onRetry(attempt) runs after a failed attempt's files are deleted
+const encodeWithNVENC = async (inputFile, outputDir, settings, segmentTime, options = {}) => {
+    const { ladder = null, hasAudio = true, audioRenditions = null, hasSubtitles = false, subtitleFilter = null, codec = 'h264', outputFormat = 'hls', segmentType = 'mpegts', videoInfo = {}, color = null, onProgress, onRetry, signal } = options
+    const codecSpec = VIDEO_CODECS[codec]
+    if (!codecSpec) {
+        throw createJobError('INPUT_INVALID', `Unsupported codec: ${codec}. Supported codecs: ${Object.keys(VIDEO_CODECS).join(', ')}`, { stage: 'validate' })
+    }
+    
+    // Pipelines come from the cached capability matrix; a ladder opens one NVENC session per rung
+    const capabilities = await getHardwareCapabilities()
+    signal?.throwIfAborted()
+    if (color?.mode === 'tonemap' && !(capabilities.filters.zscale && capabilities.filters.tonemap)) {
+        throw createJobError('ENCODE_FAILED', 'HDR tone mapping needs an FFmpeg build with the zscale (libzimg) and tonemap filters', { stage: 'encode' })
+    }
+    if (subtitleFilter && !capabilities.filters.subtitles) {
+        throw createJobError('ENCODE_FAILED', 'Subtitle burn-in needs an FFmpeg build with the subtitles (libass) filter', { stage: 'encode' })
+    }
+    const blocker = nvencBlocker(capabilities, codecSpec.nvenc, ladder ? ladder.length : 1)
+    const useNVENC = !blocker
+    let decodePath = useNVENC ? chooseDecodePath(videoInfo, capabilities) : { path: 'software', reason: blocker }
+    if (subtitleFilter && decodePath.path === 'nvdec') {
+        // libass draws on system-memory frames, so burn-in keeps NVENC but decodes in software
+        decodePath = { path: 'software', reason: 'subtitle burn-in renders on the CPU' }
+    }
+    const plan = planEncodePipelines(useNVENC, decodePath)
+    if (!useNVENC) {
+        console.log(`⚠️ NVENC not used for ${codec} (${blocker}), using software encoding (${codecSpec.software})`)
+    } else {
+        console.log(`🧭 Decode path: ${decodePath.path} (${decodePath.reason}); pipelines: ${plan.join(' → ')}`)
+    }
+    
+    const gopSize = Math.round(25 * segmentTime) // GOP size optimized for 25fps (50 for 2s segments)
+    if (outputFormat === 'dash') {
+        fs.mkdirSync(path.join(outputDir, 'dash'), { recursive: true })
+    }
+    if (outputFormat === 'hls') {
+        const renditions = [...(getHlsVideoRenditions(ladder, audioRenditions, hasSubtitles) || []), ...(audioRenditions || [])]
+        renditions.forEach(rendition => fs.mkdirSync(path.join(outputDir, rendition.name), { recursive: true }))
+    }
+    const containerArgs = buildContainerArgs(outputFormat, outputDir, { ladder, segmentType, segmentTime, hasAudio, audioRenditions, hasSubtitles })
         
-        nvidiaCheck.stderr.on('data', (data) => {
-            console.log('⚠️ nvidia-smi stderr:', data.toString().trim())
-        })
+    const attempts = []
+    for (const [index, pipeline] of plan.entries()) {
+        const encoder = pipeline === 'software' ? codecSpec.software : codecSpec.nvenc
+        const { decode, label } = ENCODE_PIPELINES[pipeline]
+        const args = ladder
+            ? buildLadderArgs(inputFile, ladder, codec, pipeline, settings, segmentTime, gopSize, hasAudio, outputFormat === 'hls', color, audioRenditions, subtitleFilter, videoInfo.streamIndex)
+            : buildSingleArgs(inputFile, pipeline, codec, settings, segmentTime, gopSize, color, audioRenditions, subtitleFilter, videoInfo.streamIndex)
+        args.push(...containerArgs)
+        console.log(`🚀 Encode attempt ${index + 1}/${plan.length}: ${pipeline} pipeline (${decode} decode, ${encoder}${ladder ? `, ${ladder.length} renditions` : ''}${audioRenditions ? `, ${audioRenditions.length} audio renditions` : ''}, ${outputFormat})`)
         
-        nvidiaCheck.on('close', (code) => {
-            console.log(`🔧 nvidia-smi exit code: ${code}`)
-            if (!hasNvidiaGPU || code !== 0) {
-                console.log('❌ No NVIDIA GPU detected or nvidia-smi failed, using software encoding')
-                console.log(`   GPU detected: ${hasNvidiaGPU}`)
-                console.log(`   Exit code: ${code}`)
-                resolve(false)
-                return
-            }
-            
-            // Check FFmpeg NVENC encoders
-            console.log('🔧 Step 2: Checking FFmpeg NVENC encoders...')
-            const encoderCheck = spawn('ffmpeg', ['-encoders'], { env: buildFfmpegEnv() })
-            let encoderOutput = ''
-            let encoderError = ''
+        const attempt = { pipeline, decode, encoder }
+        try {
+            const { logs, processingTime } = await runFfmpegEncode(args, encoder, { onProgress, signal })
+            attempts.push({ ...attempt, success: true, seconds: Number((processingTime / 1000).toFixed(2)) })
             
-            encoderCheck.stdout.on('data', (data) => {
-                encoderOutput += data.toString()
-            })
+            const outputs = collectEncodeOutputs(outputFormat, outputDir, { ladder, codec, settings, hasAudio, color, audioRenditions, hasSubtitles, videoInfo })
+            console.log(`✅ ${label} encoding completed in ${(processingTime / 1000).toFixed(2)}s`)
+            console.log(`📊 Created ${outputs.segmentCount} segments`)
             
-            encoderCheck.stderr.on('data', (data) => {
-                encoderError += data.toString()
+            // Calculate encoding speed
+            const speedMatch = logs.match(/speed=\s*([0-9.]+)x/)
+            return {
+                ...outputs,
+                processingTime,
+                speedup: speedMatch ? `${speedMatch[1]}x realtime` : 'unknown',
+                loudnessReports: parseLoudnormReports(logs),
+                encodingMethod: pipeline === 'software' ? `Software ${encoder.replace(/^lib/, '')}` : label,
+                codec,
+                encoder,
+                segmentType,
+                pipeline,
+                decodePath,
+                attempts
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error
+            attempts.push({
+                ...attempt,
+                success: false,
+                code: error.code || 'INTERNAL',
+                error: error.message,
+                ...(error.ffmpeg && { excerpt: error.ffmpeg.excerpt })
             })
+            if (index === plan.length - 1 || isFinalEncodeFailure(error)) {
+                throw Object.assign(error, { attempts })
+            }
+            const next = plan[index + 1]
+            console.warn(`🔁 ${pipeline} pipeline failed (${error.message}); falling back to ${next}`)
+            clearEncodeOutputs(outputDir)
+            await onRetry?.({ failed: pipeline, next, error })
+        }
+    }
+}
+
+// The FFmpeg stderr lines worth reporting: errors and warnings, without the progress lines
+const extractFfmpegErrors = (stderr, maxLines = 10) => {
+    const lines = stderr.split(/\r?\n|\r/).map(line => line.trim()).filter(line => line && !/^(frame|size)=/.test(line))
+    const errors = lines.filter(line => !/^Conversion failed/.test(line)
+        && /error|invalid|fail|cannot|could not|not found|unsupported|unknown|no such|unable|corrupt|out of memory|no space/i.test(line))
+    return (errors.length > 0 ? errors : lines).slice(-maxLines).map(line => line.slice(0, 300))
+}
+
+// Known FFmpeg failure signatures, most specific first; anything else is a plain ENCODE_FAILED
+const FFMPEG_FAILURES = [
+    { code: 'UNSUPPORTED_CODEC', retryable: false, pattern: /Decoder \(codec [^)]+\) not found|Unknown decoder|Unsupported codec|codec not currently supported|Could not find codec parameters/i },
+    { code: 'INSUFFICIENT_DISK', retryable: false, pattern: /No space left on device/i },
+    { code: 'ENCODE_FAILED', retryable: true, pattern: /CUDA_ERROR|out of memory|Cannot allocate memory|OpenEncodeSessionEx failed|No capable devices found|incompatible client key|Cannot load libnvidia-encode/i },
+    { code: 'ENCODE_FAILED', retryable: false, pattern: /Invalid data found when processing input|moov atom not found|corrupt/i }
+]
+
+const createFfmpegError = (stderr, exitCode, exitSignal, encoder) => {
+    const excerpt = extractFfmpegErrors(stderr)
+    const known = FFMPEG_FAILURES.find(failure => excerpt.some(line => failure.pattern.test(line)))
+    // The matching line, else the last one that says more than FFmpeg's closing "Conversion failed!"
+    const headline = (known && excerpt.find(line => known.pattern.test(line)))
+        || excerpt.filter(line => !/^Conversion failed!?$/.test(line)).at(-1)
+        || 'no error output'
+    // Killed from outside (usually the OOM killer): worth another try
+    const retryable = known ? known.retryable : Boolean(exitSignal)
+    const reason = exitSignal ? `was killed by ${exitSignal}` : `exited with code ${exitCode}`
+    return createJobError(known?.code || 'ENCODE_FAILED', `FFmpeg (${encoder}) ${reason}: ${headline}`, {
+        retryable,
+        stage: 'encode',
+        ffmpeg: { command: 'ffmpeg', encoder, exitCode, signal: exitSignal || null, excerpt }
+    })
+}
+
+// Hardware capability matrix, detected once per process and cached: FFmpeg build, GPU model,
+// hwaccels, NVDEC (cuvid) decoders, CUDA/NPP filters, encoders (NVENC ones test-encoded) and
+// the NVENC session limit. Detection never throws; whatever is missing is reported unavailable
+const CUDA_FILTERS = ['scale_npp', 'scale_cuda', 'hwupload_cuda', 'yadif_cuda', 'overlay_cuda', 'transpose_npp']
+// CPU filters that optional features depend on (HDR tone mapping)
+const CPU_FILTERS = ['zscale', 'tonemap', 'subtitles']
+const CAPABILITY_TIMEOUT_MS = 10000
+
+// Run a short probe command; resolves with its output and exit code, or an error string
+const runCapabilityCommand = (command, args, timeoutMs = CAPABILITY_TIMEOUT_MS) => new Promise((resolve) => {
+    const proc = spawn(command, args, { env: buildFfmpegEnv() })
+    let stdout = ''
+    let stderr = ''
+    let settled = false
+    const finish = (result) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timer)
+        resolve({ stdout, stderr, ...result })
+    }
+    const timer = setTimeout(() => {
+        proc.kill('SIGKILL')
+        finish({ code: null, error: `timed out after ${timeoutMs / 1000}s` })
+    }, timeoutMs)
+    proc.stdout.on('data', (data) => { stdout += data.toString() })
+    proc.stderr.on('data', (data) => { stderr += data.toString() })
+    proc.on('error', (error) => finish({ code: null, error: error.message }))
+    proc.on('close', (code) => finish({ code, ...(code !== 0 && { error: `exited with code ${code}` }) }))
+})
+
+// Names from `ffmpeg -encoders` / `-decoders` ("V....D h264_nvenc  ...") and `-filters` ("... scale_npp  V->V  ...")
+const parseCodecList = (output) => output.split('\n')
+    .map(line => line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/)?.[1])
+    .filter(name => name && name !== '=')
+const parseFilterList = (output) => output.split('\n')
+    .map(line => line.match(/^\s*[TSC.]{2,3}\s+(\S+)\s+\S+->\S+/)?.[1])
+    .filter(Boolean)
+
+// Concurrent NVENC sessions the driver allows: GeForce cards are capped, data-centre and
+// workstation cards are not (null). NVENC_SESSION_LIMIT overrides the guess
+const nvencSessionLimit = (gpuName, driverVersion) => {
+    if (process.env.NVENC_SESSION_LIMIT) return Number(process.env.NVENC_SESSION_LIMIT)
+    if (!/GeForce|TITAN/i.test(gpuName || '')) return null
+    const major = parseInt(driverVersion, 10) || 0
+    return major >= 550 ? 8 : (major >= 530 ? 5 : 3)
+}
+
+// One-second NVENC encode through a CUDA device and scale_npp, as a real GPU job would use them
+const testNvencEncoder = async (encoder) => {
+    const result = await runCapabilityCommand('ffmpeg', [
+        '-hide_banner',
+        '-init_hw_device', 'cuda=gpu:0', '-filter_hw_device', 'gpu',
+        '-f', 'lavfi', '-i', 'color=c=black:s=320x240:d=1:r=1',
+        '-vf', 'hwupload,scale_npp=320:240:interp_algo=lanczos',
+        '-c:v', encoder, '-t', '1', '-f', 'null', '-'
+    ])
+    if (result.code === 0) return { working: true }
+    return { working: false, error: extractFfmpegErrors(result.stderr, 3).join(' | ') || result.error }
+}
+
+const detectHardwareCapabilities = async () => {
+    const startTime = Date.now()
+    console.log('🔍 Detecting hardware capabilities...')
+
+    const version = await runCapabilityCommand('ffmpeg', ['-version'])
+    const ffmpeg = version.code === 0
+        ? { available: true, version: version.stdout.match(/ffmpeg version (\S+)/)?.[1] || 'unknown' }
+        : { available: false, error: version.error }
+
+    const smi = await runCapabilityCommand('nvidia-smi', ['--query-gpu=name,driver_version,memory.total', '--format=csv,noheader,nounits'], 5000)
+    const gpuLines = smi.code === 0 ? smi.stdout.trim().split('\n').filter(Boolean) : []
+    const [name, driverVersion, memoryMB] = (gpuLines[0] || '').split(',').map(field => field.trim())
+    const gpu = gpuLines.length > 0
+        ? { available: true, name, driverVersion, memoryMB: Number(memoryMB) || null, count: gpuLines.length }
+        : { available: false, error: smi.error || 'nvidia-smi listed no GPU' }
+
+    const [hwaccelList, encoderList, decoderList, filterList] = ffmpeg.available
+        ? [
+            (await runCapabilityCommand('ffmpeg', ['-hide_banner', '-hwaccels'])).stdout
+                .split('\n').map(line => line.trim()).filter(line => line && !line.endsWith(':')),
+            parseCodecList((await runCapabilityCommand('ffmpeg', ['-hide_banner', '-encoders'])).stdout),
+            parseCodecList((await runCapabilityCommand('ffmpeg', ['-hide_banner', '-decoders'])).stdout),
+            parseFilterList((await runCapabilityCommand('ffmpeg', ['-hide_banner', '-filters'])).stdout)
+        ]
+        : [[], [], [], []]
+
+    const encoders = {}
+    for (const { nvenc, software } of Object.values(VIDEO_CODECS)) {
+        encoders[software] = { compiled: encoderList.includes(software), working: encoderList.includes(software) }
+        if (!encoderList.includes(nvenc)) {
+            encoders[nvenc] = { compiled: false, working: false }
+        } else if (!gpu.available) {
+            encoders[nvenc] = { compiled: true, working: false, error: 'no NVIDIA GPU detected' }
+        } else {
+            encoders[nvenc] = { compiled: true, ...(await testNvencEncoder(nvenc)) }
+        }
+    }
+
+    const capabilities = {
+        detectedAt: new Date().toISOString(),
+        detectionSeconds: Number(((Date.now() - startTime) / 1000).toFixed(2)),
+        ffmpeg,
+        gpu,
+        hwaccels: hwaccelList,
+        nvdecDecoders: decoderList.filter(decoder => decoder.endsWith('_cuvid')),
+        filters: Object.fromEntries([...CUDA_FILTERS, ...CPU_FILTERS].map(filter => [filter, filterList.includes(filter)])),
+        encoders,
+        nvenc: {
+            available: Object.values(VIDEO_CODECS).some(({ nvenc }) => encoders[nvenc].working),
+            sessionLimit: gpu.available ? nvencSessionLimit(gpu.name, gpu.driverVersion) : null
+        }
+    }
+
+    const working = Object.entries(encoders).filter(([, status]) => status.working).map(([encoder]) => encoder)
+    console.log(`✅ Capabilities detected in ${capabilities.detectionSeconds}s: GPU=${gpu.available ? gpu.name : 'none'}, hwaccels=${hwaccelList.join(',') || 'none'}, encoders=${working.join(',') || 'none'}`)
+    for (const [encoder, status] of Object.entries(encoders)) {
+        if (status.compiled && !status.working) console.warn(`⚠️ ${encoder} unavailable: ${status.error}`)
+    }
+    return capabilities
+}
+
+let hardwareCapabilities = null
+
+// Cached capability matrix; refresh re-runs detection (nvenc-debug)
+const getHardwareCapabilities = ({ refresh = false } = {}) => {
+    if (!hardwareCapabilities || refresh) {
+        hardwareCapabilities = detectHardwareCapabilities()
+    }
+    return hardwareCapabilities
+}
+
+// Storage drivers: put(remotePath, localPathOrBuffer, { contentType, cacheControl }), remove(remotePath) + urlFor(remotePath, kind)
+// kind is 'segment' or 'playlist'; CDN domains keep the historical split (cdnDomains.m3u8 for playlists,
+// cdnDomains.segments or cdnDomainSegments for segments) and fall back to the driver's own public URL
+const STORAGE_TYPES = ['oss', 's3', 'local']
+
+const buildCdnUrl = (config, cdnDomains, remotePath, kind) => {
+    const domain = kind === 'playlist'
+        ? (cdnDomains.m3u8 || config.cdnDomain)
+        : (cdnDomains.segments || config.cdnDomainSegments || config.cdnDomain)
+    if (domain) return `https://${domain}/${remotePath}`
+    if (config.publicBaseUrl) return `${config.publicBaseUrl.replace(/\/+$/, '')}/${remotePath}`
+    return null
+}
+
+// OSS uploads at or above this size use multipart so they can be cancelled part-way
+const OSS_MULTIPART_THRESHOLD = 100 * 1024 * 1024
+const OSS_PART_SIZE = 10 * 1024 * 1024
+
+const createOSSDriver = (config, cdnDomains) => {
+    const client = new OSS({
+        region: config.region,
+        accessKeyId: config.accessKeyId,
+        accessKeySecret: config.accessKeySecret,
+        bucket: config.bucket
+    })
+    console.log(`✅ OSS client initialized: region=${config.region}, bucket=${config.bucket}`)
+    
+    return {
+        type: 'oss',
+        put: async (remotePath, body, { contentType, cacheControl, contentMD5, signal }) => {
+            const headers = { 'Content-Type': contentType, 'Cache-Control': cacheControl }
+            if (typeof body !== 'string' || fs.statSync(body).size < OSS_MULTIPART_THRESHOLD) {
+                await client.put(remotePath, body, {
+                    headers: { ...headers, ...(contentMD5 && { 'Content-MD5': contentMD5 }) }
+                })
+                return
+            }
             
-            encoderCheck.on('close', (encoderCode) => {
-                console.log(`🔧 FFmpeg encoders command exit code: ${encoderCode}`)
-                if (encoderError) {
-                    console.log('🔧 FFmpeg encoders stderr:', encoderError.slice(0, 500))
-                }
-                
-                // Look for NVENC encoders
-                const nvencEncoders = []
-                if (encoderOutput.includes('h264_nvenc')) nvencEncoders.push('h264_nvenc')
-                if (encoderOutput.includes('hevc_nvenc')) nvencEncoders.push('hevc_nvenc')
-                if (encoderOutput.includes('av1_nvenc')) nvencEncoders.push('av1_nvenc')
-                
-                console.log(`🔧 Available NVENC encoders: ${nvencEncoders.length > 0 ? nvencEncoders.join(', ') : 'NONE'}`)
-                
-                // Show a sample of encoder output for debugging
-                const nvencLines = encoderOutput.split('\n').filter(line => line.includes('nvenc'))
-                if (nvencLines.length > 0) {
-                    console.log('🔧 NVENC encoder lines found:')
-                    nvencLines.forEach(line => console.log(`   ${line.trim()}`))
-                } else {
-                    console.log('🔧 No NVENC lines found in encoder output')
-                    console.log('🔧 First 10 lines of encoder output:')
-                    encoderOutput.split('\n').slice(0, 10).forEach((line, i) => {
-                        console.log(`   ${i+1}: ${line.trim()}`)
-                    })
-                }
-                
-                if (nvencEncoders.length === 0) {
-                    console.log('❌ No NVENC encoders found in FFmpeg, using software encoding')
-                    console.log('💡 This could mean:')
-                    console.log('   - FFmpeg was not compiled with NVENC support')
-                    console.log('   - NVIDIA libraries are not properly linked')
-                    resolve(false)
-                    return
-                }
-                
-                console.log('🔧 Step 3: Testing NVENC encoding capability...')
-                
-                // Test NVENC encoding capability with stable CUDA context
-                const env = buildFfmpegEnv()
-                const testArgs = [
-                    '-hide_banner',
-                    '-init_hw_device', 'cuda=gpu:0',
-                    '-filter_hw_device', 'gpu',
-                    '-f', 'lavfi',
-                    '-i', 'color=c=black:s=320x240:d=1:r=1',
-                    '-vf', 'hwupload,scale_npp=320:240:interp_algo=lanczos',
-                    '-c:v', 'h264_nvenc',
-                    '-t', '1',
-                    '-f', 'null', '-'
-                ]
-                
-                console.log('🧪 Testing NVENC with command: ffmpeg', testArgs.join(' '))
-                const testProc = spawn('ffmpeg', testArgs, { env })
-                let testError = false
-                let testOutput = ''
-                let testStderr = ''
-                
-                testProc.stderr.on('data', (data) => {
-                    const output = data.toString()
-                    testOutput += output
-                    testStderr += output
-                    
-                    // Log all NVENC-related messages for debugging
-                    if (output.toLowerCase().includes('nvenc')) {
-                        console.log('🔧 NVENC message:', output.trim())
-                    }
-                    
-                    // More specific error detection
-                    if (output.includes('Cannot load NVENC') || 
-                        output.includes('NVENC not available') ||
-                        output.includes('No NVENC capable devices') ||
-                        output.includes('InitializeEncoder failed') ||
-                        output.includes('Failed to load NVENC') ||
-                        output.includes('NVENC encoder open failed')) {
-                        testError = true
-                        console.log('❌ NVENC initialization failed:', output.trim())
-                    }
-                    
-                    // But if we see successful NVENC messages, it's working
-                    if (output.includes('NVENC encoder initialized') || 
-                        output.includes('Using NVENC') ||
-                        output.includes('NVENC init successful')) {
-                        console.log('✅ NVENC encoder initialized successfully')
-                    }
-                    
-                    // Log CUDA-related errors
-                    if (output.toLowerCase().includes('cuda')) {
-                        console.log('🔧 CUDA message:', output.trim())
+            // Large files go multipart so an abort stops mid-file and the uploaded parts are dropped
+            let uploadId = null
+            const onAbort = () => client.cancel()
+            signal?.addEventListener('abort', onAbort, { once: true })
+            try {
+                await client.multipartUpload(remotePath, body, {
+                    headers,
+                    partSize: OSS_PART_SIZE,
+                    progress: (percent, checkpoint) => {
+                        uploadId = checkpoint?.uploadId || uploadId
                     }
                 })
-                
-                testProc.on('close', (testCode) => {
-                    console.log(`🔧 NVENC test completed with exit code: ${testCode}`)
-                    console.log(`🔧 Test error flag: ${testError}`)
-                    
-                    if (testCode === 0 && !testError) {
-                        console.log('✅ NVENC is available and working!')
-                        console.log('🚀 GPU acceleration will be used for encoding')
-                        resolve(true)
-                    } else {
-                        console.log('❌ NVENC test failed, falling back to software encoding')
-                        console.log(`   Exit code: ${testCode}`)
-                        console.log(`   Error detected: ${testError}`)
-                        
-                        console.log('💡 Potential causes:')
-                        console.log('   - FFmpeg not compiled with NVENC support')
-                        console.log('   - Missing NVIDIA drivers (libnvidia-encode)')
-                        console.log('   - GPU not supporting NVENC (GTX 600+/RTX series)')
-                        console.log('   - CUDA context initialization failed')
-                        console.log('   - Docker container missing NVIDIA runtime')
-                        
-                        if (testStderr) {
-                            console.log('🔧 Full stderr output for analysis:')
-                            console.log('--- STDERR START ---')
-                            console.log(testStderr)
-                            console.log('--- STDERR END ---')
-                        }
-                        
-                        resolve(false)
-                    }
+            } catch (error) {
+                if (uploadId) {
+                    await client.abortMultipartUpload(remotePath, uploadId).catch(() => {})
+                }
+                throw signal?.aborted ? signal.reason : error
+            } finally {
+                signal?.removeEventListener('abort', onAbort)
+            }
+        },
+        remove: async (remotePath) => {
+            await client.delete(remotePath)
+        },
+        urlFor: (remotePath, kind) => buildCdnUrl(config, cdnDomains, remotePath, kind)
+            || `https://${config.bucket}.${config.region}.aliyuncs.com/${remotePath}`
+    }
+}
+
+// S3-compatible storage: AWS S3, MinIO (forcePathStyle) and Cloudflare R2 (region "auto" + endpoint)
+const createS3Driver = (config, cdnDomains) => {
+    const client = new S3Client({
+        region: config.region || 'us-east-1',
+        endpoint: config.endpoint,
+        forcePathStyle: Boolean(config.forcePathStyle),
+        credentials: {
+            accessKeyId: config.accessKeyId,
+            secretAccessKey: config.secretAccessKey
+        }
+    })
+    console.log(`✅ S3 client initialized: endpoint=${config.endpoint || 'aws'}, bucket=${config.bucket}`)
+    
+    const defaultUrl = (remotePath) => {
+        if (config.endpoint) {
+            const endpoint = config.endpoint.replace(/\/+$/, '')
+            return config.forcePathStyle
+                ? `${endpoint}/${config.bucket}/${remotePath}`
+                : endpoint.replace('://', `://${config.bucket}.`) + `/${remotePath}`
+        }
+        return `https://${config.bucket}.s3.${config.region || 'us-east-1'}.amazonaws.com/${remotePath}`
+    }
+    
+    return {
+        type: 's3',
+        put: async (remotePath, body, { contentType, cacheControl, contentMD5, signal }) => {
+            const isFile = typeof body === 'string'
+            await client.send(new PutObjectCommand({
+                Bucket: config.bucket,
+                Key: remotePath,
+                Body: isFile ? fs.createReadStream(body) : body,
+                ContentLength: isFile ? fs.statSync(body).size : body.length,
+                ContentType: contentType,
+                CacheControl: cacheControl,
+                ContentMD5: contentMD5
+            }), { abortSignal: signal })
+        },
+        remove: async (remotePath) => {
+            await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: remotePath }))
+        },
+        urlFor: (remotePath, kind) => buildCdnUrl(config, cdnDomains, remotePath, kind) || defaultUrl(remotePath)
+    }
+}
+
+// Local filesystem storage (a mounted volume, or offline testing of the full upload path)
+const createLocalDriver = (config, cdnDomains) => {
+    const rootDir = path.resolve(config.rootDir)
+    fs.mkdirSync(rootDir, { recursive: true })
+    console.log(`✅ Local storage initialized: ${rootDir}`)
+    
+    return {
+        type: 'local',
+        put: async (remotePath, body, { contentMD5 } = {}) => {
+            const target = path.join(rootDir, remotePath)
+            if (!target.startsWith(rootDir + path.sep)) {
+                throw new Error(`Refusing to write outside storage root: ${remotePath}`)
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true })
+            if (typeof body === 'string') {
+                fs.copyFileSync(body, target)
+            } else {
+                fs.writeFileSync(target, body)
+            }
+            // Same integrity check the object stores do server-side with Content-MD5
+            if (contentMD5 && md5Base64(target) !== contentMD5) {
+                const error = new Error(`Content-MD5 mismatch for ${remotePath}`)
+                error.code = 'BadDigest'
+                throw error
+            }
+        },
+        remove: async (remotePath) => {
+            fs.rmSync(path.join(rootDir, remotePath), { force: true })
+        },
+        urlFor: (remotePath, kind) => buildCdnUrl(config, cdnDomains, remotePath, kind)
+            || `file://${path.join(rootDir, remotePath)}`
+    }
+}
+
+// Pick the storage driver from the payload; the legacy `ossConfig` is an OSS `storage` config
+const createStorageDriver = (config, cdnDomains = {}) => {
+    try {
+        switch (config.type) {
+            case 'oss':
+                return createOSSDriver(config, cdnDomains)
+            case 's3':
+                return createS3Driver(config, cdnDomains)
+            case 'local':
+                return createLocalDriver(config, cdnDomains)
+            default:
+                throw createJobError('INPUT_INVALID', `Unsupported storage type: ${config.type}. Supported types: ${STORAGE_TYPES.join(', ')}`)
+        }
+    } catch (error) {
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Could not set up ${config.type} storage: ${error.message}` })
+    }
+}
+
+// Wrap a driver so the job knows every object it has put, for cleanup after an abort
+const trackUploads = (driver) => {
+    const uploaded = new Set()
+    let removed = 0
+    return {
+        ...driver,
+        put: async (remotePath, body, options) => {
+            await driver.put(remotePath, body, options)
+            uploaded.add(remotePath)
+        },
+        remove: async (remotePath) => {
+            await driver.remove(remotePath)
+            if (uploaded.delete(remotePath)) removed++
+        },
+        uploadedPaths: () => [...uploaded],
+        removedCount: () => removed
+    }
+}
+
+// Delete everything a tracked driver has uploaded and not removed yet
+const removeUploadedObjects = async (storage) => {
+    const paths = storage.uploadedPaths()
+    if (paths.length === 0) return
+    console.log(`🧹 Removing ${paths.length} uploaded object(s) from ${storage.type} storage...`)
+    await runWithConcurrency(paths, UPLOAD_DEFAULTS.concurrency, async (remotePath) => {
+        try {
+            await storage.remove(remotePath)
+        } catch (error) {
+            console.warn(`⚠️ Could not remove ${remotePath}: ${error.message}`)
+        }
+    })
+}
+
+// Upload pool defaults; output.uploadConcurrency / output.uploadRetries override them per job
+const UPLOAD_DEFAULTS = {
+    concurrency: 4,
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000
+}
+
+const resolveUploadOptions = (output = {}) => {
+    const transfer = { ...UPLOAD_DEFAULTS }
+    if (output.uploadConcurrency !== undefined) {
+        if (!Number.isInteger(output.uploadConcurrency) || output.uploadConcurrency < 1) {
+            throw createJobError('INPUT_INVALID', 'output.uploadConcurrency must be a positive integer', { stage: 'validate' })
+        }
+        transfer.concurrency = output.uploadConcurrency
+    }
+    if (output.uploadRetries !== undefined) {
+        if (!Number.isInteger(output.uploadRetries) || output.uploadRetries < 0) {
+            throw createJobError('INPUT_INVALID', 'output.uploadRetries must be a non-negative integer', { stage: 'validate' })
+        }
+        transfer.retries = output.uploadRetries
+    }
+    return transfer
+}
+
+// Base64 MD5 as expected by the Content-MD5 header
+const md5Base64 = (body) => crypto.createHash('md5')
+    .update(Buffer.isBuffer(body) ? body : fs.readFileSync(body))
+    .digest('base64')
+
+// Network errors, throttling, 5xx and digest mismatches are worth another attempt;
+// other 4xx (bad credentials, missing bucket) fail straight away
+const isRetryableUploadError = (error) => {
+    if (['BadDigest', 'InvalidDigest'].includes(error.code || error.name)) return true
+    const status = error.status || error.$metadata?.httpStatusCode
+    if (!status) return true
+    return status === 408 || status === 429 || status >= 500
+}
+
+// Resolves after ms, or rejects with the abort reason as soon as the job is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const onAbort = () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+})
+
+// Put one object with Content-MD5, retrying with exponential backoff and full jitter.
+// Resolves the number of retries it took
+const putObjectWithRetry = async (storage, remotePath, body, headers, transfer = UPLOAD_DEFAULTS) => {
+    const { signal } = transfer
+    const contentMD5 = md5Base64(body)
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted()
+        try {
+            await storage.put(remotePath, body, { ...headers, contentMD5, signal })
+            return attempt
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason
+            if (attempt >= transfer.retries || !isRetryableUploadError(error)) {
+                const attempts = attempt > 0 ? ` (after ${attempt + 1} attempts)` : ''
+                throw createJobError('STORAGE_FAILED', `${remotePath}: ${error.message}${attempts}`, {
+                    retryable: isRetryableUploadError(error),
+                    stage: 'upload',
+                    cause: error
                 })
-                
-                // Timeout test after 10 seconds
-                setTimeout(() => {
-                    testProc.kill()
-                    console.log('⏰ NVENC test timeout, using software encoding')
-                    resolve(false)
-                }, 10000)
-            })
-        })
-        
-        // Timeout nvidia-smi check
-        setTimeout(() => {
-            nvidiaCheck.kill()
-            console.log('⏰ NVIDIA check timeout, using software encoding')
-            resolve(false)
-        }, 5000)
+            }
+            const delay = Math.random() * Math.min(transfer.maxDelayMs, transfer.baseDelayMs * 2 ** attempt)
+            console.warn(`⚠️ Upload of ${remotePath} failed (${error.message}), retry ${attempt + 1}/${transfer.retries} in ${Math.round(delay)}ms`)
+            await sleep(delay, signal)
+        }
+    }
+}
+
+// Run worker over items with at most `limit` in flight; results keep the input order
+const runWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length)
+    let next = 0
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await worker(items[index], index)
+        }
     })
+    await Promise.all(lanes)
+    return results
+}
+
+// Define fake extensions for CDN bypass
+const FAKE_EXTENSIONS = ['.png', '.jpg', '.webp', '.css', '.js', '.ico', '.svg', '.gif', '.txt', '.html']
+
+// Upload one segment file into `folder` and return its download record
+const uploadSegmentFile = async (tsDir, tsFile, storage, useFakeExtensions, folder, transfer = UPLOAD_DEFAULTS) => {
+    const localPath = path.join(tsDir, tsFile)
+    
+    // Create filename with fake extension if requested
+    let remoteFileName
+    if (useFakeExtensions) {
+        const randomExt = FAKE_EXTENSIONS[Math.floor(Math.random() * FAKE_EXTENSIONS.length)]
+        const baseName = path.parse(tsFile).name // Remove .ts extension
+        remoteFileName = `${baseName}${randomExt}`
+    } else {
+        remoteFileName = tsFile
+    }
+    
+    // Create remote path in md5DriveId folder
+    const remotePath = `${folder}/${remoteFileName}`
+    const fileSize = fs.statSync(localPath).size
+    
+    // Upload file to storage
+    const retries = await putObjectWithRetry(storage, remotePath, localPath, {
+        contentType: useFakeExtensions ? getContentTypeForFakeExtension(remoteFileName) : getContentTypeForSegment(tsFile),
+        cacheControl: 'public, max-age=31536000' // 1 year cache
+    }, transfer)
+    transfer.onProgress?.(fileSize)
+    
+    return {
+        fileName: remoteFileName,
+        // Create download URL using segments CDN domain
+        url: storage.urlFor(remotePath, 'segment'),
+        size: fileSize,
+        retries,
+        uploadTime: new Date().toISOString()
+    }
 }
 
-// Upload segments to OSS storage and return download URLs
-const uploadSegmentsToOSS = async (tsDir, tsFiles, ossConfig, useFakeExtensions = true, md5DriveId) => {
-    console.log('🔧 Initializing OSS client...')
-    console.log(`📊 OSS Config: region=${ossConfig.region}, bucket=${ossConfig.bucket}`)
-    console.log(`📊 Upload settings: fakeExtensions=${useFakeExtensions}, folder=${md5DriveId}`)
+// Upload segments to storage and return download URLs
+const uploadSegmentsToStorage = async (tsDir, tsFiles, storage, useFakeExtensions = true, md5DriveId, transfer = UPLOAD_DEFAULTS) => {
+    console.log(`📊 Upload settings: storage=${storage.type}, fakeExtensions=${useFakeExtensions}, folder=${md5DriveId}, concurrency=${transfer.concurrency}, retries=${transfer.retries}`)
     
     try {
-        const client = new OSS({
-            region: ossConfig.region,
-            accessKeyId: ossConfig.accessKeyId,
-            accessKeySecret: ossConfig.accessKeySecret,
-            bucket: ossConfig.bucket
-        })
-        
-        console.log(`✅ OSS client initialized for bucket: ${ossConfig.bucket}`)
-        
         // Calculate total upload size
         const totalSize = tsFiles.reduce((sum, file) => {
             return sum + fs.statSync(path.join(tsDir, file)).size
         }, 0)
         console.log(`📊 Total upload size: ${(totalSize / 1024 / 1024).toFixed(2)}MB across ${tsFiles.length} segments`)
         
-        // Define fake extensions for CDN bypass
-        const fakeExtensions = ['.png', '.jpg', '.webp', '.css', '.js', '.ico', '.svg', '.gif', '.txt', '.html']
-        const uploadedSegments = []
         let uploadedBytes = 0
         
-        for (let i = 0; i < tsFiles.length; i++) {
-            const tsFile = tsFiles[i]
-            const localPath = path.join(tsDir, tsFile)
-            
-            // Create filename with fake extension if requested
-            let remoteFileName
-            if (useFakeExtensions) {
-                const randomExt = fakeExtensions[Math.floor(Math.random() * fakeExtensions.length)]
-                const baseName = path.parse(tsFile).name // Remove .ts extension
-                remoteFileName = `${baseName}${randomExt}`
-            } else {
-                remoteFileName = tsFile
-            }
-            
-            // Create remote path in md5DriveId folder
-            const remotePath = `${md5DriveId}/${remoteFileName}`
-            
-            const fileSize = fs.statSync(localPath).size
+        const uploadedSegments = await runWithConcurrency(tsFiles, transfer.concurrency, async (tsFile, i) => {
             const startTime = Date.now()
+            console.log(`📤 Uploading ${i + 1}/${tsFiles.length}: ${tsFile} -> ${md5DriveId}/`)
             
-            console.log(`📤 Uploading ${i + 1}/${tsFiles.length}: ${tsFile} (${(fileSize / 1024).toFixed(1)}KB) -> ${remotePath}`)
-            
-            // Upload file to OSS
-            const uploadResult = await client.put(remotePath, localPath, {
-                headers: {
-                    'Content-Type': useFakeExtensions ? getContentTypeForFakeExtension(remoteFileName) : 'video/mp2t',
-                    'Cache-Control': 'public, max-age=31536000' // 1 year cache
-                }
-            })
+            const segment = await uploadSegmentFile(tsDir, tsFile, storage, useFakeExtensions, md5DriveId, transfer)
             
             const uploadTime = Date.now() - startTime
-            uploadedBytes += fileSize
+            uploadedBytes += segment.size
             const progress = ((uploadedBytes / totalSize) * 100).toFixed(1)
             
-            // Create download URL using segments CDN domain
-            const downloadUrl = `https://${ossConfig.cdnDomainSegments || ossConfig.cdnDomain}/${remotePath}`
-            
-            uploadedSegments.push({
-                fileName: remoteFileName,
-                url: downloadUrl,
-                size: fileSize,
-                uploadTime: new Date().toISOString()
-            })
-            
-            console.log(`✅ Uploaded: ${downloadUrl} (${uploadTime}ms, ${progress}% total)`)
-        }
+            console.log(`✅ Uploaded: ${segment.url} (${(segment.size / 1024).toFixed(1)}KB, ${uploadTime}ms, ${progress}% total${segment.retries ? `, ${segment.retries} retries` : ''})`)
+            return segment
+        })
         
-        console.log(`🎉 Successfully uploaded ${uploadedSegments.length} segments to OSS`)
+        console.log(`🎉 Successfully uploaded ${uploadedSegments.length} segments to ${storage.type} storage`)
         return uploadedSegments
         
     } catch (error) {
-        console.error('❌ OSS upload failed:', error)
-        throw new Error(`Failed to upload segments to OSS: ${error.message}`)
+        console.error(`❌ ${storage.type} upload failed:`, error)
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to upload segments to ${storage.type} storage: ${error.message}` })
     }
 }
 
-// Create and upload M3U8 playlist to OSS
-const createAndUploadM3U8ToOSS = async (segments, originalM3u8Content, ossConfig, md5DriveId, cdnDomains, segmentDuration) => {
-    console.log('📋 Creating M3U8 playlist for OSS upload...')
+// Pipelined HLS upload: poll the segment directories while FFmpeg runs and upload every segment
+// once the muxer has moved on to the next one (FFmpeg closes a segment before opening the next).
+// finish() uploads the tail after a successful encode; abort() deletes whatever already went up.
+// targets: [{ segmentDir, folder }]
+const createSegmentUploadPipeline = (targets, { storage, fakeExtensions, transfer }, { prepare = null, pollMs = 500 } = {}) => {
+    const uploaded = new Map(targets.map(target => [target.segmentDir, []]))
+    const queued = new Set()
+    const pending = []
+    const waiting = []
+    const busySpans = []
+    let active = 0
+    let busySince = null
+    let failure = null
+    let timer = null
+    let encodeEndedAt = null
     
-    try {
-        const client = new OSS({
-            region: ossConfig.region,
-            accessKeyId: ossConfig.accessKeyId,
-            accessKeySecret: ossConfig.accessKeySecret,
-            bucket: ossConfig.bucket
+    const release = () => {
+        active--
+        if (active === 0) {
+            busySpans.push([busySince, Date.now()])
+            busySince = null
+        }
+        waiting.shift()?.()
+    }
+    
+    const enqueue = (target, file) => {
+        queued.add(path.join(target.segmentDir, file))
+        pending.push((async () => {
+            while (active >= transfer.concurrency) {
+                await new Promise(resolve => waiting.push(resolve))
+            }
+            if (failure) return
+            active++
+            if (busySince === null) busySince = Date.now()
+            try {
+                await prepare?.(target.segmentDir, file)
+                const segment = await uploadSegmentFile(target.segmentDir, file, storage, fakeExtensions, target.folder, transfer)
+                segment.remotePath = `${target.folder}/${segment.fileName}`
+                segment.duringEncode = encodeEndedAt === null
+                uploaded.get(target.segmentDir).push({ file, segment })
+                console.log(`📤 Pipelined upload: ${file} -> ${segment.url}`)
+            } catch (error) {
+                failure = failure || error
+            } finally {
+                release()
+            }
+        })())
+    }
+    
+    // All but the newest segment in each directory are complete while FFmpeg is running
+    const scan = (final = false) => {
+        for (const target of targets) {
+            if (!fs.existsSync(target.segmentDir)) continue
+            const files = fs.readdirSync(target.segmentDir)
+                .filter(isMediaSegment)
+                .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+            const ready = final ? files : files.slice(0, -1)
+            ready.filter(file => !queued.has(path.join(target.segmentDir, file)))
+                .forEach(file => enqueue(target, file))
+        }
+    }
+    
+    const settle = async () => {
+        clearInterval(timer)
+        await Promise.all(pending)
+    }
+    
+    const removeUploaded = async () => {
+        const objects = [...uploaded.values()].flat()
+        console.log(`🧹 Removing ${objects.length} partially uploaded segment(s)...`)
+        await runWithConcurrency(objects, transfer.concurrency, async ({ segment }) => {
+            try {
+                await storage.remove(segment.remotePath)
+            } catch (error) {
+                console.warn(`⚠️ Could not remove ${segment.remotePath}: ${error.message}`)
+            }
         })
-        
-        // Extract target duration from original M3U8 or use default
-        let targetDuration = segmentDuration || 2
-        const targetDurationMatch = originalM3u8Content.match(/#EXT-X-TARGETDURATION:(\d+)/)
-        if (targetDurationMatch) {
-            targetDuration = parseInt(targetDurationMatch[1])
-        }
-        
-        // Extract segment durations from original M3U8
-        const originalDurations = []
-        const lines = originalM3u8Content.split('\n')
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith('#EXTINF:')) {
-                const durationMatch = lines[i].match(/#EXTINF:([0-9.]+),/)
-                if (durationMatch) {
-                    originalDurations.push(durationMatch[1])
-                }
+    }
+    
+    return {
+        start: () => {
+            timer = setInterval(() => scan(), pollMs)
+            console.log(`🚰 Pipelined upload watching ${targets.length} segment folder(s)`)
+        },
+        // Encode succeeded: upload the remaining segments and report how much work overlapped
+        finish: async (encodeStartedAt) => {
+            encodeEndedAt = Date.now()
+            clearInterval(timer)
+            scan(true)
+            await settle()
+            if (failure) {
+                await removeUploaded()
+                throw toJobError(failure, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to upload segments to ${storage.type} storage: ${failure.message}` })
+            }
+            
+            const busyMs = busySpans.reduce((sum, [from, to]) => sum + (to - from), 0)
+            const overlapMs = busySpans.reduce((sum, [from, to]) => {
+                return sum + Math.max(0, Math.min(to, encodeEndedAt) - Math.max(from, encodeStartedAt))
+            }, 0)
+            const segments = [...uploaded.values()].flat().map(entry => entry.segment)
+            const stats = {
+                enabled: true,
+                segmentsDuringEncode: segments.filter(segment => segment.duringEncode).length,
+                totalSegments: segments.length,
+                overlapSeconds: Number((overlapMs / 1000).toFixed(2)),
+                uploadSecondsAfterEncode: Number(((busyMs - overlapMs) / 1000).toFixed(2)),
+                overlapPercent: busyMs > 0 ? Math.round((overlapMs / busyMs) * 100) : 0
             }
+            segments.forEach(segment => {
+                delete segment.remotePath
+                delete segment.duringEncode
+            })
+            console.log(`🚰 Pipelined upload: ${stats.segmentsDuringEncode}/${stats.totalSegments} segments uploaded during encode, ${stats.overlapPercent}% of upload time overlapped`)
+            
+            // segmentDir -> Map(local file -> uploaded record)
+            const byDir = new Map()
+            for (const [segmentDir, entries] of uploaded) {
+                byDir.set(segmentDir, new Map(entries.map(({ file, segment }) => [file, segment])))
+            }
+            return { uploaded: byDir, stats }
+        },
+        // An encode attempt failed and another pipeline will retry: delete what went up and watch again
+        restart: async () => {
+            failure = failure || new Error('encode attempt failed')
+            await settle()
+            await removeUploaded()
+            uploaded.forEach(entries => { entries.length = 0 })
+            queued.clear()
+            pending.length = 0
+            busySpans.length = 0
+            failure = null
+            timer = setInterval(() => scan(), pollMs)
+        },
+        // Encode failed: stop watching, let in-flight uploads finish, then delete everything uploaded
+        abort: async () => {
+            failure = failure || new Error('encode failed')
+            await settle()
+            await removeUploaded()
         }
+    }
+}
+
+// Rebuild a media playlist pointing at the uploaded segment URLs
+const buildMediaPlaylist = (segments, originalM3u8Content, segmentDuration, initUrl = null, encryption = null) => {
+    // Extract target duration from original M3U8 or use default
+    let targetDuration = segmentDuration || 2
+    const targetDurationMatch = originalM3u8Content.match(/#EXT-X-TARGETDURATION:(\d+)/)
+    if (targetDurationMatch) {
+        targetDuration = parseInt(targetDurationMatch[1])
+    }
+    
+    // Extract segment durations from original M3U8
+    const originalDurations = parseMediaPlaylist(originalM3u8Content).map(entry => entry.duration)
+    
+    console.log(`📊 Found ${originalDurations.length} segment durations, target duration: ${targetDuration}`)
+    
+    // Sort segments by filename to ensure correct order
+    segments.sort((a, b) => {
+        const numA = parseInt(a.fileName.split('.')[0], 10)
+        const numB = parseInt(b.fileName.split('.')[0], 10)
+        return numA - numB
+    })
+    
+    // Create M3U8 content (fMP4 segments need version 7 and an EXT-X-MAP init segment)
+    let playlistContent = `#EXTM3U\n#EXT-X-VERSION:${initUrl ? 7 : 3}\n#EXT-X-TARGETDURATION:${targetDuration}\n#EXT-X-MEDIA-SEQUENCE:0\n`
+    if (initUrl) {
+        playlistContent += `#EXT-X-MAP:URI="${initUrl}"\n`
+    }
+    
+    // Add segments with correct durations
+    segments.forEach((segment, index) => {
+        const duration = index < originalDurations.length
+            ? originalDurations[index]
+            : `${segmentDuration}.000000`
         
-        console.log(`📊 Found ${originalDurations.length} segment durations, target duration: ${targetDuration}`)
-        
-        // Sort segments by filename to ensure correct order
-        segments.sort((a, b) => {
-            const numA = parseInt(a.fileName.split('.')[0], 10)
-            const numB = parseInt(b.fileName.split('.')[0], 10)
-            return numA - numB
-        })
+        playlistContent += `#EXTINF:${duration},\n${segment.url}\n`
+    })
+    
+    playlistContent += '#EXT-X-ENDLIST'
+    
+    console.log(`📝 Created M3U8 with ${segments.length} segments`)
+    return encryption ? addKeyTags(playlistContent, encryption) : playlistContent
+}
+
+// Create and upload M3U8 playlist(s) to storage
+// A single unnamed variant keeps the legacy layout (media playlist at md5DriveId/master.m3u8);
+// named variants, audio and subtitle renditions get md5DriveId/<name>/index.m3u8 plus a master playlist listing them
+const createAndUploadM3U8ToStorage = async (variants, storage, md5DriveId, segmentDuration, transfer = UPLOAD_DEFAULTS, audio = [], subtitles = []) => {
+    console.log(`📋 Creating M3U8 playlist for ${storage.type} upload...`)
+    
+    try {
+        const putPlaylist = (remotePath, content) => putObjectWithRetry(storage, remotePath, Buffer.from(content), {
+            contentType: 'application/vnd.apple.mpegurl',
+            cacheControl: 'public, max-age=3600' // 1 hour cache for playlist
+        }, transfer)
         
-        // Create M3U8 content
-        let playlistContent = `#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:${targetDuration}\n#EXT-X-MEDIA-SEQUENCE:0\n`
+        if (variants.length === 1 && !variants[0].name) {
+            const [variant] = variants
+            const playlistContent = buildMediaPlaylist(variant.uploadedSegments, variant.m3u8Content, segmentDuration, variant.uploadedInit?.url, variant.encryption)
         
-        // Add segments with correct durations
-        segments.forEach((segment, index) => {
-            const duration = index < originalDurations.length 
-                ? originalDurations[index] 
-                : `${segmentDuration}.000000`
+            // Upload M3U8 - INSIDE the same folder as segments for easier deletion
+            const m3u8Path = `${md5DriveId}/master.m3u8`  // Put M3U8 inside folder, not outside
+            await putPlaylist(m3u8Path, playlistContent)
             
-            playlistContent += `#EXTINF:${duration},\n${segment.url}\n`
-        })
-        
-        playlistContent += '#EXT-X-ENDLIST'
+            const m3u8Url = storage.urlFor(m3u8Path, 'playlist')
+            
+            console.log(`✅ M3U8 uploaded to: ${m3u8Url}`)
+            return m3u8Url
+        }
         
-        console.log(`📝 Created M3U8 with ${segments.length} segments`)
+        for (const variant of [...variants, ...audio, ...subtitles]) {
+            const playlistContent = buildMediaPlaylist(variant.uploadedSegments, variant.m3u8Content, segmentDuration, variant.uploadedInit?.url, variant.encryption)
+            const variantPath = `${md5DriveId}/${variant.name}/index.m3u8`
+            await putPlaylist(variantPath, playlistContent)
+            variant.playlistUrl = storage.urlFor(variantPath, 'playlist')
+            console.log(`✅ ${variant.name} playlist uploaded to: ${variant.playlistUrl}`)
+        }
         
-        // Upload M3U8 to OSS - INSIDE the same folder as segments for easier deletion
-        const m3u8Path = `${md5DriveId}/master.m3u8`  // Put M3U8 inside folder, not outside
-        const uploadResult = await client.put(m3u8Path, Buffer.from(playlistContent), {
-            headers: {
-                'Content-Type': 'application/vnd.apple.mpegurl',
-                'Cache-Control': 'public, max-age=3600' // 1 hour cache for playlist
-            }
-        })
+        const masterPath = `${md5DriveId}/master.m3u8`
+        await putPlaylist(masterPath, buildMasterPlaylist(variants, v => v.playlistUrl, audio, subtitles))
         
-        const m3u8Url = `https://${cdnDomains.m3u8 || ossConfig.cdnDomain}/${m3u8Path}`
+        const m3u8Url = storage.urlFor(masterPath, 'playlist')
         
-        console.log(`✅ M3U8 uploaded to: ${m3u8Url}`)
+        console.log(`✅ Master M3U8 (${variants.length} variants${audio.length ? `, ${audio.length} audio renditions` : ''}${subtitles.length ? `, ${subtitles.length} subtitle renditions` : ''}) uploaded to: ${m3u8Url}`)
         return m3u8Url
         
     } catch (error) {
         console.error('❌ M3U8 upload failed:', error)
-        throw new Error(`Failed to upload M3U8 to OSS: ${error.message}`)
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to upload M3U8 to ${storage.type} storage: ${error.message}` })
+    }
+}
+
+// Rewrite the MPD SegmentList to the uploaded URLs and upload it next to the segments
+const createAndUploadMPDToStorage = async (manifestContent, urlByFile, storage, md5DriveId, transfer = UPLOAD_DEFAULTS) => {
+    console.log(`📋 Creating MPD manifest for ${storage.type} upload...`)
+    
+    try {
+        // Initialization@sourceURL and SegmentURL@media hold the bare local file names
+        let manifest = manifestContent
+        for (const [file, url] of urlByFile) {
+            manifest = manifest.split(`"${file}"`).join(`"${url}"`)
+        }
+        
+        const mpdPath = `${md5DriveId}/manifest.mpd`
+        await putObjectWithRetry(storage, mpdPath, Buffer.from(manifest), {
+            contentType: 'application/dash+xml',
+            cacheControl: 'public, max-age=3600' // 1 hour cache for manifest
+        }, transfer)
+        
+        const url = storage.urlFor(mpdPath, 'playlist')
+        
+        console.log(`✅ MPD uploaded to: ${url}`)
+        return { manifest, url }
+        
+    } catch (error) {
+        console.error('❌ MPD upload failed:', error)
+        throw toJobError(error, 'STORAGE_FAILED', { stage: 'upload', message: `Failed to upload MPD to ${storage.type} storage: ${error.message}` })
     }
 }
 
@@ -982,11 +4537,715 @@ const getContentTypeForFakeExtension = (fileName) => {
     return contentTypes[ext] || 'application/octet-stream'
 }
 
+// Real content type for segment files uploaded without fake extensions
+const getContentTypeForSegment = (fileName) => {
+    const contentTypes = {
+        '.ts': 'video/mp2t',
+        '.m4s': 'video/iso.segment',
+        '.mp4': 'video/mp4',
+        '.vtt': 'text/vtt',
+        '.jpg': 'image/jpeg',
+        '.webp': 'image/webp',
+        '.png': 'image/png'
+    }
+    return contentTypes[path.extname(fileName).toLowerCase()] || 'application/octet-stream'
+}
+
 // Export the handler for RunPod
 export default handler
 
+// Input validation: each action's input is checked against a declared schema before any work starts,
+// and every violation is reported with its field path (e.g. "segments.duration: expected number, got string").
+// Field spec: { type, required, enum, min, max, pattern + hint, fields, values, items, minItems,
+// oneOf (alternatives picked by the value's type), variants ({ key, specs }: object specs picked by a key),
+// allowUnknown, rules (cross-field checks) }
+const UNKNOWN_FIELD_POLICIES = ['warn', 'reject']
+
+const HTTP_URL = { type: 'string', pattern: /^https?:\/\/\S+$/, hint: 'an http(s) URL' }
+const STRING_MAP = { type: 'object', values: { type: 'string' } }
+const DRIVE_ID = { type: 'string', pattern: /^[\w-]+$/, hint: 'a Google Drive file ID' }
+const LANGUAGE_CODE = { type: 'string', pattern: /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/, hint: 'a language code like "eng" or "en"' }
+// Stream indexes (as listed by `probe`) or language codes
+const STREAM_SELECTORS = { type: 'array', minItems: 1, items: { oneOf: [{ type: 'integer', min: 0 }, LANGUAGE_CODE] } }
+
+const CDN_FIELDS = {
+    cdnDomain: { type: 'string' },
+    cdnDomainSegments: { type: 'string' },
+    publicBaseUrl: HTTP_URL
+}
+
+const OSS_FIELDS = {
+    region: { type: 'string', required: true },
+    accessKeyId: { type: 'string', required: true },
+    accessKeySecret: { type: 'string', required: true },
+    bucket: { type: 'string', required: true },
+    ...CDN_FIELDS
+}
+
+const STORAGE_SCHEMA = {
+    type: 'object',
+    variants: {
+        key: 'type',
+        specs: {
+            oss: { fields: OSS_FIELDS },
+            s3: {
+                fields: {
+                    bucket: { type: 'string', required: true },
+                    accessKeyId: { type: 'string', required: true },
+                    secretAccessKey: { type: 'string', required: true },
+                    region: { type: 'string' },
+                    endpoint: HTTP_URL,
+                    forcePathStyle: { type: 'boolean' },
+                    ...CDN_FIELDS
+                }
+            },
+            local: { fields: { rootDir: { type: 'string', required: true }, ...CDN_FIELDS } }
+        }
+    }
+}
+
+const RENDITION_SCHEMA = {
+    oneOf: [
+        { type: 'string', enum: Object.keys(RENDITION_LADDER) },
+        {
+            type: 'object',
+            fields: {
+                name: { type: 'string' },
+                height: { type: 'integer', min: 144, max: 4320 },
+                bitrate: { type: 'integer', min: 100, max: 100000 },
+                maxrate: { type: 'integer', min: 100, max: 150000 },
+                bufsize: { type: 'integer', min: 100, max: 300000 }
+            }
+        }
+    ]
+}
+
+const ENCODING_SCHEMA = {
+    type: 'object',
+    fields: {
+        rateControl: { type: 'string', enum: RATE_CONTROL_MODES },
+        cq: { type: 'integer', min: 0, max: 51 },
+        crf: { type: 'integer', min: 0, max: 51 },
+        bitrate: { type: 'integer', min: 100, max: 100000 },
+        maxrate: { type: 'integer', min: 100, max: 150000 },
+        bufsize: { type: 'integer', min: 100, max: 300000 },
+        nvencPreset: { type: 'string', enum: ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'] },
+        softwarePreset: { type: 'string', enum: Object.keys(SVT_AV1_PRESETS) },
+        videoProfile: { type: 'string', enum: Object.keys(H264_PROFILE_IDC) },
+        level: {
+            oneOf: [
+                { type: 'string', pattern: /^([1-5](\.\d)?|6(\.[0-2])?)$/, hint: 'a level from "1" to "6.2" like "4.1"' },
+                { type: 'number', min: 1, max: 6.2 }
+            ]
+        },
+        audioBitrate: { type: 'integer', min: 32, max: 512 }
+    }
+}
+
+// Fields the Python wrapper and the validator itself read, accepted by every action
+const COMMON_INPUT_FIELDS = {
+    action: { type: 'string', required: true },
+    timeoutSeconds: { type: 'number', min: 1 },
+    unknownFields: { type: 'string', enum: UNKNOWN_FIELD_POLICIES }
+}
+
+// Where the input video comes from - shared by encode and probe
+const INPUT_SOURCE_FIELDS = {
+    videoUrl: HTTP_URL,
+    driveId: DRIVE_ID,
+    googleToken: {
+        type: 'object',
+        // Token responses carry extra fields (id_token, refresh_token_expires_in, ...) we don't use
+        allowUnknown: true,
+        fields: {
+            access_token: { type: 'string' },
+            refresh_token: { type: 'string' },
+            expiry_date: { type: 'number' },
+            token_type: { type: 'string' },
+            scope: { type: 'string' },
+            client_id: { type: 'string' },
+            client_secret: { type: 'string' }
+        }
+    },
+    download: {
+        type: 'object',
+        fields: {
+            headers: STRING_MAP,
+            auth: {
+                type: 'object',
+                variants: {
+                    key: 'type',
+                    specs: {
+                        basic: { fields: { username: { type: 'string', required: true }, password: { type: 'string' } } },
+                        bearer: { fields: { token: { type: 'string', required: true } } }
+                    }
+                }
+            },
+            maxSizeMB: { type: 'number', min: 1 }
+        }
+    }
+}
+
+const INPUT_SOURCE_RULES = [
+    (input, report) => {
+        if (!input.videoUrl && !input.driveId) report.error('videoUrl', 'either videoUrl or driveId is required')
+        if (input.videoUrl && input.driveId) report.warn('videoUrl', 'ignored because driveId is set')
+        if (input.driveId && !input.googleToken) report.error('googleToken', 'is required when driveId is set')
+        if (input.driveId && input.download) report.warn('download', 'only applies to videoUrl downloads')
+    },
+    (input, report) => {
+        const token = input.googleToken
+        if (token && !token.access_token && !token.refresh_token) {
+            report.error('googleToken.access_token', 'is required unless a refresh_token is given')
+        }
+    }
+]
+
+const ENCODE_INPUT_SCHEMA = {
+    type: 'object',
+    fields: {
+        ...COMMON_INPUT_FIELDS,
+        ...INPUT_SOURCE_FIELDS,
+        md5DriveId: { type: 'string', required: true, pattern: /^(?!\.\.?$)[\w.-]+$/, hint: 'a single path segment (letters, digits, ".", "_", "-")' },
+        outputFormat: { type: 'string', enum: OUTPUT_FORMATS },
+        quality: { type: 'string', enum: Object.keys(QUALITY_PROFILES) },
+        codec: { type: 'string', enum: Object.keys(VIDEO_CODECS) },
+        encoding: ENCODING_SCHEMA,
+        color: {
+            type: 'object',
+            fields: {
+                hdr: { type: 'string', enum: HDR_MODES },
+                tonemap: { type: 'string', enum: TONEMAP_ALGORITHMS }
+            }
+        },
+        audio: {
+            type: 'object',
+            fields: {
+                tracks: { oneOf: [{ type: 'string', enum: AUDIO_TRACK_MODES }, STREAM_SELECTORS] },
+                surround: { type: 'boolean' },
+                surroundBitrate: { type: 'integer', min: 128, max: 640 }
+            }
+        },
+        subtitles: {
+            type: 'object',
+            fields: {
+                tracks: { oneOf: [{ type: 'string', enum: ['all'] }, STREAM_SELECTORS] },
+                files: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            url: HTTP_URL,
+                            driveId: DRIVE_ID,
+                            headers: STRING_MAP,
+                            format: { type: 'string', enum: Object.keys(SUBTITLE_FORMATS) },
+                            charset: { type: 'string' },
+                            language: LANGUAGE_CODE,
+                            name: { type: 'string' },
+                            default: { type: 'boolean' },
+                            forced: { type: 'boolean' }
+                        }
+                    }
+                },
+                burnIn: {
+                    type: 'object',
+                    fields: {
+                        stream: { type: 'integer', min: 0 },
+                        file: { type: 'integer', min: 0 }
+                    }
+                }
+            }
+        },
+        thumbnails: {
+            oneOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    fields: {
+                        interval: { type: 'number', min: 1, max: 600 },
+                        width: { type: 'integer', min: 40, max: 640 },
+                        columns: { type: 'integer', min: 1, max: 20 },
+                        rows: { type: 'integer', min: 1, max: 20 },
+                        format: { type: 'string', enum: THUMBNAIL_FORMATS },
+                        quality: { type: 'integer', min: 1, max: 100 }
+                    }
+                }
+            ]
+        },
+        poster: {
+            oneOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    fields: {
+                        time: { type: 'number', min: 0 },
+                        width: { type: 'integer', min: 64, max: 3840 },
+                        format: { type: 'string', enum: POSTER_FORMATS },
+                        quality: { type: 'integer', min: 1, max: 100 }
+                    }
+                }
+            ]
+        },
+        preview: {
+            oneOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    fields: {
+                        format: { type: 'string', enum: PREVIEW_FORMATS },
+                        clips: { type: 'integer', min: 1, max: 10 },
+                        clipDuration: { type: 'number', min: 0.5, max: 5 },
+                        width: { type: 'integer', min: 64, max: 1280 },
+                        fps: { type: 'integer', min: 1, max: 30 }
+                    }
+                }
+            ]
+        },
+        loudness: {
+            oneOf: [
+                { type: 'boolean' },
+                {
+                    type: 'object',
+                    fields: {
+                        target: { type: 'number', min: -70, max: -5 },
+                        truePeak: { type: 'number', min: -9, max: 0 },
+                        range: { type: 'number', min: 1, max: 50 }
+                    }
+                }
+            ]
+        },
+        encryption: {
+            type: 'object',
+            fields: {
+                method: { type: 'string', enum: ENCRYPTION_METHODS },
+                keyUri: { type: 'string', required: true, pattern: /^[^"\s]+$/, hint: 'a URI without quotes or spaces' },
+                rotateEvery: { type: 'integer', min: 1, max: 100000 },
+                keyStorage: STORAGE_SCHEMA,
+                keyPath: { type: 'string', pattern: /^[^/]/, hint: 'a storage path without a leading "/"' }
+            }
+        },
+        segments: {
+            type: 'object',
+            fields: {
+                duration: { type: 'number', min: 1, max: 60 },
+                format: { type: 'string', enum: ['ts', 'fmp4'] }
+            }
+        },
+        renditions: {
+            oneOf: [
+                { type: 'boolean' },
+                { type: 'array', minItems: 1, items: RENDITION_SCHEMA }
+            ]
+        },
+        output: {
+            type: 'object',
+            fields: {
+                uploadToStorage: { type: 'boolean' },
+                fakeExtensions: { type: 'boolean' },
+                uploadConcurrency: { type: 'integer', min: 1, max: 64 },
+                uploadRetries: { type: 'integer', min: 0, max: 10 },
+                pipelineUpload: { type: 'boolean' }
+            }
+        },
+        storage: STORAGE_SCHEMA,
+        ossConfig: { type: 'object', fields: { type: { type: 'string', enum: ['oss'] }, ...OSS_FIELDS } },
+        cdnDomains: {
+            type: 'object',
+            fields: {
+                m3u8: { type: 'string' },
+                segments: { type: 'string' }
+            }
+        },
+        keepWorkDir: { type: 'boolean' },
+        progressWebhook: {
+            oneOf: [
+                HTTP_URL,
+                { type: 'object', fields: { url: { ...HTTP_URL, required: true }, headers: STRING_MAP } }
+            ]
+        },
+        maxDurationSeconds: { type: 'number', min: 1 }
+    },
+    rules: [
+        ...INPUT_SOURCE_RULES,
+        (input, report) => {
+            const output = input.output || {}
+            if (output.uploadToStorage && !input.storage && !input.ossConfig) {
+                report.error('storage', 'is required when output.uploadToStorage is true (or pass ossConfig)')
+            }
+            if (input.storage && input.ossConfig) report.warn('ossConfig', 'ignored because storage is set')
+            if (output.pipelineUpload && !output.uploadToStorage) {
+                report.error('output.pipelineUpload', 'requires output.uploadToStorage')
+            }
+            if (output.pipelineUpload && (input.outputFormat || 'hls') !== 'hls') {
+                report.error('output.pipelineUpload', 'is only supported for outputFormat "hls"')
+            }
+        },
+        (input, report) => {
+            if (input.color?.hdr === 'preserve' && !HDR_CODECS.includes(input.codec || 'h264')) {
+                report.error('color.hdr', `"preserve" needs codec ${HDR_CODECS.join(' or ')} - H.264 output is always SDR`)
+            }
+        },
+        (input, report) => {
+            if (input.audio && (input.outputFormat || 'hls') !== 'hls') {
+                report.error('audio', 'is only supported for outputFormat "hls" - audio renditions are HLS EXT-X-MEDIA entries')
+            }
+            if (input.audio?.surroundBitrate && !input.audio.surround) {
+                report.warn('audio.surroundBitrate', 'ignored unless audio.surround is true')
+            }
+        },
+        (input, report) => {
+            const subtitles = input.subtitles
+            if (!subtitles) return
+            const files = subtitles.files || []
+            files.forEach((file, index) => {
+                if (!file || typeof file !== 'object') return
+                if (!file.url === !file.driveId) report.error(`subtitles.files[${index}]`, 'needs exactly one of url or driveId')
+                if (file.driveId && !input.googleToken) report.error('googleToken', `is required for subtitles.files[${index}].driveId`)
+            })
+            const burnIn = subtitles.burnIn
+            if (burnIn && (burnIn.stream === undefined) === (burnIn.file === undefined)) {
+                report.error('subtitles.burnIn', 'needs exactly one of stream or file')
+            }
+            if (Number.isInteger(burnIn?.file) && burnIn.file >= files.length) {
+                report.error('subtitles.burnIn.file', `must index subtitles.files (${files.length} given)`)
+            }
+            // Everything not burned in becomes a WebVTT rendition, which only HLS can carry
+            const softFiles = files.length - (burnIn?.file !== undefined ? 1 : 0)
+            if ((subtitles.tracks || softFiles > 0) && (input.outputFormat || 'hls') !== 'hls') {
+                report.error('subtitles', 'tracks and files become HLS subtitle renditions; other output formats only support burnIn')
+            }
+        },
+        (input, report) => {
+            const encryption = input.encryption
+            if (!encryption || typeof encryption !== 'object') return
+            if ((input.outputFormat || 'hls') !== 'hls') {
+                report.error('encryption', 'is only supported for outputFormat "hls"')
+            }
+            if (encryption.method === 'SAMPLE-AES' && ((input.codec || 'h264') !== 'h264' || input.segments?.format === 'fmp4')) {
+                report.error('encryption.method', 'SAMPLE-AES needs codec "h264" in MPEG-TS segments')
+            }
+            // Every key needs its own URI and storage path once they rotate
+            const perKey = /\{(keyId|index)\}/
+            if (encryption.rotateEvery && typeof encryption.keyUri === 'string' && !perKey.test(encryption.keyUri)) {
+                report.error('encryption.keyUri', 'needs a {keyId} or {index} placeholder when rotateEvery is set')
+            }
+            if (encryption.keyPath && !encryption.keyStorage) {
+                report.warn('encryption.keyPath', 'ignored without encryption.keyStorage - keys are returned in the result')
+            }
+            if (encryption.keyStorage && encryption.rotateEvery && encryption.keyPath && !perKey.test(encryption.keyPath)) {
+                report.error('encryption.keyPath', 'needs a {keyId} or {index} placeholder when rotateEvery is set')
+            }
+            // Keys must never land in the public output folder
+            const keyStorage = encryption.keyStorage
+            const outputStorage = input.storage || (input.ossConfig && { type: 'oss', ...input.ossConfig })
+            const location = (config) => `${config.type}:${config.type === 'local' ? path.resolve(String(config.rootDir)) : config.bucket}`
+            if (keyStorage && outputStorage && location(keyStorage) === location(outputStorage) && typeof input.md5DriveId === 'string') {
+                const keyPath = path.posix.normalize((encryption.keyPath || DEFAULT_KEY_PATH).replace(KEY_URI_PLACEHOLDERS, (_, name) => (name === 'md5DriveId' ? input.md5DriveId : name)))
+                if (keyPath.startsWith(`${input.md5DriveId}/`)) {
+                    report.error('encryption.keyPath', `must not point into the public output folder ${input.md5DriveId}/`)
+                }
+            }
+        },
+        (input, report) => {
+            if (input.outputFormat === 'mp4' && input.renditions) {
+                report.error('renditions', 'cannot be used with outputFormat "mp4" - a progressive MP4 holds a single rendition')
+            }
+            if (!Array.isArray(input.renditions)) return
+            input.renditions.forEach((rendition, index) => {
+                if (rendition && typeof rendition === 'object' && !RENDITION_LADDER[rendition.name] && !(rendition.height && rendition.bitrate)) {
+                    report.error(`renditions[${index}]`, `needs height and bitrate unless name is one of ${Object.keys(RENDITION_LADDER).join(', ')}`)
+                }
+            })
+        }
+    ]
+}
+
+const ACTION_SCHEMAS = {
+    health: { type: 'object', fields: COMMON_INPUT_FIELDS },
+    'nvenc-debug': { type: 'object', fields: { ...COMMON_INPUT_FIELDS, refresh: { type: 'boolean' } } },
+    probe: {
+        type: 'object',
+        fields: { ...COMMON_INPUT_FIELDS, ...INPUT_SOURCE_FIELDS, fullDownload: { type: 'boolean' } },
+        rules: INPUT_SOURCE_RULES
+    },
+    encode: ENCODE_INPUT_SCHEMA
+}
+
+const typeOf = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+// 'number' accepts integers too
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeof value === 'number' && Number.isFinite(value))
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : key)
+
+// Edit distance, to suggest the field a typo was meant to be
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0]
+        row[0] = i
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j]
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1))
+            diagonal = above
+        }
+    }
+    return row[b.length]
+}
+
+const unknownFieldMessage = (name, known) => {
+    const suggestion = known
+        .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+        .filter(({ distance }) => distance <= 2)
+        .sort((a, b) => a.distance - b.distance)[0]
+    return suggestion ? `unknown field (did you mean "${suggestion.candidate}"?)` : 'unknown field'
+}
+
+const checkField = (spec, value, fieldPath, report) => {
+    if (spec.oneOf) {
+        const option = spec.oneOf.find(candidate => matchesType(value, candidate.type))
+        if (!option) {
+            report.error(fieldPath, `expected ${spec.oneOf.map(candidate => candidate.type).join(' or ')}, got ${typeOf(value)}`)
+            return
+        }
+        checkField(option, value, fieldPath, report)
+        return
+    }
+    if (!matchesType(value, spec.type)) {
+        report.error(fieldPath, `expected ${spec.type}, got ${typeOf(value)}`)
+        return
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        report.error(fieldPath, `must be one of ${spec.enum.join(', ')} (got ${JSON.stringify(value)})`)
+    }
+    if (spec.min !== undefined && value < spec.min) report.error(fieldPath, `must be at least ${spec.min} (got ${value})`)
+    if (spec.max !== undefined && value > spec.max) report.error(fieldPath, `must be at most ${spec.max} (got ${value})`)
+    if (spec.pattern && !spec.pattern.test(value)) report.error(fieldPath, `must be ${spec.hint} (got ${JSON.stringify(value)})`)
+    if (spec.type === 'array') {
+        if (spec.minItems && value.length < spec.minItems) report.error(fieldPath, `needs at least ${spec.minItems} item(s)`)
+        value.forEach((item, index) => checkField(spec.items, item, `${fieldPath}[${index}]`, report))
+    }
+    if (spec.type === 'object') {
+        checkObject(spec, value, fieldPath, report)
+    }
+}
+
+const checkObject = (spec, value, fieldPath, report) => {
+    let fields = spec.fields || {}
+    if (spec.variants) {
+        const { key, specs } = spec.variants
+        const variant = specs[value[key]]
+        if (!variant) {
+            report.error(joinPath(fieldPath, key), value[key] === undefined
+                ? `is required (one of ${Object.keys(specs).join(', ')})`
+                : `must be one of ${Object.keys(specs).join(', ')} (got ${JSON.stringify(value[key])})`)
+            return
+        }
+        fields = { [key]: { type: 'string' }, ...variant.fields }
+    }
+    
+    // null counts as absent, like the `= null` defaults in the handlers
+    for (const [name, fieldSpec] of Object.entries(fields)) {
+        const childPath = joinPath(fieldPath, name)
+        if (value[name] === undefined || value[name] === null) {
+            if (fieldSpec.required) report.error(childPath, 'is required')
+            continue
+        }
+        checkField(fieldSpec, value[name], childPath, report)
+    }
+    
+    for (const name of Object.keys(value).filter(name => !(name in fields))) {
+        if (spec.values) {
+            checkField(spec.values, value[name], joinPath(fieldPath, name), report)
+        } else if (!spec.allowUnknown) {
+            report.unknown(joinPath(fieldPath, name), unknownFieldMessage(name, Object.keys(fields)))
+        }
+    }
+}
+
+// Check an action's input against its schema. Throws one error listing every violation (also as
+// `violations: [{ path, message }]`, plus any `warnings`); resolves the warnings. Unknown fields are warnings unless
+// the input sets unknownFields: "reject". Actions without a schema are left to the dispatcher
+const validateActionInput = (input) => {
+    if (typeOf(input) !== 'object') {
+        throw createJobError('INPUT_INVALID', `Invalid input: expected an object, got ${typeOf(input)}`, {
+            stage: 'validate',
+            violations: [{ path: 'input', message: `expected an object, got ${typeOf(input)}` }]
+        })
+    }
+    const schema = ACTION_SCHEMAS[input.action]
+    if (!schema) return { warnings: [] }
+    
+    const violations = []
+    const warnings = []
+    const unknownFields = []
+    const report = {
+        error: (fieldPath, message) => violations.push({ path: fieldPath, message }),
+        warn: (fieldPath, message) => warnings.push({ path: fieldPath, message }),
+        unknown: (fieldPath, message) => unknownFields.push({ path: fieldPath, message })
+    }
+    checkObject(schema, input, '', report)
+    schema.rules?.forEach(rule => rule(input, report))
+    
+    if (input.unknownFields === 'reject') {
+        violations.push(...unknownFields)
+    } else {
+        warnings.push(...unknownFields)
+    }
+    
+    if (violations.length > 0) {
+        const summary = violations.map(({ path: fieldPath, message }) => `${fieldPath}: ${message}`).join('; ')
+        throw createJobError('INPUT_INVALID', `Invalid ${input.action} input (${violations.length} problem${violations.length > 1 ? 's' : ''}): ${summary}`, {
+            stage: 'validate',
+            violations,
+            warnings
+        })
+    }
+    warnings.forEach(({ path: fieldPath, message }) => console.warn(`⚠️ Input ${fieldPath}: ${message}`))
+    return { warnings }
+}
+
+// Worker mode: `node handler.js --worker` stays up across jobs so Node and the modules load once
+// stdin: one job per line {"id", "event", "timeoutSeconds"}, run one at a time in arrival order,
+// or {"type":"cancel","id"} to cancel a running or queued job
+// stdout: only tagged JSON lines - {"type":"ready"}, {"type":"log","id","level","message"},
+// {"type":"progress","id","progress"}, {"type":"result","id","result"}, {"type":"error","id","error"}
+const WORKER_MODE = process.argv.includes('--worker')
+const DEFAULT_JOB_TIMEOUT_SECONDS = Number(process.env.JOB_TIMEOUT_SECONDS) || 3600
+// How long an aborted job gets to kill FFmpeg and clean up before the worker gives up on it and exits
+const ABORT_GRACE_MS = 20000
+
+// The job protocol without the process around it: feed it stdin lines with handleLine, end() when stdin
+// closes and shutdown() on SIGTERM. run is the job handler, writeMessage gets every outgoing message and
+// exit ends the process (after a job ignored its abort, stdin closed, or the shutdown grace ran out)
+const createWorkerSession = ({ run = handler, writeMessage, exit, graceMs = ABORT_GRACE_MS }) => {
+    let currentJobId = null
+    let currentController = null
+    let shuttingDown = false
+    const cancelledIds = new Set()
+    
+    const runJob = async (job) => {
+        currentJobId = job.id ?? null
+        currentController = new AbortController()
+        const { signal } = currentController
+        if (shuttingDown || cancelledIds.delete(currentJobId)) {
+            currentController.abort(createJobAbortError('cancelled', shuttingDown ? 'Worker is shutting down' : 'Job cancelled'))
+        }
+        
+        const timeoutSeconds = job.timeoutSeconds || DEFAULT_JOB_TIMEOUT_SECONDS
+        let graceTimer
+        // On timeout the job is aborted and gets graceMs to return its timed_out result
+        const timeout = new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                graceTimer = setTimeout(() => {
+                    reject(createJobError('TIMEOUT', `Job did not stop within ${graceMs / 1000}s of being ${signal.reason.status}`, { timedOut: true }))
+                }, graceMs)
+            }, { once: true })
+        })
+        const timer = setTimeout(() => {
+            currentController.abort(createJobAbortError('timed_out', `Job timed out after ${timeoutSeconds}s`))
+        }, timeoutSeconds * 1000)
+        
+        try {
+            const result = await Promise.race([run(job.event || {}, { signal }), timeout])
+            writeMessage({ type: 'result', id: currentJobId, result })
+        } catch (error) {
+            writeMessage({ type: 'error', id: currentJobId, ...describeError(error), timedOut: Boolean(error.timedOut) })
+            if (error.timedOut) {
+                // The job ignored the abort and is still running; exit so the wrapper reaps it and starts a clean worker
+                exit(1)
+            }
+        } finally {
+            clearTimeout(timer)
+            clearTimeout(graceTimer)
+            currentJobId = null
+            currentController = null
+        }
+    }
+    
+    let queue = Promise.resolve()
+    const handleLine = (line) => {
+        if (!line.trim()) return
+        let message
+        try {
+            message = JSON.parse(line)
+        } catch (error) {
+            writeMessage({ type: 'error', id: null, ...describeError(createJobError('INPUT_INVALID', `Invalid job line: ${error.message}`)) })
+            return
+        }
+        
+        // Cancels act right away instead of waiting behind the running job
+        if (message.type === 'cancel') {
+            if (message.id === currentJobId && currentController) {
+                currentController.abort(createJobAbortError('cancelled', 'Job cancelled'))
+            } else {
+                cancelledIds.add(message.id)
+            }
+            return
+        }
+        queue = queue.then(() => runJob(message))
+    }
+    
+    return {
+        get currentJobId() {
+            return currentJobId
+        },
+        ready: () => writeMessage({ type: 'ready', pid: process.pid }),
+        handleLine,
+        // stdin closed: finish the queue, then exit
+        end: () => queue.then(() => exit(0)),
+        // Container shutdown: cancel the running job (and anything queued) so FFmpeg and uploads stop cleanly
+        shutdown: () => {
+            shuttingDown = true
+            currentController?.abort(createJobAbortError('cancelled', 'Worker is shutting down'))
+            setTimeout(() => exit(1), graceMs).unref()
+        }
+    }
+}
+
+const runWorker = () => {
+    const writeMessage = (message) => process.stdout.write(JSON.stringify(message) + '\n')
+    const session = createWorkerSession({ writeMessage, exit: (code) => process.exit(code) })
+    
+    // Every console line becomes a log message tagged with the job it belongs to
+    for (const level of ['log', 'info', 'warn', 'error']) {
+        console[level] = (...args) => writeMessage({ type: 'log', id: session.currentJobId, level, message: util.format(...args) })
+    }
+    emitProgressEvent = (event) => writeMessage({ type: 'progress', id: session.currentJobId, progress: event })
+    
+    const lines = readline.createInterface({ input: process.stdin })
+    lines.on('line', session.handleLine)
+    lines.on('close', session.end)
+    process.on('SIGTERM', () => {
+        session.shutdown()
+        lines.close()
+    })
+    
+    cleanupStaleWorkDirs()
+    session.ready()
+    // Detect hardware while waiting for the first job, which then reuses the result
+    getHardwareCapabilities()
+}
+
+// Only start up when run as `node handler.js`; importing the module (the unit tests do) has no side effects
+const IS_ENTRY_POINT = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(process.argv[1]).href
+
+// Sweep work directories left behind by crashed jobs before taking new ones
+// (the worker does it once its console output is tagged)
+if (IS_ENTRY_POINT && WORKER_MODE) {
+    runWorker()
+} else if (IS_ENTRY_POINT) {
+    cleanupStaleWorkDirs()
+}
+
 // For local testing and NVENC debugging
-if (process.env.NODE_ENV !== 'production') {
+if (IS_ENTRY_POINT && process.env.NODE_ENV !== 'production' && !WORKER_MODE) {
     // Test locally with NVENC debug
     const testEvent = {
         input: {
@@ -1043,3 +5302,36 @@ if (process.env.NODE_ENV !== 'production') {
         console.log('Local test result:', JSON.stringify(result, null, 2))
     }).catch(console.error)
 }
+
+// Internals covered by the unit tests in test/
+export {
+    addKeyTags,
+    buildLadderArgs,
+    buildLoudnormFilter,
+    buildSingleArgs,
+    createDriveClient,
+    createKeySchedule,
+    createSegmentUploadPipeline,
+    createStorageDriver,
+    createWorkerSession,
+    deliverEncryptionKeys,
+    downloadDriveMedia,
+    downloadVideo,
+    encryptSegmentFile,
+    encryptTsSamples,
+    mpegCrc32,
+    parseLoudnormReports,
+    putObjectWithRetry,
+    resolveEncodingSettings,
+    resolveLoudnessSettings,
+    resolveRenditionLadder,
+    resolveSegmentType,
+    resolveUploadOptions,
+    segmentWebVtt,
+    sequenceIv,
+    summarizeLoudness,
+    toDriveError,
+    uniqueRenditionLabel,
+    uploadSegmentsToStorage,
+    validateActionInput
+}
@@ -3,68 +3,144 @@ import subprocess
 import json
 import sys
 import os
+import signal
+import queue
+import threading
+import uuid
+
+APP_DIR = os.path.dirname(os.path.abspath(__file__))
+DEFAULT_JOB_TIMEOUT = int(os.environ.get('JOB_TIMEOUT_SECONDS', '3600'))
+TIMEOUT_GRACE = 30  # Node enforces the job timeout (and its 20s abort grace); this only catches a hung worker
+READY_TIMEOUT = 60
+
+class NodeWorker:
+    """Long-running `node handler.js --worker` process speaking line-delimited JSON"""
+    
+    def __init__(self):
+        self.proc = None
+        self.lines = None
+        self.lock = threading.Lock()
+    
+    def _read_stdout(self, proc, lines):
+        for line in proc.stdout:
+            lines.put(line)
+        lines.put(None)  # EOF: the worker exited
+    
+    def start(self):
+        if self.proc and self.proc.poll() is None:
+            return
+        self.stop()
+        print("🟢 Starting Node.js worker...")
+        # Own session so stop() can kill FFmpeg children along with the worker
+        self.proc = subprocess.Popen(
+            ['node', 'handler.js', '--worker'],
+            cwd=APP_DIR, stdin=subprocess.PIPE, stdout=subprocess.PIPE,
+            text=True, bufsize=1, start_new_session=True
+        )
+        self.lines = queue.Queue()
+        threading.Thread(target=self._read_stdout, args=(self.proc, self.lines), daemon=True).start()
+        
+        while True:
+            message = self._next_message(READY_TIMEOUT)
+            if message is None:
+                raise RuntimeError("Node.js worker exited before becoming ready")
+            if message.get('type') == 'ready':
+                print(f"✅ Node.js worker ready (pid {message.get('pid')})")
+                return
+            self._print_log(message)
+    
+    def stop(self):
+        if not self.proc:
+            return
+        try:
+            os.killpg(self.proc.pid, signal.SIGKILL)
+        except ProcessLookupError:
+            pass
+        self.proc.wait()
+        self.proc = None
+    
+    def _next_message(self, timeout):
+        line = self.lines.get(timeout=timeout)
+        if line is None:
+            return None
+        try:
+            return json.loads(line)
+        except json.JSONDecodeError:
+            return {'type': 'log', 'level': 'log', 'message': line.rstrip('\n')}
+    
+    def _print_log(self, message):
+        if message.get('type') == 'log':
+            print(message.get('message'))
+    
+    def run(self, event):
+        with self.lock:
+            self.start()
+            job_id = event.get('id') or str(uuid.uuid4())
+            job_input = event.get('input') or {}
+            # maxDurationSeconds is also enforced inside the job; the worker timeout backs it up
+            timeout = job_input.get('timeoutSeconds') or job_input.get('maxDurationSeconds') or DEFAULT_JOB_TIMEOUT
+            self.proc.stdin.write(json.dumps({'id': job_id, 'event': event, 'timeoutSeconds': timeout}) + '\n')
+            self.proc.stdin.flush()
+            
+            while True:
+                try:
+                    message = self._next_message(timeout + TIMEOUT_GRACE)
+                except queue.Empty:
+                    self.stop()
+                    return {"error": f"Handler timeout ({timeout}s exceeded)", "code": "TIMEOUT", "retryable": True, "status": "timed_out"}
+                
+                if message is None:
+                    returncode = self.proc.wait()
+                    self.stop()  # reap anything the worker left running
+                    return {"error": "Node.js worker exited unexpectedly", "code": "WORKER_CRASHED", "retryable": True, "returncode": returncode}
+                
+                kind = message.get('type')
+                if kind == 'log':
+                    self._print_log(message)
+                elif kind == 'progress':
+                    forward_progress(event, message.get('progress') or {})
+                elif kind == 'result' and message.get('id') == job_id:
+                    return message.get('result')
+                elif kind == 'error' and message.get('id') in (job_id, None):
+                    # error, code, retryable, stage (+ ffmpeg excerpt) as reported by the worker
+                    failure = {k: v for k, v in message.items() if k not in ('type', 'id', 'timedOut')}
+                    failure.setdefault('error', 'Unknown error')
+                    if message.get('timedOut'):
+                        self.stop()
+                        return {**failure, "status": "timed_out"}
+                    return failure
+
+    def terminate(self):
+        """Ask the worker to cancel its job and shut down (it has its own session, so signal it directly)"""
+        if self.proc and self.proc.poll() is None:
+            self.proc.send_signal(signal.SIGTERM)
+
+worker = NodeWorker()
+
+def on_sigterm(signum, frame):
+    print("🛑 SIGTERM received, cancelling the running job")
+    worker.terminate()
+    sys.exit(0)
+
+def forward_progress(event, progress):
+    """Forward a progress event from Node.js as a RunPod progress update"""
+    try:
+        print(f"📈 {progress.get('stage')}: {progress.get('percent')}% (overall {progress.get('overallPercent')}%)")
+        if event.get('id'):
+            runpod.serverless.progress_update(event, progress)
+    except Exception as e:
+        print(f"⚠️ Progress update failed: {e}")
 
 def handler(event):
-    """RunPod serverless handler that calls Node.js handler"""
+    """RunPod serverless handler that forwards the job to the persistent Node.js worker"""
     try:
         print(f"🚀 Python wrapper received event: {json.dumps(event, indent=2)}")
-        
-        # Call Node.js handler
-        result = subprocess.run([
-            'node', '-e', f'''
-            import("./handler.js").then(module => {{
-                const handler = module.default;
-                handler({json.dumps(event)}).then(result => {{
-                    console.log("RUNPOD_RESULT:" + JSON.stringify(result));
-                }}).catch(error => {{
-                    console.log("RUNPOD_ERROR:" + JSON.stringify({{
-                        error: error.message,
-                        stack: error.stack
-                    }}));
-                }});
-            }}).catch(error => {{
-                console.log("RUNPOD_ERROR:" + JSON.stringify({{
-                    error: error.message,
-                    stack: error.stack
-                }}));
-            }});
-            '''
-        ], capture_output=True, text=True, timeout=300)  # 5 minute timeout
-        
-        # Parse output
-        stdout = result.stdout
-        stderr = result.stderr
-        
-        print(f"Node.js stdout: {stdout}")
-        if stderr:
-            print(f"Node.js stderr: {stderr}")
-        
-        # Extract result from stdout
-        for line in stdout.split('\n'):
-            if line.startswith('RUNPOD_RESULT:'):
-                result_json = line[14:]  # Remove "RUNPOD_RESULT:" prefix
-                return json.loads(result_json)
-            elif line.startswith('RUNPOD_ERROR:'):
-                error_json = line[13:]  # Remove "RUNPOD_ERROR:" prefix
-                error_data = json.loads(error_json)
-                return {
-                    "error": error_data.get("error", "Unknown error"),
-                    "details": error_data.get("stack", "No stack trace")
-                }
-        
-        # If no structured output found, return raw output
-        return {
-            "error": "No structured output from Node.js handler",
-            "stdout": stdout,
-            "stderr": stderr,
-            "returncode": result.returncode
-        }
-        
-    except subprocess.TimeoutExpired:
-        return {"error": "Handler timeout (5 minutes exceeded)"}
+        return worker.run(event)
     except Exception as e:
         return {
             "error": f"Python wrapper error: {str(e)}",
+            "code": "INTERNAL",
+            "retryable": False,
             "type": type(e).__name__
         }
 
@@ -88,4 +164,6 @@ if __name__ == "__main__":
     else:
         # Start RunPod serverless
         print("🚀 Starting RunPod serverless...")
+        signal.signal(signal.SIGTERM, on_sigterm)
+        worker.start()  # load Node.js and its modules once, before the first job
         runpod.serverless.start({"handler": handler})
@@ -0,0 +1,169 @@
+import './setup.js'
+import { test, before, after, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Jobs run against the stand-in ffmpeg/ffprobe in fixtures/bin and a work root of their own
+const binDir = fileURLToPath(new URL('./fixtures/bin', import.meta.url))
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'abort-test-'))
+process.env.WORK_ROOT = path.join(tempDir, 'work')
+const { default: handler } = await import('../handler.js')
+
+const INPUT_BYTES = 64 * 1024
+const rootDir = path.join(tempDir, 'storage')
+const pidFile = path.join(tempDir, 'child.pid')
+
+// Serves the input; `stall` sends the headers and one chunk, then never finishes
+let server
+let stall = false
+let requests = 0
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        requests++
+        response.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': INPUT_BYTES })
+        if (stall) {
+            response.write(Buffer.alloc(1024))
+        } else {
+            response.end(Buffer.alloc(INPUT_BYTES))
+        }
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+})
+
+after(() => {
+    server.closeAllConnections()
+    server.close()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+})
+
+afterEach(() => {
+    stall = false
+    delete process.env.FAKE_PROBE_MS
+    delete process.env.FAKE_PID_FILE
+    fs.rmSync(rootDir, { recursive: true, force: true })
+    fs.rmSync(pidFile, { force: true })
+})
+
+const encodeEvent = (input = {}) => ({
+    id: 'job-1',
+    input: {
+        action: 'encode',
+        videoUrl: `http://127.0.0.1:${server.address().port}/input.mp4`,
+        md5DriveId: 'abc',
+        storage: { type: 'local', rootDir },
+        output: { uploadToStorage: true, pipelineUpload: true },
+        ...input
+    }
+})
+
+const waitFor = async (condition, timeoutMs = 10000) => {
+    const deadline = Date.now() + timeoutMs
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('condition not met in time')
+        await new Promise(resolve => setTimeout(resolve, 10))
+    }
+}
+
+const storedSegments = () => {
+    const folder = path.join(rootDir, 'abc')
+    return fs.existsSync(folder) ? fs.readdirSync(folder) : []
+}
+
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0)
+        return true
+    } catch {
+        return false
+    }
+}
+
+const workDirs = () => (fs.existsSync(process.env.WORK_ROOT) ? fs.readdirSync(process.env.WORK_ROOT) : [])
+
+test('a cancel during the download returns a cancelled result and removes the work directory', async () => {
+    stall = true
+    const controller = new AbortController()
+    const started = requests
+    const job = handler(encodeEvent(), { signal: controller.signal })
+    await waitFor(() => requests > started)
+    controller.abort()
+    
+    const result = await job
+    assert.equal(result.success, false)
+    assert.equal(result.status, 'cancelled')
+    assert.equal(result.code, 'CANCELLED')
+    assert.equal(result.retryable, false)
+    assert.equal(result.stage, 'download')
+    assert.deepEqual(result.cleanup, { removedObjects: 0 })
+    assert.deepEqual(workDirs(), [])
+})
+
+test('a cancel during the probe kills ffprobe', async () => {
+    process.env.FAKE_PROBE_MS = '30000'
+    process.env.FAKE_PID_FILE = pidFile
+    const controller = new AbortController()
+    const job = handler(encodeEvent(), { signal: controller.signal })
+    await waitFor(() => fs.existsSync(pidFile) && fs.readFileSync(pidFile, 'utf8'))
+    controller.abort()
+    
+    const result = await job
+    assert.equal(result.status, 'cancelled')
+    assert.equal(result.stage, 'analyze')
+    assert.equal(isRunning(Number(fs.readFileSync(pidFile, 'utf8'))), false)
+    assert.deepEqual(workDirs(), [])
+})
+
+test('a cancel during the encode kills FFmpeg and deletes the segments already uploaded', async () => {
+    process.env.FAKE_PID_FILE = pidFile
+    const controller = new AbortController()
+    const job = handler(encodeEvent(), { signal: controller.signal })
+    // The pipeline uploads finished segments while FFmpeg keeps writing
+    await waitFor(() => storedSegments().length >= 2)
+    controller.abort()
+    
+    const result = await job
+    assert.equal(result.status, 'cancelled')
+    assert.equal(result.code, 'CANCELLED')
+    assert.equal(result.stage, 'encode')
+    assert.ok(result.cleanup.removedObjects >= 2, `removedObjects ${result.cleanup.removedObjects}`)
+    assert.deepEqual(storedSegments(), [])
+    assert.equal(isRunning(Number(fs.readFileSync(pidFile, 'utf8'))), false)
+    assert.deepEqual(workDirs(), [])
+})
+
+test('maxDurationSeconds expiry times the job out and deletes its uploads', async () => {
+    process.env.FAKE_PID_FILE = pidFile
+    let uploadedDuringJob = 0
+    const watcher = setInterval(() => {
+        uploadedDuringJob = Math.max(uploadedDuringJob, storedSegments().length)
+    }, 10)
+    const result = await handler(encodeEvent({ maxDurationSeconds: 2 }))
+    clearInterval(watcher)
+    
+    assert.equal(result.success, false)
+    assert.equal(result.status, 'timed_out')
+    assert.equal(result.code, 'TIMEOUT')
+    assert.equal(result.error, 'Job exceeded maxDurationSeconds (2s)')
+    assert.equal(result.stage, 'encode')
+    assert.ok(uploadedDuringJob > 0, 'segments were uploaded before the timeout')
+    assert.ok(result.cleanup.removedObjects >= uploadedDuringJob, `removedObjects ${result.cleanup.removedObjects}`)
+    assert.deepEqual(storedSegments(), [])
+    assert.equal(isRunning(Number(fs.readFileSync(pidFile, 'utf8'))), false)
+    assert.deepEqual(workDirs(), [])
+})
+
+test('an already cancelled job stops before downloading anything', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    const started = requests
+    const result = await handler(encodeEvent(), { signal: controller.signal })
+    assert.equal(result.status, 'cancelled')
+    assert.equal(requests, started)
+    assert.deepEqual(workDirs(), [])
+})
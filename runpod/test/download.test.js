@@ -0,0 +1,214 @@
+import './setup.js'
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import { downloadVideo } from '../handler.js'
+
+// No jitter: retries go out right away
+mock.method(Math, 'random', () => 0)
+
+const VIDEO = Buffer.from(Array.from({ length: 256 * 1024 }, (_, i) => (i * 7) % 251))
+
+// Each test installs its own route; every request is recorded
+let server
+let route
+let requests
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        requests.push({ url: request.url, headers: request.headers })
+        route(request, response, requests.length)
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+})
+
+after(() => {
+    server.closeAllConnections()
+    server.close()
+})
+
+let workDir
+let outputPath
+
+beforeEach(() => {
+    requests = []
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'))
+    outputPath = path.join(workDir, 'input.mp4')
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+const url = () => `http://127.0.0.1:${server.address().port}/video.mp4`
+
+const sendVideo = (response, body = VIDEO, headers = {}) => {
+    response.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length, ...headers })
+    response.end(body)
+}
+
+// Send the first `bytes` of the announced body, then drop the connection
+const sendAndDrop = (response, bytes, status = 200, headers = {}) => {
+    response.writeHead(status, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length, ...headers })
+    response.write(VIDEO.subarray(0, bytes), () => setTimeout(() => response.socket.destroy(), 20))
+}
+
+// 206 for the requested byte range, like a server that supports resuming
+const sendRange = (request, response) => {
+    const start = Number(request.headers.range.match(/^bytes=(\d+)-$/)[1])
+    response.writeHead(206, {
+        'Content-Type': 'video/mp4',
+        'Content-Length': VIDEO.length - start,
+        'Content-Range': `bytes ${start}-${VIDEO.length - 1}/${VIDEO.length}`
+    })
+    response.end(VIDEO.subarray(start))
+}
+
+test('downloads the file with the custom headers and auth and reports its size', async () => {
+    route = (request, response) => sendVideo(response)
+    const sizes = []
+    const progress = []
+    const result = await downloadVideo(url(), outputPath, {
+        headers: { 'X-Api-Key': 'secret' },
+        auth: { type: 'basic', username: 'user', password: 'pass' },
+        onSize: size => sizes.push(size),
+        onProgress: bytes => progress.push(bytes)
+    })
+    assert.deepEqual(result, { source: 'url', contentType: 'video/mp4', size: VIDEO.length, expectedSize: VIDEO.length, resumes: 0 })
+    assert.deepEqual(fs.readFileSync(outputPath), VIDEO)
+    assert.deepEqual(sizes, [VIDEO.length])
+    assert.equal(progress.at(-1), VIDEO.length)
+    assert.equal(requests[0].headers['x-api-key'], 'secret')
+    assert.equal(requests[0].headers.authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`)
+    assert.equal(requests[0].headers.range, undefined)
+})
+
+test('a dropped connection resumes with a Range request from the bytes on disk', async () => {
+    route = (request, response, count) => (count === 1 ? sendAndDrop(response, 100000) : sendRange(request, response))
+    const sizes = []
+    const result = await downloadVideo(url(), outputPath, { onSize: size => sizes.push(size) })
+    assert.equal(result.resumes, 1)
+    assert.equal(requests.length, 2)
+    assert.equal(requests[1].headers.range, 'bytes=100000-')
+    assert.deepEqual(fs.readFileSync(outputPath), VIDEO)
+    // The size is reported once, not again on resume
+    assert.deepEqual(sizes, [VIDEO.length])
+})
+
+test('a server that ignores the Range request is downloaded again from the start', async () => {
+    route = (request, response, count) => (count === 1 ? sendAndDrop(response, 100000) : sendVideo(response))
+    const result = await downloadVideo(url(), outputPath)
+    assert.equal(requests[1].headers.range, 'bytes=100000-')
+    assert.equal(result.resumes, 1)
+    assert.equal(result.size, VIDEO.length)
+    assert.deepEqual(fs.readFileSync(outputPath), VIDEO)
+})
+
+test('gives up after five attempts when the connection keeps dropping', async () => {
+    route = (request, response) => (request.headers.range ? sendAndDrop(response, 0, 206) : sendAndDrop(response, 1000))
+    await assert.rejects(downloadVideo(url(), outputPath), { code: 'DOWNLOAD_FAILED', stage: 'download' })
+    assert.equal(requests.length, 5)
+})
+
+test('an announced size over maxSizeMB is rejected before the body is read', async () => {
+    route = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 3 * 1024 * 1024 })
+        response.write(VIDEO)
+    }
+    await assert.rejects(downloadVideo(url(), outputPath, { maxSizeMB: 2 }), {
+        code: 'INPUT_REJECTED',
+        stage: 'download',
+        retryable: false,
+        message: 'Failed to download video: input is 3MB, over the 2MB limit'
+    })
+    assert.equal(requests.length, 1)
+})
+
+test('a body without a length is cut off once it passes maxSizeMB', async () => {
+    route = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'video/mp4' })
+        // Chunked, no Content-Length: 5 x 256KB against a 1MB limit
+        for (let i = 0; i < 5; i++) response.write(VIDEO)
+        response.end()
+    }
+    await assert.rejects(downloadVideo(url(), outputPath, { maxSizeMB: 1 }), {
+        code: 'INPUT_REJECTED',
+        message: 'Failed to download video: input exceeds the 1MB limit'
+    })
+    assert.equal(requests.length, 1)
+})
+
+test('HTML and JSON responses are rejected as not being a video', async () => {
+    for (const contentType of ['text/html; charset=utf-8', 'application/json']) {
+        requests = []
+        route = (request, response) => sendVideo(response, Buffer.from('<html>Sign in</html>'), { 'Content-Type': contentType })
+        await assert.rejects(downloadVideo(url(), outputPath), {
+            code: 'INPUT_REJECTED',
+            retryable: false,
+            message: `Failed to download video: URL returned ${contentType} instead of a video (error or login page?)`
+        })
+        assert.equal(requests.length, 1, contentType)
+    }
+})
+
+test('HTTP errors map to their codes and only server errors are retried', async () => {
+    for (const [status, code] of [[401, 'INPUT_AUTH'], [403, 'INPUT_AUTH'], [404, 'INPUT_NOT_FOUND'], [400, 'INPUT_REJECTED']]) {
+        requests = []
+        route = (request, response) => {
+            response.writeHead(status)
+            response.end()
+        }
+        await assert.rejects(downloadVideo(url(), outputPath), { code, retryable: false }, String(status))
+        assert.equal(requests.length, 1, String(status))
+    }
+    
+    requests = []
+    route = (request, response, count) => {
+        if (count < 3) {
+            response.writeHead(503)
+            response.end()
+        } else {
+            sendVideo(response)
+        }
+    }
+    const result = await downloadVideo(url(), outputPath)
+    assert.equal(requests.length, 3)
+    assert.equal(result.resumes, 2)
+})
+
+test('the final byte count must match the announced size', async () => {
+    // The resumed range claims a 1000-byte total but sends more than that
+    route = (request, response, count) => {
+        if (count === 1) return sendAndDrop(response, 500, 200, { 'Content-Length': 1000 })
+        response.writeHead(206, { 'Content-Type': 'video/mp4', 'Content-Range': 'bytes 500-999/1000' })
+        response.end(VIDEO.subarray(0, 700))
+    }
+    await assert.rejects(downloadVideo(url(), outputPath), {
+        code: 'DOWNLOAD_FAILED',
+        stage: 'download',
+        message: 'Failed to download video: size mismatch: got 1200 bytes, server announced 1000'
+    })
+})
+
+test('an empty body is rejected', async () => {
+    route = (request, response) => sendVideo(response, Buffer.alloc(0))
+    await assert.rejects(downloadVideo(url(), outputPath), {
+        code: 'INPUT_REJECTED',
+        message: 'Failed to download video: server returned an empty body'
+    })
+})
+
+test('an abort stops the download with the abort reason', async () => {
+    route = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length })
+        response.write(VIDEO.subarray(0, 1000))
+    }
+    const controller = new AbortController()
+    const reason = Object.assign(new Error('Job cancelled'), { status: 'cancelled' })
+    const download = downloadVideo(url(), outputPath, { onProgress: () => controller.abort(reason), signal: controller.signal })
+    await assert.rejects(download, error => error === reason)
+    assert.equal(requests.length, 1)
+})
@@ -0,0 +1,178 @@
+import './setup.js'
+import { test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Readable } from 'stream'
+import { createDriveClient, downloadDriveMedia, toDriveError } from '../handler.js'
+
+// No jitter: retries go out right away
+mock.method(Math, 'random', () => 0)
+
+const VIDEO = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => (i * 13) % 251))
+const VIDEO_MD5 = crypto.createHash('md5').update(VIDEO).digest('hex')
+
+let workDir
+let outputPath
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-download-test-'))
+    outputPath = path.join(workDir, 'input.mp4')
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+// Media responses the way googleapis hands them over: a status and a body stream
+const media = (body, status = 200) => ({ status, data: Readable.from([body]) })
+
+// A body that sends `bytes` and then loses the connection
+const dropped = (bytes, status = 200) => ({
+    status,
+    data: Readable.from((async function* () {
+        yield VIDEO.subarray(0, bytes)
+        await new Promise(resolve => setTimeout(resolve, 20))
+        throw new Error('socket hang up')
+    })())
+})
+
+// Drive API error with its JSON body as a stream, like media requests get it
+const driveError = (status, reason, message = reason) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: Readable.from([JSON.stringify({ error: { errors: [{ reason, message }], message } })]) }
+})
+
+// Records the offset of every request and replies with the next response in line
+const createFetchMedia = (...responses) => {
+    const offsets = []
+    const fetchMedia = async (offset) => {
+        offsets.push(offset)
+        const response = responses.shift()
+        if (response instanceof Error) throw response
+        return typeof response === 'function' ? response(offset) : response
+    }
+    return { fetchMedia, offsets }
+}
+
+test('a dropped transfer resumes from the bytes on disk and passes the MD5 check', async () => {
+    const { fetchMedia, offsets } = createFetchMedia(dropped(20000), offset => media(VIDEO.subarray(offset), 206))
+    const progress = []
+    const result = await downloadDriveMedia(fetchMedia, outputPath, {
+        driveId: 'abc',
+        size: VIDEO.length,
+        md5Checksum: VIDEO_MD5,
+        onProgress: bytes => progress.push(bytes)
+    })
+    assert.deepEqual(result, { size: VIDEO.length, resumes: 1 })
+    assert.deepEqual(offsets, [0, 20000])
+    assert.deepEqual(fs.readFileSync(outputPath), VIDEO)
+    // Progress carries on from the resume offset
+    assert.equal(progress.at(-1), VIDEO.length)
+    assert.ok(progress.every((bytes, index) => index === 0 || bytes >= progress[index - 1]))
+})
+
+test('a 200 to the Range request restarts the file from the beginning', async () => {
+    const { fetchMedia, offsets } = createFetchMedia(dropped(20000), media(VIDEO))
+    const result = await downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length, md5Checksum: VIDEO_MD5 })
+    assert.equal(result.resumes, 1)
+    assert.deepEqual(offsets, [0, 20000])
+    assert.deepEqual(fs.readFileSync(outputPath), VIDEO)
+})
+
+test('an MD5 mismatch fails the download and removes the file', async () => {
+    const corrupted = Buffer.from(VIDEO)
+    corrupted[100] ^= 0xff
+    const { fetchMedia } = createFetchMedia(media(corrupted))
+    await assert.rejects(downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length, md5Checksum: VIDEO_MD5 }), {
+        code: 'DOWNLOAD_FAILED',
+        message: `MD5 mismatch: downloaded ${crypto.createHash('md5').update(corrupted).digest('hex')}, Drive reports ${VIDEO_MD5}`
+    })
+    assert.equal(fs.existsSync(outputPath), false)
+})
+
+test('files without a Drive checksum skip the MD5 check', async () => {
+    const { fetchMedia } = createFetchMedia(media(VIDEO))
+    assert.deepEqual(await downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length }), { size: VIDEO.length, resumes: 0 })
+})
+
+test('a body longer than the size Drive reports fails the size check', async () => {
+    const { fetchMedia } = createFetchMedia(media(Buffer.concat([VIDEO, Buffer.alloc(10)])))
+    await assert.rejects(downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length, md5Checksum: VIDEO_MD5 }), {
+        code: 'DOWNLOAD_FAILED',
+        message: `size mismatch: got ${VIDEO.length + 10} bytes, Drive reports ${VIDEO.length}`
+    })
+})
+
+test('Drive errors that no retry fixes stop the download on the first attempt', async () => {
+    const { fetchMedia, offsets } = createFetchMedia(driveError(403, 'downloadQuotaExceeded'))
+    await assert.rejects(downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length }), {
+        code: 'DOWNLOAD_FAILED',
+        retryable: false,
+        message: 'Drive download quota exceeded for this file, try again later: abc'
+    })
+    assert.deepEqual(offsets, [0])
+})
+
+test('rate limits are retried and a transfer that keeps dropping gives up after five attempts', async () => {
+    const { fetchMedia, offsets } = createFetchMedia(driveError(403, 'userRateLimitExceeded'), dropped(1000), dropped(0, 206), dropped(0, 206), dropped(0, 206))
+    await assert.rejects(downloadDriveMedia(fetchMedia, outputPath, { driveId: 'abc', size: VIDEO.length }), {
+        code: 'DOWNLOAD_FAILED',
+        retryable: true,
+        message: 'socket hang up'
+    })
+    assert.deepEqual(offsets, [0, 0, 1000, 1000, 1000])
+})
+
+test('an abort stops the transfer with the abort reason', async () => {
+    const controller = new AbortController()
+    const reason = Object.assign(new Error('Job cancelled'), { status: 'cancelled' })
+    const { fetchMedia, offsets } = createFetchMedia(dropped(1000), media(VIDEO))
+    const download = downloadDriveMedia(fetchMedia, outputPath, {
+        driveId: 'abc',
+        size: VIDEO.length,
+        onProgress: () => controller.abort(reason),
+        signal: controller.signal
+    })
+    await assert.rejects(download, error => error === reason)
+    assert.deepEqual(offsets, [0])
+})
+
+test('an expired access token is refreshed with the refresh token and client credentials', async () => {
+    const { auth, state } = createDriveClient({
+        access_token: 'expired',
+        refresh_token: 'refresh',
+        client_id: 'client',
+        client_secret: 'secret',
+        expiry_date: Date.now() - 1000
+    })
+    const request = mock.method(auth.transporter, 'request', async () => ({ data: { access_token: 'fresh', expires_in: 3600 } }))
+    assert.equal(state.refreshed, false)
+    
+    assert.equal((await auth.getAccessToken()).token, 'fresh')
+    assert.equal(state.refreshed, true)
+    assert.equal(request.mock.callCount(), 1)
+    const form = new URLSearchParams(request.mock.calls[0].arguments[0].data)
+    assert.equal(form.get('grant_type'), 'refresh_token')
+    assert.equal(form.get('refresh_token'), 'refresh')
+    assert.equal(form.get('client_id'), 'client')
+})
+
+test('tokens that cannot be used or refreshed are INPUT_AUTH errors', async () => {
+    assert.throws(() => createDriveClient({ refresh_token: 'refresh' }), {
+        code: 'INPUT_AUTH',
+        message: 'googleToken needs an access_token, or a refresh_token plus OAuth client credentials'
+    })
+    const expiry = Date.now() - 1000
+    assert.throws(() => createDriveClient({ access_token: 'expired', expiry_date: expiry }), {
+        code: 'INPUT_AUTH',
+        message: `Google access token expired at ${new Date(expiry).toISOString()} and cannot be refreshed (no refresh_token)`
+    })
+    
+    // A revoked refresh token comes back from the token endpoint as invalid_grant
+    const error = await toDriveError(new Error('invalid_grant'), 'abc')
+    assert.equal(error.code, 'INPUT_AUTH')
+    assert.equal(error.message, 'Google token rejected (invalid_grant)')
+    assert.equal(error.retryable, false)
+})
@@ -0,0 +1,30 @@
+import './setup.js'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildLadderArgs, buildSingleArgs, resolveEncodingSettings, resolveRenditionLadder } from '../handler.js'
+
+const SETTINGS = resolveEncodingSettings('medium')
+const maps = (args) => args.flatMap((arg, i) => (arg === '-map' ? [args[i + 1]] : []))
+
+// Cover art (an attached JPEG) in stream 0, the movie in stream 1
+const COVER_ART_FIRST = 1
+
+test('the single-rendition encode maps the video stream the probe picked', () => {
+    const args = buildSingleArgs('input.mkv', 'software', 'h264', SETTINGS, 2, 50, null, null, null, COVER_ART_FIRST)
+    assert.deepEqual(maps(args), ['0:1', '0:a:0?'])
+    
+    // Without a probed index FFmpeg's first video stream is used
+    assert.deepEqual(maps(buildSingleArgs('input.mkv', 'software', 'h264', SETTINGS, 2, 50)), ['0:v:0', '0:a:0?'])
+})
+
+test('the ladder splits the video stream the probe picked', () => {
+    const ladder = resolveRenditionLadder(true, { width: 1920, height: 1080 })
+    for (const pipeline of ['software', 'hybrid', 'gpu']) {
+        const args = buildLadderArgs('input.mkv', ladder, 'h264', pipeline, SETTINGS, 2, 50, true, true, null, null, null, COVER_ART_FIRST)
+        const filterComplex = args[args.indexOf('-filter_complex') + 1]
+        assert.match(filterComplex, /^\[0:1\][^;]*split=/, pipeline)
+        assert.doesNotMatch(filterComplex, /\[0:v\]/, pipeline)
+    }
+    const args = buildLadderArgs('input.mkv', ladder, 'h264', 'software', SETTINGS, 2, 50, true)
+    assert.match(args[args.indexOf('-filter_complex') + 1], /^\[0:v:0\]split=/)
+})
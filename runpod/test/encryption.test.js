@@ -0,0 +1,293 @@
+import './setup.js'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+    addKeyTags,
+    createKeySchedule,
+    createStorageDriver,
+    deliverEncryptionKeys,
+    encryptSegmentFile,
+    encryptTsSamples,
+    mpegCrc32,
+    sequenceIv
+} from '../handler.js'
+import {
+    AUDIO_PID,
+    PMT_PID,
+    TS_PACKET_SIZE,
+    VIDEO_PID,
+    buildSampleSegment,
+    collectPes,
+    escapeNal,
+    parsePackets,
+    pesPayload,
+    splitAdts,
+    splitNals,
+    unescapeNal
+} from './fixtures/mpegts.js'
+
+const KEY = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+const IV = sequenceIv(7)
+
+const decryptBlocks = (data, key = KEY, iv = IV) => {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv).setAutoPadding(false)
+    return Buffer.concat([decipher.update(data), decipher.final()])
+}
+
+const sample = buildSampleSegment()
+const encrypted = encryptTsSamples(sample.ts, KEY, IV)
+const packets = parsePackets(encrypted)
+
+// Apple's SAMPLE-AES layout for an H.264 slice: 32 clear bytes, then one encrypted 16-byte block
+// followed by up to nine clear ones, as long as more than 16 bytes remain
+const encryptedSliceBlocks = (length) => {
+    const offsets = []
+    for (let offset = 32; length - offset > 16; offset += 160) offsets.push(offset)
+    return offsets
+}
+
+test('SAMPLE-AES output is whole, synced 188-byte packets', () => {
+    assert.equal(encrypted.length % TS_PACKET_SIZE, 0)
+    packets.forEach(({ packet }, index) => assert.equal(packet[0], 0x47, `sync byte of packet ${index}`))
+    // PAT and PMT keep their place in front
+    assert.deepEqual(packets.slice(0, 2).map(packet => packet.pid), [0, PMT_PID])
+})
+
+test('continuity counters run on per PID from the first original packet', () => {
+    const original = parsePackets(sample.ts)
+    for (const pid of [VIDEO_PID, AUDIO_PID]) {
+        let expected = original.find(packet => packet.pid === pid).counter
+        for (const packet of packets.filter(packet => packet.pid === pid)) {
+            if (packet.payload) {
+                assert.equal(packet.counter, expected, `PID ${pid}`)
+                expected = (expected + 1) & 0x0f
+            } else {
+                // Packets without payload repeat the previous counter
+                assert.equal(packet.counter, (expected + 15) & 0x0f, `PID ${pid} adaptation-only packet`)
+            }
+        }
+    }
+})
+
+test('the PCR adaptation field and the PCR-only packet are kept', () => {
+    const video = packets.filter(packet => packet.pid === VIDEO_PID)
+    assert.ok(video[0].start)
+    assert.deepEqual([...video[0].adaptation.subarray(0, 8)], [video[0].adaptation[0], 0x50, 1, 2, 3, 4, 5, 6])
+    const pcrOnly = video.find(packet => !packet.payload)
+    assert.deepEqual([...pcrOnly.adaptation.subarray(1, 8)], [0x10, 9, 9, 9, 9, 9, 9])
+})
+
+test('the PMT announces the encrypted stream types and carries a valid CRC', () => {
+    const pmt = packets.find(packet => packet.pid === PMT_PID)
+    const section = pmt.payload.subarray(1 + pmt.payload[0])
+    const end = 3 + (((section[1] & 0x0f) << 8) | section[2])
+    assert.equal(mpegCrc32(section.subarray(0, end - 4)), section.readUInt32BE(end - 4))
+    
+    const streams = []
+    for (let offset = 12 + (((section[10] & 0x0f) << 8) | section[11]); offset < end - 4;) {
+        const infoLength = ((section[offset + 3] & 0x0f) << 8) | section[offset + 4]
+        streams.push({
+            type: section[offset],
+            pid: ((section[offset + 1] & 0x1f) << 8) | section[offset + 2],
+            info: section.subarray(offset + 5, offset + 5 + infoLength)
+        })
+        offset += 5 + infoLength
+    }
+    assert.deepEqual(streams.map(({ type, pid }) => [type, pid]), [[0xdb, VIDEO_PID], [0xcf, AUDIO_PID]])
+    
+    // private_data_indicator descriptors
+    assert.deepEqual(streams[0].info, Buffer.from([0x0f, 4, ...Buffer.from('zavc')]))
+    assert.deepEqual(streams[1].info.subarray(0, 6), Buffer.from([0x0f, 4, ...Buffer.from('aacd')]))
+    // Audio setup information: "apad" registration, "zaac", priming 0, version 1, AudioSpecificConfig
+    // (AAC LC, 44.1 kHz, stereo) taken from the ADTS header
+    assert.deepEqual(streams[1].info.subarray(6), Buffer.from([0x05, 14, ...Buffer.from('apadzaac'), 0, 0, 1, 2, 0x12, 0x10]))
+})
+
+test('H.264 slices follow the 1-in-10 block pattern and everything else stays clear', () => {
+    const units = collectPes(packets, VIDEO_PID)
+    assert.equal(units.length, sample.video.length)
+    let encryptedSlices = 0
+    units.forEach((unit, u) => {
+        const nals = splitNals(pesPayload(unit))
+        assert.equal(nals.length, sample.video[u].length)
+        nals.forEach((nal, n) => {
+            const plain = sample.video[u][n]
+            const type = plain[0] & 0x1f
+            // Emulation prevention is applied to the encrypted bytes again
+            assert.deepEqual(escapeNal(unescapeNal(nal)), nal, `NAL ${u}.${n} is escaped`)
+            const raw = unescapeNal(nal)
+            assert.equal(raw.length, plain.length)
+            
+            const offsets = (type === 1 || type === 5) && raw.length > 48 ? encryptedSliceBlocks(raw.length) : []
+            if (offsets.length === 0) {
+                assert.deepEqual(raw, plain, `NAL ${u}.${n} (type ${type}) stays clear`)
+                return
+            }
+            encryptedSlices++
+            // Clear bytes are untouched, encrypted blocks are CBC-chained within the NAL
+            const isEncrypted = (i) => offsets.some(offset => i >= offset && i < offset + 16)
+            for (let i = 0; i < raw.length; i++) {
+                if (!isEncrypted(i)) assert.equal(raw[i], plain[i], `NAL ${u}.${n} byte ${i} is clear`)
+            }
+            const blocks = Buffer.concat(offsets.map(offset => raw.subarray(offset, offset + 16)))
+            const expected = Buffer.concat(offsets.map(offset => plain.subarray(offset, offset + 16)))
+            assert.notDeepEqual(blocks, expected)
+            assert.deepEqual(decryptBlocks(blocks), expected, `NAL ${u}.${n} decrypts`)
+        })
+    })
+    // The IDR slice and three slices (the 49-byte one gets a single block); the 45-byte slice is too short
+    assert.equal(encryptedSlices, 4)
+})
+
+test('AAC frames keep the header and a 16-byte leader clear and encrypt whole blocks', () => {
+    const [unit] = collectPes(packets, AUDIO_PID)
+    assert.equal(unit.readUInt16BE(4), unit.length - 6, 'PES_packet_length')
+    const frames = splitAdts(pesPayload(unit))
+    assert.equal(frames.length, sample.audioFrames.length)
+    frames.forEach((frame, f) => {
+        const plain = sample.audioFrames[f]
+        const blocks = Math.floor(plain.length / 16) - 1
+        const end = 16 + Math.max(0, blocks) * 16
+        assert.deepEqual(frame.subarray(0, 16), plain.subarray(0, 16), `frame ${f} leader`)
+        assert.deepEqual(frame.subarray(end), plain.subarray(end), `frame ${f} trailer`)
+        if (blocks > 0) {
+            assert.notDeepEqual(frame.subarray(16, end), plain.subarray(16, end))
+            assert.deepEqual(decryptBlocks(frame.subarray(16, end)), plain.subarray(16, end), `frame ${f} decrypts`)
+        } else {
+            assert.deepEqual(frame, plain, `frame ${f} is too short to encrypt`)
+        }
+    })
+})
+
+test('decrypting the samples round-trips to the original elementary streams', () => {
+    const decryptNal = (nal) => {
+        const raw = unescapeNal(nal)
+        const type = raw[0] & 0x1f
+        if ((type !== 1 && type !== 5) || raw.length <= 48) return raw
+        const offsets = encryptedSliceBlocks(raw.length)
+        const plain = decryptBlocks(Buffer.concat(offsets.map(offset => raw.subarray(offset, offset + 16))))
+        offsets.forEach((offset, n) => plain.copy(raw, offset, n * 16, n * 16 + 16))
+        return raw
+    }
+    const original = parsePackets(sample.ts)
+    collectPes(packets, VIDEO_PID).forEach((unit, u) => {
+        const originalUnit = collectPes(original, VIDEO_PID)[u]
+        assert.deepEqual(unit.subarray(0, 9 + unit[8]), originalUnit.subarray(0, 9 + originalUnit[8]), 'PES header')
+        assert.deepEqual(splitNals(pesPayload(unit)).map(decryptNal), sample.video[u])
+    })
+    const [audio] = collectPes(packets, AUDIO_PID)
+    const decryptedFrames = splitAdts(pesPayload(audio)).map(frame => {
+        const raw = Buffer.from(frame)
+        const end = 16 + Math.max(0, Math.floor(raw.length / 16) - 1) * 16
+        if (end > 16) decryptBlocks(raw.subarray(16, end)).copy(raw, 16)
+        return raw
+    })
+    assert.deepEqual(decryptedFrames, sample.audioFrames)
+})
+
+test('a segment that is not MPEG-TS fails the SAMPLE-AES rewrite', () => {
+    assert.throws(() => encryptTsSamples(Buffer.alloc(100), KEY, IV), /not a whole number of 188-byte TS packets/)
+    assert.throws(() => encryptTsSamples(Buffer.alloc(TS_PACKET_SIZE), KEY, IV), /lost TS sync at byte 0/)
+})
+
+let workDir
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'))
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+const writeSegments = (count) => Array.from({ length: count }, (_, i) => {
+    const file = `${String(i).padStart(3, '0')}.ts`
+    const content = crypto.randomBytes(300 + i)
+    fs.writeFileSync(path.join(workDir, file), content)
+    return { file, content }
+})
+
+const PLAYLIST = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:2', '#EXT-X-MEDIA-SEQUENCE:0',
+    ...[0, 1, 2, 3, 4].flatMap(i => ['#EXTINF:2.000000,', `00${i}.ts`]), '#EXT-X-ENDLIST', ''].join('\n')
+
+test('AES-128 rotates keys every rotateEvery segments with the sequence number as IV', () => {
+    const schedule = createKeySchedule({ keyUri: 'https://keys.example.com/{md5DriveId}/{index}/{keyId}', rotateEvery: 2 }, 'abc')
+    const segments = writeSegments(5)
+    segments.forEach(({ file }) => encryptSegmentFile(schedule, workDir, file))
+    
+    assert.equal(schedule.keys.length, 3)
+    assert.deepEqual(schedule.keys.map(key => key.firstSegment), [0, 2, 4])
+    schedule.keys.forEach(({ index, id, uri, key }) => {
+        assert.match(id, /^[0-9a-f]{16}$/)
+        assert.equal(uri, `https://keys.example.com/abc/${index}/${id}`)
+        assert.equal(key.length, 16)
+    })
+    assert.equal(new Set(schedule.keys.map(key => key.key.toString('hex'))).size, 3)
+    
+    segments.forEach(({ file, content }, sequence) => {
+        const ciphertext = fs.readFileSync(path.join(workDir, file))
+        assert.equal(ciphertext.length, (Math.floor(content.length / 16) + 1) * 16, 'PKCS#7 padded')
+        const decipher = crypto.createDecipheriv('aes-128-cbc', schedule.keys[Math.floor(sequence / 2)].key, sequenceIv(sequence))
+        assert.deepEqual(Buffer.concat([decipher.update(ciphertext), decipher.final()]), content, `segment ${sequence}`)
+    })
+    
+    // Encrypting a segment twice (pipelined upload, then the final pass) is a no-op
+    const before = fs.readFileSync(path.join(workDir, segments[0].file))
+    encryptSegmentFile(schedule, workDir, segments[0].file)
+    assert.deepEqual(fs.readFileSync(path.join(workDir, segments[0].file)), before)
+})
+
+test('the sequence IV is the big-endian media sequence number', () => {
+    assert.equal(sequenceIv(0).toString('hex'), '0'.repeat(32))
+    assert.equal(sequenceIv(258).toString('hex'), '0'.repeat(28) + '0102')
+})
+
+test('key tags open every key period in the playlist', () => {
+    const schedule = createKeySchedule({ keyUri: 'https://keys.example.com/{keyId}', rotateEvery: 2 }, 'abc')
+    const lines = addKeyTags(PLAYLIST, schedule).split('\n')
+    const tags = lines.map((line, i) => [line, lines[i + 2]]).filter(([line]) => line.startsWith('#EXT-X-KEY'))
+    assert.deepEqual(tags, schedule.keys.map(({ uri }, index) => [`#EXT-X-KEY:METHOD=AES-128,URI="${uri}"`, `00${index * 2}.ts`]))
+    assert.ok(lines.includes('#EXT-X-VERSION:3'))
+    
+    const single = createKeySchedule({ method: 'SAMPLE-AES', keyUri: 'https://keys.example.com/key' }, 'abc')
+    const tagged = addKeyTags(PLAYLIST, single)
+    assert.equal(tagged.match(/#EXT-X-KEY:METHOD=SAMPLE-AES,URI="https:\/\/keys.example.com\/key"/g).length, 1)
+    assert.match(tagged, /#EXT-X-VERSION:5\n/)
+    assert.equal(single.keys.length, 1)
+})
+
+test('SAMPLE-AES segment files are rewritten in place and failures are ENCODE_FAILED', () => {
+    const schedule = createKeySchedule({ method: 'SAMPLE-AES', keyUri: 'https://keys.example.com/key' }, 'abc')
+    fs.writeFileSync(path.join(workDir, '003.ts'), sample.ts)
+    encryptSegmentFile(schedule, workDir, '003.ts')
+    assert.deepEqual(fs.readFileSync(path.join(workDir, '003.ts')), encryptTsSamples(sample.ts, schedule.keys[0].key, sequenceIv(3)))
+    
+    fs.writeFileSync(path.join(workDir, '004.ts'), Buffer.alloc(100))
+    assert.throws(() => encryptSegmentFile(schedule, workDir, '004.ts'), {
+        code: 'ENCODE_FAILED',
+        stage: 'encode',
+        message: /^SAMPLE-AES encryption of 004.ts failed: segment is not a whole number/
+    })
+})
+
+test('keys are returned in the result or stored privately', async () => {
+    const schedule = createKeySchedule({ keyUri: 'https://keys.example.com/{keyId}', rotateEvery: 1 }, 'abc')
+    schedule.keyAt(1)
+    const transfer = { concurrency: 2, retries: 0, baseDelayMs: 1, maxDelayMs: 1 }
+    
+    const inline = await deliverEncryptionKeys(schedule, { keyPath: 'unused', md5DriveId: 'abc', transfer })
+    assert.deepEqual(inline, schedule.keys.map(({ index, id, uri, firstSegment, key }) => ({ index, id, uri, firstSegment, key: key.toString('hex') })))
+    
+    const keyStorage = createStorageDriver({ type: 'local', rootDir: path.join(workDir, 'keys') })
+    const stored = await deliverEncryptionKeys(schedule, { keyStorage, keyPath: 'keys/{md5DriveId}/{index}-{keyId}.key', md5DriveId: 'abc', transfer })
+    stored.forEach((entry, index) => {
+        const { id, key } = schedule.keys[index]
+        assert.equal(entry.storagePath, `keys/abc/${index}-${id}.key`)
+        assert.equal(entry.key, undefined)
+        assert.deepEqual(fs.readFileSync(path.join(workDir, 'keys', entry.storagePath)), key)
+    })
+})
@@ -0,0 +1,192 @@
+// A small synthetic MPEG-TS segment (PAT, PMT, H.264 video with PCR, AAC audio in ADTS) and the
+// helpers the encryption tests use to take it apart again. Content is pseudo-random but seeded
+import { mpegCrc32 } from '../../handler.js'
+
+export const TS_PACKET_SIZE = 188
+export const PMT_PID = 0x1000
+export const VIDEO_PID = 0x100
+export const AUDIO_PID = 0x101
+
+const seededBytes = (seed) => (length) => {
+    const bytes = Buffer.alloc(length)
+    for (let i = 0; i < length; i++) {
+        seed ^= seed << 13
+        seed ^= seed >>> 17
+        seed ^= seed << 5
+        bytes[i] = seed & 0xff
+    }
+    return bytes
+}
+
+export const escapeNal = (raw) => {
+    const out = []
+    let zeros = 0
+    for (const byte of raw) {
+        if (zeros >= 2 && byte <= 0x03) {
+            out.push(0x03)
+            zeros = 0
+        }
+        out.push(byte)
+        zeros = byte === 0 ? zeros + 1 : 0
+    }
+    return Buffer.from(out)
+}
+
+export const unescapeNal = (nal) => {
+    const out = []
+    let zeros = 0
+    for (const byte of nal) {
+        if (zeros >= 2 && byte === 0x03) {
+            zeros = 0
+            continue
+        }
+        out.push(byte)
+        zeros = byte === 0 ? zeros + 1 : 0
+    }
+    return Buffer.from(out)
+}
+
+// NAL units of an Annex B byte stream, without start codes or trailing zeros
+export const splitNals = (stream) => {
+    const starts = []
+    for (let i = 0; i + 2 < stream.length; i++) {
+        if (stream[i] === 0 && stream[i + 1] === 0 && stream[i + 2] === 1) {
+            starts.push(i + 3)
+            i += 2
+        }
+    }
+    return starts.map((start, n) => {
+        let end = n + 1 < starts.length ? starts[n + 1] - 3 : stream.length
+        while (stream[end - 1] === 0) end--
+        return stream.subarray(start, end)
+    })
+}
+
+// Raw frames of an ADTS stream (headers stripped)
+export const splitAdts = (stream) => {
+    const frames = []
+    for (let offset = 0; offset < stream.length;) {
+        const length = ((stream[offset + 3] & 0x03) << 11) | (stream[offset + 4] << 3) | (stream[offset + 5] >> 5)
+        frames.push(stream.subarray(offset + 7, offset + length))
+        offset += length
+    }
+    return frames
+}
+
+const psiPacket = (pid, body) => {
+    const section = Buffer.concat([body, Buffer.alloc(4)])
+    section.writeUInt32BE(mpegCrc32(body), body.length)
+    const packet = Buffer.alloc(TS_PACKET_SIZE, 0xff)
+    packet.set([0x47, 0x40 | (pid >> 8), pid & 0xff, 0x10, 0])
+    section.copy(packet, 5)
+    return packet
+}
+
+// Split a PES into packets; the first one may carry an adaptation field, the last is stuffed
+const packetize = (pid, pes, counters, firstAdaptation = null) => {
+    const packets = []
+    for (let offset = 0, index = 0; offset < pes.length; index++) {
+        let adaptation = index === 0 ? firstAdaptation : null
+        const room = 184 - (adaptation ? adaptation.length : 0)
+        const size = Math.min(room, pes.length - offset)
+        const stuffing = room - size
+        if (stuffing > 0) {
+            adaptation = adaptation
+                ? Buffer.concat([adaptation, Buffer.alloc(stuffing, 0xff)])
+                : (stuffing === 1 ? Buffer.from([0]) : Buffer.concat([Buffer.from([0, 0]), Buffer.alloc(stuffing - 2, 0xff)]))
+            adaptation[0] = adaptation.length - 1
+        }
+        counters[pid] = (counters[pid] + 1) & 0x0f
+        const header = Buffer.from([0x47, (index === 0 ? 0x40 : 0) | (pid >> 8), pid & 0xff, (adaptation ? 0x30 : 0x10) | counters[pid]])
+        packets.push(Buffer.concat([header, ...(adaptation ? [adaptation] : []), pes.subarray(offset, offset + size)]))
+        offset += size
+    }
+    return packets
+}
+
+const pesHeader = (streamId) => Buffer.from([0, 0, 1, streamId, 0, 0, 0x80, 0x80, 5, 0x21, 0, 1, 0, 1])
+
+export const buildSampleSegment = () => {
+    const random = seededBytes(0x2545f491)
+    // Slice bodies get zero runs so the escaped form has emulation prevention bytes
+    const nal = (type, length) => {
+        const raw = random(length)
+        for (let i = 1; i < length; i += 7) raw[i] = raw[i + 1] = 0
+        raw[0] = type
+        raw[length - 1] = 0x80
+        return raw
+    }
+    const annexB = (nals, startCodes) => Buffer.concat(nals.flatMap((raw, i) => [
+        Buffer.from(startCodes[i] === 4 ? [0, 0, 0, 1] : [0, 0, 1]),
+        escapeNal(raw)
+    ]))
+    
+    // Access unit delimiter, SPS, PPS, IDR slice, slices (one short enough to stay clear), SEI
+    const keyframe = [nal(9, 2), nal(7, 20), nal(8, 5), nal(5, 900), nal(1, 45), nal(1, 300), nal(6, 60), nal(1, 49)]
+    const keyframeStream = annexB(keyframe, [4, 4, 4, 4, 3, 4, 3, 3])
+    const frame = [nal(1, 500)]
+    const frameStream = annexB(frame, [4])
+    
+    const audioFrames = [100, 31, 250, 16].map(length => random(length))
+    const adts = Buffer.concat(audioFrames.map(raw => {
+        const length = raw.length + 7
+        return Buffer.concat([
+            Buffer.from([0xff, 0xf1, 0x50, 0x80 | (length >> 11), (length >> 3) & 0xff, ((length & 0x07) << 5) | 0x1f, 0xfc]),
+            raw
+        ])
+    }))
+    const audioPes = Buffer.concat([pesHeader(0xc0), adts])
+    audioPes.writeUInt16BE(audioPes.length - 6, 4)
+    
+    const pat = psiPacket(0, Buffer.from([0x00, 0xb0, 13, 0, 1, 0xc1, 0, 0, 0, 1, 0xf0 | (PMT_PID >> 8), PMT_PID & 0xff]))
+    const pmt = psiPacket(PMT_PID, Buffer.from([
+        0x02, 0xb0, 23, 0, 1, 0xc1, 0, 0, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0,
+        0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0,
+        0x0f, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0
+    ]))
+    const counters = { [VIDEO_PID]: 6, [AUDIO_PID]: 14 }
+    const pcr = Buffer.from([7, 0x50, 1, 2, 3, 4, 5, 6])
+    const keyframePackets = packetize(VIDEO_PID, Buffer.concat([pesHeader(0xe0), keyframeStream]), counters, pcr)
+    // A PCR-only packet (no payload) in the middle of the keyframe PES
+    const pcrOnly = Buffer.alloc(TS_PACKET_SIZE, 0xff)
+    pcrOnly.set([0x47, VIDEO_PID >> 8, VIDEO_PID & 0xff, 0x20 | counters[VIDEO_PID], 183, 0x10, 9, 9, 9, 9, 9, 9])
+    const audioPackets = packetize(AUDIO_PID, audioPes, counters)
+    const framePackets = packetize(VIDEO_PID, Buffer.concat([pesHeader(0xe0), frameStream]), counters)
+    
+    return {
+        ts: Buffer.concat([pat, pmt, keyframePackets[0], keyframePackets[1], pcrOnly, ...keyframePackets.slice(2), ...audioPackets, ...framePackets]),
+        video: [keyframe, frame],
+        audioFrames
+    }
+}
+
+export const parsePackets = (ts) => {
+    const packets = []
+    for (let offset = 0; offset < ts.length; offset += TS_PACKET_SIZE) {
+        const packet = ts.subarray(offset, offset + TS_PACKET_SIZE)
+        const control = (packet[3] >> 4) & 0x03
+        const adaptationLength = control & 0x02 ? packet[4] + 1 : 0
+        packets.push({
+            packet,
+            pid: ((packet[1] & 0x1f) << 8) | packet[2],
+            start: Boolean(packet[1] & 0x40),
+            counter: packet[3] & 0x0f,
+            adaptation: control & 0x02 ? packet.subarray(4, 4 + adaptationLength) : null,
+            payload: control & 0x01 ? packet.subarray(4 + adaptationLength) : null
+        })
+    }
+    return packets
+}
+
+// Each PES of a PID, reassembled from its packets
+export const collectPes = (packets, pid) => {
+    const units = []
+    for (const packet of packets) {
+        if (packet.pid !== pid || !packet.payload) continue
+        if (packet.start) units.push([])
+        units.at(-1).push(packet.payload)
+    }
+    return units.map(chunks => Buffer.concat(chunks))
+}
+
+export const pesPayload = (pes) => pes.subarray(9 + pes[8])
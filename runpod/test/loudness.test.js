@@ -0,0 +1,131 @@
+import './setup.js'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import {
+    buildLoudnormFilter,
+    buildSingleArgs,
+    parseLoudnormReports,
+    resolveEncodingSettings,
+    resolveLoudnessSettings,
+    summarizeLoudness
+} from '../handler.js'
+
+// FFmpeg stderr with loudnorm's print_format=json summaries
+const readLog = (name) => fs.readFileSync(new URL(`./fixtures/loudnorm/${name}.log`, import.meta.url), 'utf8')
+
+const SETTINGS = resolveLoudnessSettings(true)
+
+// What analyzeLoudness keeps per source: measureLoudness' result and the pass-2 filter (null for silence)
+const analyzed = (stream, channels, log) => {
+    const [report] = parseLoudnormReports(readLog(log))
+    const measured = { ...report.input, targetOffset: report.targetOffset ?? 0 }
+    const filter = measured.integrated === null ? null : buildLoudnormFilter(SETTINGS, measured, channels)
+    return { stream, channels, map: stream === null ? '0:a:0' : `0:${stream}`, measured, filter }
+}
+
+test('parses loudnorm summaries from an FFmpeg log', () => {
+    assert.deepEqual(parseLoudnormReports(readLog('analysis-stereo')), [{
+        input: { integrated: -23.61, truePeak: -4.87, range: 7.2, threshold: -34.05 },
+        output: { integrated: -16.3, truePeak: -1.5, range: 5.9 },
+        normalization: 'dynamic',
+        targetOffset: 0.3
+    }])
+    assert.deepEqual(parseLoudnormReports('frame= 3136 fps=412 q=23.0\n'), [])
+})
+
+test('silence parses to null loudness values', () => {
+    const [report] = parseLoudnormReports(readLog('analysis-silent'))
+    assert.deepEqual(report.input, { integrated: null, truePeak: null, range: 0, threshold: -70 })
+    assert.deepEqual(report.output, { integrated: null, truePeak: null, range: 0 })
+    assert.equal(report.targetOffset, null)
+})
+
+test('multiple output streams report in output order', () => {
+    const reports = parseLoudnormReports(readLog('encode-renditions'))
+    assert.deepEqual(reports.map(report => report.output.integrated), [-16.02, -15.99])
+    assert.deepEqual(reports.map(report => report.normalization), ['linear', 'linear'])
+})
+
+test('pass 2 feeds the measurement back into a linear loudnorm', () => {
+    const { filter } = analyzed(null, 2, 'analysis-stereo')
+    assert.equal(filter, 'aformat=channel_layouts=stereo,loudnorm=I=-16:TP=-1.5:LRA=11' +
+        ':measured_I=-23.61:measured_TP=-4.87:measured_LRA=7.2:measured_thresh=-34.05:offset=0.3:linear=true:print_format=json')
+    
+    // A wider source range raises the LRA target, or loudnorm would compress
+    assert.match(analyzed(1, 6, 'analysis-surround').filter, /^aformat=channel_layouts=5\.1,loudnorm=I=-16:TP=-1\.5:LRA=15:/)
+})
+
+test('summarizes the muxed default track', () => {
+    const analysis = { tracks: [analyzed(null, 2, 'analysis-stereo')] }
+    assert.deepEqual(summarizeLoudness(SETTINGS, analysis, null, parseLoudnormReports(readLog('encode-muxed'))), {
+        target: { integrated: -16, truePeak: -1.5, range: 11 },
+        tracks: [{
+            channels: 2,
+            measured: { integrated: -23.61, truePeak: -4.87, range: 7.2 },
+            output: { integrated: -16.02, truePeak: -2.71, range: 7.1 },
+            normalization: 'linear'
+        }]
+    })
+})
+
+test('summarizes audio renditions and skips silent ones', () => {
+    const tracks = [
+        analyzed(1, 2, 'analysis-stereo'),
+        analyzed(1, 6, 'analysis-surround'),
+        analyzed(2, 2, 'analysis-silent')
+    ]
+    // Renditions share a source's filter; only normalized ones produce an encode report
+    const renditions = [
+        { name: 'audio-en', streamIndex: 1, channels: 2 },
+        { name: 'audio-en-51', streamIndex: 1, channels: 6 },
+        { name: 'audio-fr', streamIndex: 2, channels: 2 }
+    ].map(rendition => ({
+        ...rendition,
+        audioFilter: tracks.find(track => track.stream === rendition.streamIndex && track.channels === rendition.channels).filter
+    }))
+    const summary = summarizeLoudness(SETTINGS, { tracks }, renditions, parseLoudnormReports(readLog('encode-renditions')))
+    
+    assert.deepEqual(summary.tracks, [
+        {
+            stream: 1,
+            channels: 2,
+            measured: { integrated: -23.61, truePeak: -4.87, range: 7.2 },
+            output: { integrated: -16.02, truePeak: -2.71, range: 7.1 },
+            normalization: 'linear'
+        },
+        {
+            stream: 1,
+            channels: 6,
+            measured: { integrated: -27.12, truePeak: -8.33, range: 14.6 },
+            output: { integrated: -15.99, truePeak: -2.84, range: 14.5 },
+            normalization: 'linear'
+        },
+        {
+            stream: 2,
+            channels: 2,
+            measured: { integrated: null, truePeak: null, range: 0 },
+            output: null,
+            normalization: 'skipped'
+        }
+    ])
+})
+
+test('a normalized track without an encode report keeps the measurement only', () => {
+    const analysis = { tracks: [analyzed(null, 2, 'analysis-stereo')] }
+    const [track] = summarizeLoudness(SETTINGS, analysis, null, []).tracks
+    assert.equal(track.output, null)
+    assert.equal(track.normalization, 'linear')
+})
+
+test('the single-rendition encode maps the audio stream loudness analysis measured', () => {
+    const settings = resolveEncodingSettings('medium')
+    const maps = (args) => args.flatMap((arg, i) => (arg === '-map' ? [args[i + 1]] : []))
+    
+    const muxed = buildSingleArgs('input.mp4', 'software', 'h264', { ...settings, audioFilter: 'loudnorm' }, 2, 50, null, null, null, 0)
+    assert.deepEqual(maps(muxed), ['0:0', '0:a:0?'])
+    assert.equal(muxed[muxed.indexOf('-filter:a') + 1], 'loudnorm')
+    
+    const renditions = [{ streamIndex: 2, channels: 2, bitrate: 128 }, { streamIndex: 1, channels: 6, bitrate: 384 }]
+    assert.deepEqual(maps(buildSingleArgs('input.mp4', 'software', 'h264', settings, 2, 50, null, renditions, null, 0)), ['0:0', '0:2', '0:1'])
+})
@@ -0,0 +1,7 @@
+import { mock } from 'node:test'
+
+// The handler logs every step; keep the test output readable
+// Tests that check a log line read it from console.<method>.mock.calls
+mock.method(console, 'log', () => {})
+mock.method(console, 'warn', () => {})
+mock.method(console, 'error', () => {})
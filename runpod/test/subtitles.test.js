@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { segmentWebVtt, uniqueRenditionLabel } from '../handler.js'
+
+const VTT = `WEBVTT
+
+00:00.500 --> 00:01.500
+Hello
+
+00:01.800 --> 00:02.600
+Across boundary
+
+NOTE not a cue
+
+00:05.000 --> 00:05.900
+<i>Late</i>
+`
+
+let workDir
+let vttPath
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-test-'))
+    vttPath = path.join(workDir, 'track.vtt')
+    fs.writeFileSync(vttPath, VTT)
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+const segmentDir = () => path.join(workDir, 'subs-0-en')
+const readSegment = (name) => fs.readFileSync(path.join(segmentDir(), name), 'utf8')
+const durations = (playlistPath) => [...fs.readFileSync(playlistPath, 'utf8').matchAll(/#EXTINF:([\d.]+),/g)].map(match => Number(match[1]))
+
+test('cuts the track into segments covering the video duration', () => {
+    const { playlistPath, segmentCount, cueCount } = segmentWebVtt(vttPath, segmentDir(), 2, 7, 126000)
+    assert.equal(cueCount, 3)
+    assert.equal(segmentCount, 4)
+    assert.deepEqual(durations(playlistPath), [2, 2, 2, 1])
+    assert.match(fs.readFileSync(playlistPath, 'utf8'), /#EXT-X-TARGETDURATION:2\n[\s\S]*#EXT-X-ENDLIST\n$/)
+    
+    // Every segment maps cue time 0 to the video's first PTS
+    assert.match(readSegment('000.vtt'), /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n/)
+    // A cue spanning a boundary is repeated in both segments
+    assert.match(readSegment('000.vtt'), /Hello[\s\S]*Across boundary/)
+    assert.match(readSegment('001.vtt'), /Across boundary/)
+    assert.doesNotMatch(readSegment('001.vtt'), /Hello/)
+    assert.match(readSegment('002.vtt'), /Late/)
+    assert.doesNotMatch(readSegment('003.vtt'), /-->/)
+})
+
+test('runs to the end of the last cue when the video duration is unknown', () => {
+    for (const totalDuration of [null, undefined, 0, NaN]) {
+        const { playlistPath, segmentCount } = segmentWebVtt(vttPath, segmentDir(), 2, totalDuration, 0)
+        assert.equal(segmentCount, 3)
+        assert.deepEqual(durations(playlistPath), [2, 2, 1.9])
+        assert.match(readSegment('002.vtt'), /Late/)
+    }
+})
+
+test('a track without cues and duration still gets one segment of segmentDuration', () => {
+    fs.writeFileSync(vttPath, 'WEBVTT\n\n')
+    const { playlistPath, segmentCount, cueCount } = segmentWebVtt(vttPath, segmentDir(), 4, null, 0)
+    assert.equal(cueCount, 0)
+    assert.equal(segmentCount, 1)
+    assert.deepEqual(durations(playlistPath), [4])
+})
+
+test('rendition labels stay unique within a group', () => {
+    const labels = new Set()
+    assert.equal(uniqueRenditionLabel(null, 'en', 'Track 1', labels), 'English')
+    assert.equal(uniqueRenditionLabel('English (3)', null, 'Track 2', labels), 'English (3)')
+    assert.equal(uniqueRenditionLabel(null, 'en', 'Track 3', labels), 'English (2)')
+    assert.equal(uniqueRenditionLabel(null, 'en', 'Track 4', labels), 'English (4)')
+    assert.equal(uniqueRenditionLabel('Director "cut"', null, 'Track 5', labels), "Director 'cut'")
+    assert.equal(uniqueRenditionLabel(null, null, 'Track 6', labels), 'Track 6')
+    assert.equal(labels.size, 6)
+})
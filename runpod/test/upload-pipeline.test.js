@@ -0,0 +1,224 @@
+import './setup.js'
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createSegmentUploadPipeline, createStorageDriver } from '../handler.js'
+
+const TRANSFER = { concurrency: 2, retries: 0, baseDelayMs: 1, maxDelayMs: 1 }
+
+let workDir
+let segmentDir
+let rootDir
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'))
+    segmentDir = path.join(workDir, 'output', 'ts')
+    rootDir = path.join(workDir, 'storage')
+    fs.mkdirSync(segmentDir, { recursive: true })
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+const writeSegments = (count, content = 'segment') => {
+    for (let i = 0; i < count; i++) {
+        fs.writeFileSync(path.join(segmentDir, `${i}.ts`), `${content}-${i}`)
+    }
+}
+
+const stored = () => {
+    const folder = path.join(rootDir, 'abc')
+    return fs.existsSync(folder) ? fs.readdirSync(folder).sort() : []
+}
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('condition not met in time')
+        await new Promise(resolve => setTimeout(resolve, 5))
+    }
+}
+
+// Local driver that records how many puts run at once and can delay or fail them
+const createTestStorage = ({ delayMs = 0, failOn = null } = {}) => {
+    const driver = createStorageDriver({ type: 'local', rootDir })
+    const stats = { active: 0, maxActive: 0, puts: [] }
+    return {
+        stats,
+        storage: {
+            ...driver,
+            put: async (remotePath, body, headers) => {
+                stats.active++
+                stats.maxActive = Math.max(stats.maxActive, stats.active)
+                try {
+                    await new Promise(resolve => setTimeout(resolve, delayMs))
+                    if (failOn && remotePath.endsWith(failOn)) {
+                        const error = new Error('Access denied')
+                        error.status = 403
+                        throw error
+                    }
+                    await driver.put(remotePath, body, headers)
+                    stats.puts.push(remotePath)
+                } finally {
+                    stats.active--
+                }
+            }
+        }
+    }
+}
+
+const createPipeline = (storage, options = {}) => createSegmentUploadPipeline(
+    [{ segmentDir, folder: 'abc' }],
+    { storage, fakeExtensions: false, transfer: TRANSFER },
+    { pollMs: 10, ...options }
+)
+
+test('uploads finished segments during the encode and the newest one on finish', async () => {
+    const { storage } = createTestStorage()
+    const pipeline = createPipeline(storage)
+    const startedAt = Date.now()
+    pipeline.start()
+    writeSegments(3)
+    
+    // The newest segment may still be written by FFmpeg
+    await waitFor(() => stored().length === 2)
+    assert.deepEqual(stored(), ['0.ts', '1.ts'])
+    
+    const { uploaded, stats } = await pipeline.finish(startedAt)
+    assert.deepEqual(stored(), ['0.ts', '1.ts', '2.ts'])
+    assert.equal(fs.readFileSync(path.join(rootDir, 'abc', '2.ts'), 'utf8'), 'segment-2')
+    
+    const records = uploaded.get(segmentDir)
+    assert.deepEqual([...records.keys()].sort(), ['0.ts', '1.ts', '2.ts'])
+    assert.equal(records.get('0.ts').url, `file://${path.join(rootDir, 'abc', '0.ts')}`)
+    assert.equal(records.get('0.ts').remotePath, undefined)
+    assert.equal(stats.totalSegments, 3)
+    assert.equal(stats.segmentsDuringEncode, 2)
+})
+
+test('never runs more uploads at once than transfer.concurrency', async () => {
+    const { storage, stats } = createTestStorage({ delayMs: 20 })
+    writeSegments(8)
+    const pipeline = createPipeline(storage)
+    
+    const result = await pipeline.finish(Date.now())
+    assert.equal(stats.maxActive, TRANSFER.concurrency)
+    assert.equal(stats.puts.length, 8)
+    assert.equal(result.stats.totalSegments, 8)
+    assert.equal(result.stats.segmentsDuringEncode, 0)
+})
+
+test('runs the prepare hook on each segment before it is uploaded', async () => {
+    const { storage } = createTestStorage()
+    writeSegments(2)
+    const prepared = []
+    const pipeline = createPipeline(storage, {
+        prepare: async (dir, file) => {
+            prepared.push(file)
+            fs.writeFileSync(path.join(dir, file), `prepared-${file}`)
+        }
+    })
+    
+    await pipeline.finish(Date.now())
+    assert.deepEqual(prepared.sort(), ['0.ts', '1.ts'])
+    assert.equal(fs.readFileSync(path.join(rootDir, 'abc', '1.ts'), 'utf8'), 'prepared-1.ts')
+})
+
+test('uses fake extensions for the uploaded object names', async () => {
+    const { storage } = createTestStorage()
+    writeSegments(2)
+    const pipeline = createSegmentUploadPipeline(
+        [{ segmentDir, folder: 'abc' }],
+        { storage, fakeExtensions: true, transfer: TRANSFER },
+        { pollMs: 10 }
+    )
+    
+    const { uploaded } = await pipeline.finish(Date.now())
+    const names = [...uploaded.get(segmentDir).values()].map(segment => segment.fileName)
+    assert.equal(names.length, 2)
+    names.forEach(name => assert.doesNotMatch(name, /\.ts$/))
+    assert.deepEqual(stored(), names.sort())
+})
+
+test('restart removes what a failed attempt uploaded and uploads the retry from scratch', async () => {
+    const { storage } = createTestStorage()
+    const pipeline = createPipeline(storage)
+    const startedAt = Date.now()
+    pipeline.start()
+    writeSegments(3, 'first')
+    await waitFor(() => stored().length === 2)
+    
+    // The fallback encode rewrites every segment
+    fs.rmSync(segmentDir, { recursive: true })
+    fs.mkdirSync(segmentDir)
+    await pipeline.restart()
+    assert.deepEqual(stored(), [])
+    
+    writeSegments(2, 'second')
+    const { uploaded, stats } = await pipeline.finish(startedAt)
+    assert.deepEqual(stored(), ['0.ts', '1.ts'])
+    assert.equal(fs.readFileSync(path.join(rootDir, 'abc', '0.ts'), 'utf8'), 'second-0')
+    assert.equal(uploaded.get(segmentDir).size, 2)
+    assert.equal(stats.totalSegments, 2)
+})
+
+test('abort stops watching and removes every uploaded segment', async () => {
+    const { storage, stats } = createTestStorage()
+    const pipeline = createPipeline(storage)
+    pipeline.start()
+    writeSegments(3)
+    await waitFor(() => stored().length === 2)
+    
+    await pipeline.abort()
+    assert.deepEqual(stored(), [])
+    
+    // Nothing is picked up after the abort
+    writeSegments(5)
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.equal(stats.puts.length, 2)
+    assert.deepEqual(stored(), [])
+})
+
+test('a failed upload fails finish with STORAGE_FAILED and cleans up the rest', async () => {
+    const { storage } = createTestStorage({ failOn: '2.ts' })
+    writeSegments(4)
+    const pipeline = createPipeline(storage)
+    
+    await assert.rejects(pipeline.finish(Date.now()), (error) => {
+        assert.equal(error.code, 'STORAGE_FAILED')
+        assert.equal(error.stage, 'upload')
+        assert.match(error.message, /abc\/2\.ts: Access denied/)
+        return true
+    })
+    assert.deepEqual(stored(), [])
+})
+
+test('reports how much upload time overlapped the encode', async () => {
+    const { storage } = createTestStorage({ delayMs: 100 })
+    const pipeline = createPipeline(storage)
+    const startedAt = Date.now()
+    pipeline.start()
+    writeSegments(3)
+    await waitFor(() => stored().length === 2)
+    
+    const { stats } = await pipeline.finish(startedAt)
+    assert.equal(stats.enabled, true)
+    assert.equal(stats.segmentsDuringEncode, 2)
+    assert.ok(stats.overlapSeconds >= 0.1, `overlapSeconds ${stats.overlapSeconds}`)
+    assert.ok(stats.uploadSecondsAfterEncode >= 0.1, `uploadSecondsAfterEncode ${stats.uploadSecondsAfterEncode}`)
+    assert.ok(stats.overlapPercent > 0 && stats.overlapPercent < 100, `overlapPercent ${stats.overlapPercent}`)
+})
+
+test('segment and playlist URLs use the top-level cdnDomains first', () => {
+    const config = { type: 'local', rootDir, cdnDomain: 'cdn.example.com', cdnDomainSegments: 'segments.example.com' }
+    const storage = createStorageDriver(config, { m3u8: 'playlists.example.net', segments: 'segments.example.net' })
+    assert.equal(storage.urlFor('abc/0.ts', 'segment'), 'https://segments.example.net/abc/0.ts')
+    assert.equal(storage.urlFor('abc/master.m3u8', 'playlist'), 'https://playlists.example.net/abc/master.m3u8')
+    
+    const fallback = createStorageDriver(config)
+    assert.equal(fallback.urlFor('abc/0.ts', 'segment'), 'https://segments.example.com/abc/0.ts')
+    assert.equal(fallback.urlFor('abc/master.m3u8', 'playlist'), 'https://cdn.example.com/abc/master.m3u8')
+})
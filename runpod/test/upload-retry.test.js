@@ -0,0 +1,188 @@
+import './setup.js'
+import { test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createStorageDriver, putObjectWithRetry, resolveUploadOptions, uploadSegmentsToStorage } from '../handler.js'
+
+const TRANSFER = { concurrency: 2, retries: 3, baseDelayMs: 1, maxDelayMs: 1 }
+
+let workDir
+let segmentDir
+let rootDir
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-retry-test-'))
+    segmentDir = path.join(workDir, 'ts')
+    rootDir = path.join(workDir, 'storage')
+    fs.mkdirSync(segmentDir)
+    console.warn.mock.resetCalls()
+})
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+const writeSegment = (name, content = `segment-${name}`) => {
+    fs.writeFileSync(path.join(segmentDir, name), content)
+    return path.join(segmentDir, name)
+}
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status })
+
+// Local driver whose puts fail with the errors queued per remote path, then succeed
+const createFlakyStorage = (failures = {}) => {
+    const driver = createStorageDriver({ type: 'local', rootDir })
+    const calls = []
+    return {
+        calls,
+        storage: {
+            ...driver,
+            put: async (remotePath, body, headers) => {
+                calls.push({ remotePath, headers })
+                const error = failures[remotePath]?.shift()
+                if (error) throw error
+                await driver.put(remotePath, body, headers)
+            }
+        }
+    }
+}
+
+const retryDelays = () => console.warn.mock.calls
+    .map(call => call.arguments[0].match(/retry (\d+)\/(\d+) in (\d+)ms/))
+    .filter(Boolean)
+    .map(([, retry, , delay]) => [Number(retry), Number(delay)])
+
+test('transient failures are retried and the retry count is returned', async () => {
+    const file = writeSegment('000.ts')
+    const { storage, calls } = createFlakyStorage({
+        'abc/000.ts': [httpError(503), new Error('socket hang up'), httpError(429)]
+    })
+    assert.equal(await putObjectWithRetry(storage, 'abc/000.ts', file, { contentType: 'video/mp2t' }, TRANSFER), 3)
+    assert.equal(calls.length, 4)
+    assert.equal(fs.readFileSync(path.join(rootDir, 'abc', '000.ts'), 'utf8'), 'segment-000.ts')
+})
+
+test('every attempt sends the Content-MD5 of the body', async () => {
+    const file = writeSegment('000.ts')
+    const expected = crypto.createHash('md5').update('segment-000.ts').digest('base64')
+    const { storage, calls } = createFlakyStorage({ 'abc/000.ts': [httpError(500)] })
+    await putObjectWithRetry(storage, 'abc/000.ts', file, { contentType: 'video/mp2t', cacheControl: 'no-cache' }, TRANSFER)
+    calls.forEach(({ headers }) => {
+        assert.equal(headers.contentMD5, expected)
+        assert.equal(headers.contentType, 'video/mp2t')
+        assert.equal(headers.cacheControl, 'no-cache')
+    })
+    
+    // Buffers are hashed the same way as files
+    await putObjectWithRetry(storage, 'abc/playlist.m3u8', Buffer.from('segment-000.ts'), {}, TRANSFER)
+    assert.equal(calls.at(-1).headers.contentMD5, expected)
+})
+
+test('a corrupted write fails the Content-MD5 check and is uploaded again', async () => {
+    const file = writeSegment('000.ts')
+    const driver = createStorageDriver({ type: 'local', rootDir })
+    let attempts = 0
+    const storage = {
+        ...driver,
+        // The first attempt loses the last byte on the way
+        put: (remotePath, body, headers) => driver.put(remotePath, attempts++ === 0 ? fs.readFileSync(body).subarray(0, -1) : body, headers)
+    }
+    assert.equal(await putObjectWithRetry(storage, 'abc/000.ts', file, {}, TRANSFER), 1)
+    assert.match(console.warn.mock.calls[0].arguments[0], /Content-MD5 mismatch for abc\/000\.ts/)
+    assert.equal(fs.readFileSync(path.join(rootDir, 'abc', '000.ts'), 'utf8'), 'segment-000.ts')
+})
+
+test('client errors fail straight away as non-retryable STORAGE_FAILED', async () => {
+    const file = writeSegment('000.ts')
+    const { storage, calls } = createFlakyStorage({ 'abc/000.ts': [httpError(403, 'Access denied')] })
+    await assert.rejects(putObjectWithRetry(storage, 'abc/000.ts', file, {}, TRANSFER), {
+        code: 'STORAGE_FAILED',
+        stage: 'upload',
+        retryable: false,
+        message: 'abc/000.ts: Access denied'
+    })
+    assert.equal(calls.length, 1)
+})
+
+test('giving up after the last retry reports the attempts and stays retryable', async () => {
+    const file = writeSegment('000.ts')
+    const last = httpError(502, 'Bad gateway')
+    const { storage, calls } = createFlakyStorage({ 'abc/000.ts': [httpError(500), httpError(503), httpError(504), last] })
+    await assert.rejects(putObjectWithRetry(storage, 'abc/000.ts', file, {}, TRANSFER), (error) => {
+        assert.equal(error.code, 'STORAGE_FAILED')
+        assert.equal(error.retryable, true)
+        assert.equal(error.message, 'abc/000.ts: Bad gateway (after 4 attempts)')
+        assert.equal(error.cause, last)
+        return true
+    })
+    assert.equal(calls.length, 4)
+    
+    // retries: 0 makes a single attempt
+    const { storage: once, calls: onceCalls } = createFlakyStorage({ 'abc/000.ts': [httpError(500, 'Internal error')] })
+    await assert.rejects(putObjectWithRetry(once, 'abc/000.ts', file, {}, { ...TRANSFER, retries: 0 }), { message: 'abc/000.ts: Internal error' })
+    assert.equal(onceCalls.length, 1)
+})
+
+test('the backoff doubles from baseDelayMs up to maxDelayMs with full jitter', async () => {
+    const file = writeSegment('000.ts')
+    const transfer = { ...TRANSFER, retries: 4, baseDelayMs: 10, maxDelayMs: 30 }
+    const failures = () => ({ 'abc/000.ts': [1, 2, 3, 4].map(() => httpError(503)) })
+    
+    const random = mock.method(Math, 'random', () => 0.5)
+    try {
+        await putObjectWithRetry(createFlakyStorage(failures()).storage, 'abc/000.ts', file, {}, transfer)
+        // Half of 10, 20, 30 (capped from 40), 30 (capped from 80)
+        assert.deepEqual(retryDelays(), [[1, 5], [2, 10], [3, 15], [4, 15]])
+        
+        console.warn.mock.resetCalls()
+        random.mock.mockImplementation(() => 0)
+        await putObjectWithRetry(createFlakyStorage(failures()).storage, 'abc/000.ts', file, {}, transfer)
+        assert.deepEqual(retryDelays(), [[1, 0], [2, 0], [3, 0], [4, 0]])
+    } finally {
+        random.mock.restore()
+    }
+})
+
+test('an abort during the backoff stops the retries with the abort reason', async () => {
+    const file = writeSegment('000.ts')
+    const controller = new AbortController()
+    const reason = Object.assign(new Error('Job cancelled'), { status: 'cancelled' })
+    const { storage, calls } = createFlakyStorage({ 'abc/000.ts': [httpError(503), httpError(503)] })
+    const upload = putObjectWithRetry(storage, 'abc/000.ts', file, {}, { ...TRANSFER, baseDelayMs: 60000, maxDelayMs: 60000, signal: controller.signal })
+    setTimeout(() => controller.abort(reason), 20)
+    await assert.rejects(upload, error => error === reason)
+    assert.equal(calls.length, 1)
+})
+
+test('segments in the pool report their own retry counts', async () => {
+    const files = ['000.ts', '001.ts', '002.ts', '003.ts']
+    files.forEach(file => writeSegment(file))
+    const { storage, calls } = createFlakyStorage({
+        'abc/001.ts': [httpError(503)],
+        'abc/003.ts': [httpError(500), new Error('ECONNRESET')]
+    })
+    const segments = await uploadSegmentsToStorage(segmentDir, files, storage, false, 'abc', TRANSFER)
+    assert.deepEqual(segments.map(segment => [segment.fileName, segment.retries]), [['000.ts', 0], ['001.ts', 1], ['002.ts', 0], ['003.ts', 2]])
+    assert.equal(calls.length, 7)
+    assert.deepEqual(fs.readdirSync(path.join(rootDir, 'abc')).sort(), files)
+})
+
+test('a segment that keeps failing fails the pool with STORAGE_FAILED', async () => {
+    const files = ['000.ts', '001.ts']
+    files.forEach(file => writeSegment(file))
+    const { storage } = createFlakyStorage({ 'abc/001.ts': [httpError(404, 'NoSuchBucket')] })
+    await assert.rejects(uploadSegmentsToStorage(segmentDir, files, storage, false, 'abc', TRANSFER), {
+        code: 'STORAGE_FAILED',
+        stage: 'upload',
+        retryable: false,
+        message: 'Failed to upload segments to local storage: abc/001.ts: NoSuchBucket'
+    })
+})
+
+test('upload options default and take the output overrides', () => {
+    assert.deepEqual(resolveUploadOptions(), { concurrency: 4, retries: 3, baseDelayMs: 500, maxDelayMs: 8000 })
+    assert.deepEqual(resolveUploadOptions({ uploadConcurrency: 8, uploadRetries: 0 }), { concurrency: 8, retries: 0, baseDelayMs: 500, maxDelayMs: 8000 })
+})
@@ -0,0 +1,192 @@
+import './setup.js'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveEncodingSettings, resolveRenditionLadder, resolveSegmentType, resolveUploadOptions, validateActionInput } from '../handler.js'
+
+const encode = (fields = {}) => ({ action: 'encode', videoUrl: 'https://example.com/video.mp4', md5DriveId: 'abc', ...fields })
+
+// Violations of an input that must fail validation, as "path: message" strings
+const violationsOf = (input) => {
+    try {
+        validateActionInput(input)
+    } catch (error) {
+        assert.equal(error.code, 'INPUT_INVALID')
+        assert.equal(error.stage, 'validate')
+        return error.violations.map(({ path, message }) => `${path}: ${message}`)
+    }
+    assert.fail('expected the input to be rejected')
+}
+
+const warningsOf = (input) => validateActionInput(input).warnings.map(({ path, message }) => `${path}: ${message}`)
+
+test('accepts a minimal encode input', () => {
+    assert.deepEqual(validateActionInput(encode()), { warnings: [] })
+})
+
+test('rejects a non-object input', () => {
+    assert.deepEqual(violationsOf('encode'), ['input: expected an object, got string'])
+})
+
+test('leaves actions without a schema to the dispatcher', () => {
+    assert.deepEqual(validateActionInput({ action: 'transcode', anything: 1 }), { warnings: [] })
+})
+
+test('reports every per-field violation with its path at once', () => {
+    const input = encode({
+        md5DriveId: '../etc',
+        quality: 'ultra',
+        segments: { duration: '2' },
+        encoding: { cq: 60, nvencPreset: 'p9' },
+        output: { uploadConcurrency: 0 }
+    })
+    assert.deepEqual(violationsOf(input), [
+        'md5DriveId: must be a single path segment (letters, digits, ".", "_", "-") (got "../etc")',
+        'quality: must be one of high, medium, low (got "ultra")',
+        'encoding.cq: must be at most 51 (got 60)',
+        'encoding.nvencPreset: must be one of p1, p2, p3, p4, p5, p6, p7 (got "p9")',
+        'segments.duration: expected number, got string',
+        'output.uploadConcurrency: must be at least 1 (got 0)'
+    ])
+})
+
+test('the error message summarizes the violations', () => {
+    assert.throws(() => validateActionInput(encode({ videoUrl: 'ftp://host/video.mp4' })), {
+        code: 'INPUT_INVALID',
+        message: 'Invalid encode input (1 problem): videoUrl: must be an http(s) URL (got "ftp://host/video.mp4")'
+    })
+})
+
+test('reports missing required fields', () => {
+    const { md5DriveId, ...input } = encode()
+    assert.deepEqual(violationsOf(input), ['md5DriveId: is required'])
+    assert.deepEqual(violationsOf(encode({ progressWebhook: { headers: {} } })), ['progressWebhook.url: is required'])
+})
+
+test('treats null like an absent field', () => {
+    assert.deepEqual(validateActionInput(encode({ storage: null, renditions: null })), { warnings: [] })
+})
+
+test('unknown fields are warnings with a suggestion', () => {
+    assert.deepEqual(warningsOf(encode({ segments: { duraton: 4 } })), ['segments.duraton: unknown field (did you mean "duration"?)'])
+    assert.deepEqual(warningsOf(encode({ colour: {} })), ['colour: unknown field (did you mean "color"?)'])
+})
+
+test('unknownFields: "reject" turns unknown fields into violations', () => {
+    assert.deepEqual(violationsOf(encode({ unknownFields: 'reject', qualty: 'high' })), ['qualty: unknown field (did you mean "quality"?)'])
+})
+
+test('allowUnknown and value maps accept extra keys', () => {
+    const input = encode({
+        googleToken: { access_token: 'token', id_token: 'extra' },
+        download: { headers: { 'X-Token': 'secret' } }
+    })
+    assert.deepEqual(warningsOf(input), [])
+    assert.deepEqual(violationsOf(encode({ download: { headers: { 'X-Count': 1 } } })), ['download.headers.X-Count: expected string, got integer'])
+})
+
+test('oneOf picks the alternative by the value type', () => {
+    assert.deepEqual(warningsOf(encode({ progressWebhook: 'https://example.com/hook' })), [])
+    assert.deepEqual(warningsOf(encode({ progressWebhook: { url: 'https://example.com/hook' } })), [])
+    assert.deepEqual(violationsOf(encode({ progressWebhook: 42 })), ['progressWebhook: expected string or object, got integer'])
+    assert.deepEqual(violationsOf(encode({ renditions: [{ height: 100, bitrate: 500 }] })), ['renditions[0].height: must be at least 144 (got 100)'])
+})
+
+test('renditions accepts true, false or a list of rungs', () => {
+    assert.deepEqual(warningsOf(encode({ renditions: true })), [])
+    assert.deepEqual(warningsOf(encode({ renditions: false })), [])
+    assert.deepEqual(warningsOf(encode({ renditions: ['720p', { name: 'tiny', height: 240, bitrate: 400 }] })), [])
+    assert.deepEqual(violationsOf(encode({ renditions: [] })), ['renditions: needs at least 1 item(s)'])
+    assert.deepEqual(violationsOf(encode({ renditions: [{ name: 'custom' }] })), ['renditions[0]: needs height and bitrate unless name is one of 1080p, 720p, 480p, 360p'])
+})
+
+test('encoding.level is bounded to 6.2 as a string and as a number', () => {
+    for (const level of ['1', '4.1', '5.2', '6', '6.2', 4.1, 6.2]) {
+        assert.deepEqual(warningsOf(encode({ encoding: { level } })), [], `level ${JSON.stringify(level)}`)
+    }
+    assert.deepEqual(violationsOf(encode({ encoding: { level: '9.9' } })), ['encoding.level: must be a level from "1" to "6.2" like "4.1" (got "9.9")'])
+    assert.deepEqual(violationsOf(encode({ encoding: { level: '6.3' } })), ['encoding.level: must be a level from "1" to "6.2" like "4.1" (got "6.3")'])
+    assert.deepEqual(violationsOf(encode({ encoding: { level: '0' } })), ['encoding.level: must be a level from "1" to "6.2" like "4.1" (got "0")'])
+    assert.deepEqual(violationsOf(encode({ encoding: { level: 6.3 } })), ['encoding.level: must be at most 6.2 (got 6.3)'])
+})
+
+test('segments without a duration pass and validation leaves the input as it was', () => {
+    const input = encode({ segments: { format: 'fmp4' } })
+    assert.deepEqual(validateActionInput(input), { warnings: [] })
+    assert.deepEqual(input.segments, { format: 'fmp4' })
+    
+    assert.deepEqual(violationsOf(encode({ segments: { duration: 0.5 } })), ['segments.duration: must be at least 1 (got 0.5)'])
+})
+
+test('storage variants are picked by type', () => {
+    assert.deepEqual(warningsOf(encode({ storage: { type: 'local', rootDir: '/mnt/out' } })), [])
+    assert.deepEqual(violationsOf(encode({ storage: { type: 's3', bucket: 'videos' } })), [
+        'storage.accessKeyId: is required',
+        'storage.secretAccessKey: is required'
+    ])
+    assert.deepEqual(violationsOf(encode({ storage: { type: 'gcs' } })), ['storage.type: must be one of oss, s3, local (got "gcs")'])
+    assert.deepEqual(violationsOf(encode({ storage: { bucket: 'videos' } })), ['storage.type: is required (one of oss, s3, local)'])
+    assert.deepEqual(warningsOf(encode({ storage: { type: 'local', rootDir: '/mnt/out', bucket: 'videos' } })), ['storage.bucket: unknown field'])
+})
+
+test('input source rules', () => {
+    const { videoUrl, ...noSource } = encode()
+    assert.deepEqual(violationsOf(noSource), ['videoUrl: either videoUrl or driveId is required'])
+    assert.deepEqual(violationsOf({ ...noSource, driveId: 'file-1' }), ['googleToken: is required when driveId is set'])
+    assert.deepEqual(violationsOf({ ...noSource, driveId: 'file-1', googleToken: { scope: 'drive' } }), ['googleToken.access_token: is required unless a refresh_token is given'])
+    assert.deepEqual(warningsOf(encode({ driveId: 'file-1', googleToken: { refresh_token: 'r' } })), ['videoUrl: ignored because driveId is set'])
+    assert.deepEqual(violationsOf({ action: 'probe' }), ['videoUrl: either videoUrl or driveId is required'])
+})
+
+test('storage and output rules', () => {
+    assert.deepEqual(violationsOf(encode({ output: { uploadToStorage: true } })), ['storage: is required when output.uploadToStorage is true (or pass ossConfig)'])
+    assert.deepEqual(violationsOf(encode({ output: { pipelineUpload: true } })), ['output.pipelineUpload: requires output.uploadToStorage'])
+    assert.deepEqual(violationsOf(encode({ outputFormat: 'mp4', renditions: true })), ['renditions: cannot be used with outputFormat "mp4" - a progressive MP4 holds a single rendition'])
+    assert.deepEqual(warningsOf(encode({ outputFormat: 'mp4', renditions: false })), [])
+    const storage = { type: 'local', rootDir: '/mnt/out' }
+    const ossConfig = { region: 'r', accessKeyId: 'a', accessKeySecret: 's', bucket: 'b' }
+    assert.deepEqual(warningsOf(encode({ storage, ossConfig })), ['ossConfig: ignored because storage is set'])
+})
+
+test('codec, audio and subtitle rules', () => {
+    assert.deepEqual(violationsOf(encode({ color: { hdr: 'preserve' } })), ['color.hdr: "preserve" needs codec hevc or av1 - H.264 output is always SDR'])
+    assert.deepEqual(warningsOf(encode({ codec: 'hevc', color: { hdr: 'preserve' } })), [])
+    assert.deepEqual(violationsOf(encode({ outputFormat: 'dash', audio: { tracks: 'all' } })), ['audio: is only supported for outputFormat "hls" - audio renditions are HLS EXT-X-MEDIA entries'])
+    assert.deepEqual(warningsOf(encode({ audio: { surroundBitrate: 384 } })), ['audio.surroundBitrate: ignored unless audio.surround is true'])
+    assert.deepEqual(violationsOf(encode({ subtitles: { files: [{}] } })), ['subtitles.files[0]: needs exactly one of url or driveId'])
+    assert.deepEqual(violationsOf(encode({ subtitles: { burnIn: { stream: 2, file: 0 }, files: [{ url: 'https://example.com/a.srt' }] } })), ['subtitles.burnIn: needs exactly one of stream or file'])
+})
+
+test('encryption rules', () => {
+    const keyUri = 'https://keys.example.com/{keyId}'
+    assert.deepEqual(warningsOf(encode({ encryption: { keyUri } })), [])
+    assert.deepEqual(violationsOf(encode({ encryption: {} })), ['encryption.keyUri: is required'])
+    assert.deepEqual(violationsOf(encode({ outputFormat: 'dash', encryption: { keyUri } })), ['encryption: is only supported for outputFormat "hls"'])
+    assert.deepEqual(violationsOf(encode({ codec: 'hevc', encryption: { method: 'SAMPLE-AES', keyUri } })), ['encryption.method: SAMPLE-AES needs codec "h264" in MPEG-TS segments'])
+    assert.deepEqual(violationsOf(encode({ encryption: { keyUri: 'https://keys.example.com/key', rotateEvery: 10 } })), ['encryption.keyUri: needs a {keyId} or {index} placeholder when rotateEvery is set'])
+    assert.deepEqual(warningsOf(encode({ encryption: { keyUri, keyPath: 'keys/{keyId}' } })), ['encryption.keyPath: ignored without encryption.keyStorage - keys are returned in the result'])
+    
+    const storage = { type: 'local', rootDir: '/mnt/out' }
+    assert.deepEqual(violationsOf(encode({ storage, encryption: { keyUri, keyStorage: storage, keyPath: '{md5DriveId}/keys/{keyId}.key' } })), ['encryption.keyPath: must not point into the public output folder abc/'])
+    assert.deepEqual(warningsOf(encode({ storage, encryption: { keyUri, keyStorage: storage } })), [])
+})
+
+test('rule violations and field violations are reported together', () => {
+    const { videoUrl, ...noSource } = encode({ quality: 'ultra' })
+    assert.deepEqual(violationsOf(noSource), [
+        'quality: must be one of high, medium, low (got "ultra")',
+        'videoUrl: either videoUrl or driveId is required'
+    ])
+})
+
+test('checks past the schema fail with INPUT_INVALID at the validate stage', () => {
+    const invalid = { code: 'INPUT_INVALID', stage: 'validate', retryable: false }
+    assert.throws(() => resolveEncodingSettings('ultra'), { ...invalid, message: /^Unknown quality profile: ultra/ })
+    assert.throws(() => resolveEncodingSettings('medium', { gop: 50 }), { ...invalid, message: /^Unknown encoding field\(s\): gop/ })
+    assert.throws(() => resolveEncodingSettings('medium', { rateControl: 'abr' }), { ...invalid, message: /^Unsupported rateControl: abr/ })
+    assert.throws(() => resolveEncodingSettings('medium', { videoProfile: 'high10' }), { ...invalid, message: /^Unsupported videoProfile: high10/ })
+    assert.throws(() => resolveSegmentType('hls', 'mkv'), { ...invalid, message: /^Unsupported segments.format: mkv/ })
+    assert.throws(() => resolveRenditionLadder(['2160p'], { width: 1920, height: 1080 }), { ...invalid, message: /^Unknown rendition "2160p"/ })
+    assert.throws(() => resolveRenditionLadder([], { width: 1920, height: 1080 }), { ...invalid, message: 'renditions must be true or a non-empty array' })
+    assert.throws(() => resolveUploadOptions({ uploadConcurrency: 0 }), { ...invalid, message: 'output.uploadConcurrency must be a positive integer' })
+    assert.throws(() => resolveUploadOptions({ uploadRetries: -1 }), { ...invalid, message: 'output.uploadRetries must be a non-negative integer' })
+})
@@ -0,0 +1,170 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWorkerSession } from '../handler.js'
+
+const GRACE_MS = 50
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// A session with recorded output and a short abort grace period
+const createSession = (run) => {
+    const messages = []
+    const exits = []
+    const session = createWorkerSession({ run, writeMessage: message => messages.push(message), exit: code => exits.push(code), graceMs: GRACE_MS })
+    const send = (message) => session.handleLine(typeof message === 'string' ? message : JSON.stringify(message))
+    const settled = (id) => messages.find(message => message.id === id && (message.type === 'result' || message.type === 'error'))
+    const waitFor = async (id, timeoutMs = 2000) => {
+        const deadline = Date.now() + timeoutMs
+        while (!settled(id)) {
+            if (Date.now() > deadline) throw new Error(`job ${id} did not finish in time`)
+            await sleep(5)
+        }
+        return settled(id)
+    }
+    return { session, messages, exits, send, waitFor }
+}
+
+// Jobs that behave like the handler: they stop on abort and return the abort status as their result
+const job = (ms, result = {}) => (event, { signal }) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve({ ...result, event }), ms)
+    const stop = () => {
+        clearTimeout(timer)
+        resolve({ status: signal.reason.status, error: signal.reason.message })
+    }
+    if (signal.aborted) return stop()
+    signal.addEventListener('abort', stop, { once: true })
+})
+
+test('announces itself with a ready message', () => {
+    const { session, messages } = createSession(job(0))
+    session.ready()
+    assert.deepEqual(messages, [{ type: 'ready', pid: process.pid }])
+})
+
+test('runs jobs one at a time in arrival order and tags results with their id', async () => {
+    const running = []
+    let overlap = false
+    const { send, waitFor, messages } = createSession(async (event, context) => {
+        overlap = overlap || running.length > 0
+        running.push(event.input.n)
+        try {
+            return await job(20, { status: 'completed' })(event, context)
+        } finally {
+            running.pop()
+        }
+    })
+    send({ id: 'a', event: { input: { n: 1 } } })
+    send({ id: 'b', event: { input: { n: 2 } } })
+    await waitFor('b')
+    assert.equal(overlap, false)
+    assert.deepEqual(messages, [
+        { type: 'result', id: 'a', result: { status: 'completed', event: { input: { n: 1 } } } },
+        { type: 'result', id: 'b', result: { status: 'completed', event: { input: { n: 2 } } } }
+    ])
+})
+
+test('a job that runs past its timeoutSeconds is aborted as timed_out', async () => {
+    let seenSignal
+    const { send, waitFor, exits } = createSession((event, context) => {
+        seenSignal = context.signal
+        return job(5000)(event, context)
+    })
+    send({ id: 'slow', event: {}, timeoutSeconds: 0.02 })
+    const message = await waitFor('slow')
+    assert.deepEqual(message.result, { status: 'timed_out', error: 'Job timed out after 0.02s' })
+    assert.equal(seenSignal.reason.code, 'TIMEOUT')
+    assert.deepEqual(exits, [])
+})
+
+test('a job that ignores its abort is reported as timed out and the worker exits', async () => {
+    const { send, waitFor, exits } = createSession(() => new Promise(() => {}))
+    send({ id: 'stuck', event: {}, timeoutSeconds: 0.02 })
+    const message = await waitFor('stuck')
+    assert.equal(message.type, 'error')
+    assert.equal(message.code, 'TIMEOUT')
+    assert.equal(message.timedOut, true)
+    assert.equal(message.error, `Job did not stop within ${GRACE_MS / 1000}s of being timed_out`)
+    assert.deepEqual(exits, [1])
+})
+
+test('cancel aborts the running job right away', async () => {
+    const { send, waitFor, session } = createSession(job(5000))
+    send({ id: 'a', event: {} })
+    await sleep(10)
+    assert.equal(session.currentJobId, 'a')
+    send({ type: 'cancel', id: 'a' })
+    assert.deepEqual((await waitFor('a')).result, { status: 'cancelled', error: 'Job cancelled' })
+    assert.equal(session.currentJobId, null)
+})
+
+test('cancel of a queued job makes it start aborted without touching the running one', async () => {
+    const { send, waitFor, session, messages } = createSession(job(30, { status: 'completed' }))
+    send({ id: 'a', event: {} })
+    send({ id: 'b', event: {} })
+    send({ type: 'cancel', id: 'b' })
+    assert.equal((await waitFor('a')).result.status, 'completed')
+    assert.deepEqual((await waitFor('b')).result, { status: 'cancelled', error: 'Job cancelled' })
+    
+    // The cancel is used up: a later job with the same id runs normally
+    send({ id: 'b', event: {} })
+    await session.end()
+    assert.equal(messages.at(-1).result.status, 'completed')
+})
+
+test('invalid lines are reported without an id and do not stop the worker', async () => {
+    const { send, waitFor, messages } = createSession(job(0, { status: 'completed' }))
+    send('{"id": "a", ')
+    send('   ')
+    send({ id: 'b', event: {} })
+    await waitFor('b')
+    assert.equal(messages.length, 2)
+    assert.equal(messages[0].type, 'error')
+    assert.equal(messages[0].id, null)
+    assert.equal(messages[0].code, 'INPUT_INVALID')
+    assert.equal(messages[0].retryable, false)
+    assert.match(messages[0].error, /^Invalid job line: /)
+    assert.equal(messages[1].result.status, 'completed')
+})
+
+test('a failing job becomes an error message with its code', async () => {
+    const { send, waitFor, exits } = createSession(async () => {
+        throw Object.assign(new Error('ffprobe exploded'), { code: 'PROBE_FAILED', retryable: true, stage: 'analyze' })
+    })
+    send({ id: 'a', event: {} })
+    assert.deepEqual(await waitFor('a'), {
+        type: 'error',
+        id: 'a',
+        error: 'ffprobe exploded',
+        code: 'PROBE_FAILED',
+        retryable: true,
+        stage: 'analyze',
+        timedOut: false
+    })
+    assert.deepEqual(exits, [])
+})
+
+test('shutdown cancels the running and queued jobs and exits after the grace period', async () => {
+    const { send, waitFor, session, exits } = createSession(job(5000))
+    send({ id: 'a', event: {} })
+    send({ id: 'b', event: {} })
+    await sleep(10)
+    session.shutdown()
+    const ended = session.end()
+    
+    assert.deepEqual((await waitFor('a')).result, { status: 'cancelled', error: 'Worker is shutting down' })
+    assert.deepEqual((await waitFor('b')).result, { status: 'cancelled', error: 'Worker is shutting down' })
+    await ended
+    // stdin closed once the queue drained; the grace timer still ends the process if that hangs
+    assert.deepEqual(exits, [0])
+    await sleep(GRACE_MS + 20)
+    assert.deepEqual(exits, [0, 1])
+})
+
+test('stdin closing lets the queued jobs finish before exiting', async () => {
+    const { send, session, exits, messages } = createSession(job(20, { status: 'completed' }))
+    send({ id: 'a', event: {} })
+    send({ id: 'b', event: {} })
+    await session.end()
+    assert.deepEqual(messages.map(message => [message.id, message.result.status]), [['a', 'completed'], ['b', 'completed']])
+    assert.deepEqual(exits, [0])
+})